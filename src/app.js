@@ -6,6 +6,32 @@
 // Global game instance
 let gameManager = null;
 
+// Classroom settings, remembered between sessions
+const gameSettings = {
+    // Practice mode: players may preview where a push will stop before committing to it
+    predictionsEnabled: true
+};
+
+function loadGameSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('physicsAdventureSettings') || '{}');
+        Object.assign(gameSettings, saved);
+    } catch (e) {
+        console.warn('⚠️ Could not load saved settings:', e);
+    }
+}
+
+function saveGameSettings() {
+    try {
+        localStorage.setItem('physicsAdventureSettings', JSON.stringify(gameSettings));
+    } catch (e) {
+        console.warn('⚠️ Could not save settings:', e);
+    }
+}
+
+loadGameSettings();
+window.gameSettings = gameSettings;
+
 // Loading tips
 const loadingTips = [
     "🚀 Tip: Click anywhere on the game screen to add physics objects!",
@@ -392,6 +418,41 @@ function setupUIInteractions() {
         });
     });
     
+    // Teacher Settings Button
+    document.getElementById('teacherBtn')?.addEventListener('click', async () => {
+        console.log('🎓 Opening teacher settings...');
+        const result = await Swal.fire({
+            title: '🎓 Teacher Settings',
+            html: `
+                <div class="text-left space-y-4">
+                    <label class="flex items-start space-x-3 bg-blue-900/20 p-3 rounded border border-blue-500/30">
+                        <input type="checkbox" id="predictionsToggle" class="mt-1" ${gameSettings.predictionsEnabled ? 'checked' : ''} />
+                        <span>
+                            <span class="text-blue-400 font-bold block">🔮 Practice mode predictions</span>
+                            <span class="text-sm text-gray-300">Let students preview the path and stopping point of a push before they commit. Turn off for assessments.</span>
+                        </span>
+                    </label>
+                </div>
+            `,
+            background: 'rgba(15, 23, 42, 0.95)',
+            color: '#e2e8f0',
+            confirmButtonColor: '#3b82f6',
+            confirmButtonText: 'Save',
+            showCancelButton: true,
+            customClass: {
+                popup: 'border border-blue-500/30'
+            },
+            preConfirm: () => ({
+                predictionsEnabled: document.getElementById('predictionsToggle').checked
+            })
+        });
+        
+        if (result.isConfirmed) {
+            Object.assign(gameSettings, result.value);
+            saveGameSettings();
+        }
+    });
+    
     // Story Manager Event Listener - Transition to First Puzzle
     document.addEventListener('startFirstPuzzle', () => {
         console.log('🧩 Starting first puzzle...');
@@ -6,7 +6,7 @@
 class UIComponent {
     constructor() {
         this.isInitialized = false;
-        this.currentLevel = 1;
+        this.currentLevel = 'level1';
         this.gameState = 'menu';
         this.audioEnabled = true;
         
@@ -38,9 +38,9 @@ class UIComponent {
             instructionsBtn.addEventListener('click', () => this.showInstructions());
         }
         
-        // Level Buttons
-        document.querySelectorAll('.level-btn').forEach((btn, index) => {
-            btn.addEventListener('click', () => this.loadLevel(index + 1));
+        // Level Buttons name their level's manifest key in data-level
+        document.querySelectorAll('.level-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.loadLevel(btn.dataset.level));
         });
         
         // Back to Menu Button
@@ -92,7 +92,7 @@ class UIComponent {
         
         // Start the game logic
         if (window.gameManager) {
-            window.gameManager.startLevel(1);
+            window.gameManager.startLevel('level1');
         }
     }
     
@@ -146,25 +146,24 @@ class UIComponent {
         console.log('Returning to menu');
     }
     
-    loadLevel(levelNumber) {
-        this.currentLevel = levelNumber;
-        console.log(`Loading level ${levelNumber}`);
+    loadLevel(levelKey) {
+        this.currentLevel = levelKey;
+        console.log(`Loading ${levelKey}`);
         
         if (window.gameManager) {
-            window.gameManager.startLevel(levelNumber);
+            window.gameManager.startLevel(levelKey);
         }
         
         // Update UI to show current level
-        this.updateLevelIndicator(levelNumber);
-        
-        // Show level briefing
-        this.showLevelBriefing(levelNumber);
+        this.updateLevelIndicator(levelKey);
     }
     
-    updateLevelIndicator(level) {
+    updateLevelIndicator(levelKey) {
         const indicator = document.getElementById('levelIndicator');
         if (indicator) {
-            indicator.textContent = `Level ${level}`;
+            // Level numbers come from the manifest, which is only there once the Phaser version has booted
+            const phaserGame = window.gameManager && window.gameManager.phaserGame;
+            indicator.textContent = phaserGame && phaserGame.isBooted ? phaserGame.getLevelLabel(levelKey) : levelKey;
             // Use CSS transitions instead of GSAP
             indicator.style.transition = 'all 0.5s ease';
             indicator.style.transform = 'scale(1.1)';
@@ -177,45 +176,20 @@ class UIComponent {
         }
     }
     
-    async showLevelBriefing(level) {
-        const briefings = {
-            1: {
-                title: '🌍 Level 1: Earth Gravity',
-                content: 'Learn about gravitational force on Earth. Objects fall at 9.8 m/s². Click to create objects and observe gravity!'
-            },
-            2: {
-                title: '🌙 Level 2: Moon Gravity',
-                content: 'Experience reduced gravity on the Moon (1.6 m/s²). Notice how objects fall more slowly!'
-            },
-            3: {
-                title: '💫 Level 3: Space Station',
-                content: 'Zero gravity environment! Objects float unless acted upon by external forces.'
-            },
-            4: {
-                title: '🪐 Level 4: Jupiter',
-                content: 'Intense gravity (24.8 m/s²)! Objects fall much faster on this gas giant.'
-            },
-            5: {
-                title: '⭐ Level 5: Asteroid',
-                content: 'Minimal gravity on a small asteroid. Master precise movements and momentum!'
+    async showLevelBriefing(briefing) {
+        // Each level's JSON carries its own briefing; the caller adds the level number to the title
+        await Swal.fire({
+            title: briefing.title,
+            text: briefing.content,
+            icon: 'info',
+            background: 'rgba(15, 23, 42, 0.95)',
+            color: '#e2e8f0',
+            confirmButtonColor: '#3b82f6',
+            confirmButtonText: 'Start Level!',
+            customClass: {
+                popup: 'border border-blue-500/30'
             }
-        };
-        
-        const briefing = briefings[level];
-        if (briefing) {
-            await Swal.fire({
-                title: briefing.title,
-                text: briefing.content,
-                icon: 'info',
-                background: 'rgba(15, 23, 42, 0.95)',
-                color: '#e2e8f0',
-                confirmButtonColor: '#3b82f6',
-                confirmButtonText: 'Start Level!',
-                customClass: {
-                    popup: 'border border-blue-500/30'
-                }
-            });
-        }
+        });
     }
     
     toggleAudio() {
@@ -290,6 +264,61 @@ class UIComponent {
         }
     }
     
+    /**
+     * Ask the player for a number (puzzle consoles, adjustable machines); resolves to null when cancelled
+     */
+    async promptValue({ title, html, label, min, max, step = 0.1 }) {
+        const result = await Swal.fire({
+            title: title,
+            html: html,
+            input: 'number',
+            inputLabel: label,
+            inputAttributes: { min: min, max: max, step: step },
+            showCancelButton: true,
+            background: 'rgba(15, 23, 42, 0.95)',
+            color: '#e2e8f0',
+            confirmButtonColor: '#3b82f6',
+            confirmButtonText: 'Apply',
+            customClass: {
+                popup: 'border border-blue-500/30'
+            },
+            inputValidator: (value) => {
+                const number = parseFloat(value);
+                if (isNaN(number)) {
+                    return 'Enter a number!';
+                }
+                if (number < min || number > max) {
+                    return `Enter a value between ${min} and ${max}`;
+                }
+                return null;
+            }
+        });
+        
+        return result.isConfirmed ? parseFloat(result.value) : null;
+    }
+    
+    /**
+     * Ask the player to pick one of several options; resolves to the chosen key or null when cancelled
+     */
+    async promptChoice({ title, html, options }) {
+        const result = await Swal.fire({
+            title: title,
+            html: html,
+            input: 'select',
+            inputOptions: options,
+            showCancelButton: true,
+            background: 'rgba(15, 23, 42, 0.95)',
+            color: '#e2e8f0',
+            confirmButtonColor: '#3b82f6',
+            confirmButtonText: 'Choose',
+            customClass: {
+                popup: 'border border-blue-500/30'
+            }
+        });
+        
+        return result.isConfirmed ? result.value : null;
+    }
+    
     showError(message) {
         Swal.fire({
             title: 'Error',
@@ -58,7 +58,11 @@ class GameManager {
             rightGroundWidth: 3.0,// 3m ground section
             groundHeight: 0.8,    // 80cm ground thickness
             caveWidth: 1.5,       // 1.5m cave entrance
-            caveHeight: 2.0       // 2m cave height
+            caveHeight: 2.0,      // 2m cave height
+            platformMass: 25,     // 25kg wooden platform
+            rollingFriction: 0.05,// Zipline trolley rolling friction (μr)
+            pushDuration: 1.0,    // Default push time in seconds
+            platformStart: 1.1    // Platform rests 1.1m from the left edge between attempts
         };
         
         // Puzzle state
@@ -96,6 +100,12 @@ class GameManager {
     
     initPhaserGame() {
         try {
+            // Reuse the running game; levels are swapped through its scenes
+            if (this.phaserGame && this.phaserGame.isInitialized) {
+                this.isRunning = true;
+                return true;
+            }
+            
             // Create new Phaser game manager
             this.phaserGame = new PhaserGameManager();
             
@@ -407,6 +417,21 @@ class GameManager {
         }
     }
     
+    startLevel(levelKey = 'level1') {
+        console.log(`🗺️ Starting ${levelKey}...`);
+        
+        // Levels are keyed like the manifest; only level1's zipline puzzle has a Matter.js fallback
+        if (this.usePhaser && this.phaserGame) {
+            this.phaserGame.startLevel(levelKey);
+            return;
+        }
+        
+        if (levelKey !== 'level1') {
+            console.warn(`⚠️ ${levelKey} needs the Phaser renderer`);
+        }
+        this.startZiplinePuzzle();
+    }
+    
     // Enhanced zipline puzzle setup
     startZiplinePuzzle() {
         console.log('🧩 Starting Enhanced Zipline Platform Puzzle...');
@@ -416,7 +441,7 @@ class GameManager {
         // Use Phaser game if available
         if (this.usePhaser && this.phaserGame) {
             console.log('🎮 Starting Phaser-based Level 1...');
-            this.phaserGame.startLevel1();
+            this.phaserGame.startLevel('level1');
             return;
         }
         
@@ -665,7 +690,7 @@ class GameManager {
                     strokeStyle: '#8B4513', // Dark brown border
                     lineWidth: 3
                 },
-                mass: 25, // 25kg wooden platform (realistic weight)
+                mass: this.puzzleConfig.platformMass, // 25kg wooden platform (realistic weight)
                 frictionAir: 0.02, // Realistic air resistance
                 friction: 0.9, // High wood-on-wood friction
                 restitution: 0.2 // Minimal bounce for stability
@@ -697,6 +722,14 @@ class GameManager {
             }
         );
         
+        // Platform motion along the cable: F - μr·m·g = ma, then friction stops it
+        this.platformMotion = new ForceMotionModel({
+            mass: this.puzzleConfig.platformMass,
+            rollingFriction: this.puzzleConfig.rollingFriction,
+            gravity: 9.81
+        });
+        this.platformRun = null;
+        
         // Enhanced zipline constraint with metric cable properties
         this.ziplineConstraint = Matter.Constraint.create({
             pointA: { x: platformStartX, y: ziplinePostY - ziplinePostHeight / 2 + this.physics.metersToPixels(0.15) },
@@ -743,6 +776,8 @@ class GameManager {
         
         // Update constraint dynamically for sliding
         Matter.Events.on(this.engine, 'beforeUpdate', () => {
+            this.updatePlatformMotion();
+            
             if (this.platform && this.ziplineConstraint) {
                 this.ziplineConstraint.pointA.x = this.platform.position.x;
             }
@@ -764,7 +799,7 @@ class GameManager {
         instructionPanel.innerHTML = `
             <div class="glass-effect rounded-lg p-4 max-w-lg text-center">
                 <h3 class="text-lg font-bold text-physics-blue mb-2">🧩 Zipline Platform Puzzle</h3>
-                <p class="text-sm text-gray-300 mb-2">Calculate the force needed to position the 25kg platform in the target zone</p>
+                <p class="text-sm text-gray-300 mb-2">Calculate the force and push time needed to position the 25kg platform in the target zone</p>
                 <div class="flex justify-center space-x-4 text-xs text-yellow-400">
                     <span>🎮 WASD/Arrows: Move character</span>
                     <span>🎯 Target: Center of 4m gap (±30cm)</span>
@@ -792,24 +827,32 @@ class GameManager {
                         <div><span class="text-blue-400">Size:</span> 80×20 cm</div>
                         <div><span class="text-blue-400">Gap:</span> 4.0 m</div>
                         <div><span class="text-blue-400">Target:</span> ±30 cm</div>
+                        <div><span class="text-blue-400">Friction:</span> μr = ${this.puzzleConfig.rollingFriction}</div>
+                        <div><span class="text-blue-400">Travel:</span> ${this.getTargetTravel().toFixed(2)} m</div>
                     </div>
                     
                     <div class="space-y-2">
                         <label class="text-blue-400 block text-sm">Applied Force (Newtons):</label>
+                        <input type="number" id="forceInput" 
+                               class="bg-gray-800 text-white px-2 py-1 rounded border border-blue-500 w-full text-sm" 
+                               min="0" max="150" step="5" placeholder="20-100" value="" autocomplete="off" />
+                        <label class="text-blue-400 block text-sm">Push Duration (seconds):</label>
                         <div class="flex space-x-2">
-                            <input type="number" id="forceInput" 
+                            <input type="number" id="durationInput" 
                                    class="bg-gray-800 text-white px-2 py-1 rounded border border-blue-500 flex-1 text-sm" 
-                                   min="0" max="150" step="5" placeholder="20-100" value="" autocomplete="off" />
+                                   min="0.1" max="5" step="0.1" value="${this.puzzleConfig.pushDuration}" autocomplete="off" />
                             <button id="applyForceBtn" 
                                     class="px-3 py-1 bg-green-500 hover:bg-green-600 text-white font-bold rounded text-sm">
                                 Apply
                             </button>
                         </div>
                         <div class="text-xs text-gray-400">
-                            Hint: Try 50-80N for a 25kg platform
+                            Hint: Impulse J = F·Δt - a longer push needs less force
                         </div>
                     </div>
                     
+                    <div id="platformReadout" class="grid grid-cols-1 gap-1 text-xs text-yellow-300 hidden"></div>
+                    
                     <div id="puzzleStatus" class="text-center py-1 rounded hidden text-xs"></div>
                     
                     <button id="jumpBtn" 
@@ -854,6 +897,7 @@ class GameManager {
             const applyBtn = document.getElementById('applyForceBtn');
             const jumpBtn = document.getElementById('jumpBtn');
             const forceInput = document.getElementById('forceInput');
+            const durationInput = document.getElementById('durationInput');
             
             if (applyBtn) {
                 applyBtn.addEventListener('click', () => this.applyForceToPlatform());
@@ -863,19 +907,23 @@ class GameManager {
                 jumpBtn.addEventListener('click', () => this.initiateJumpSequence());
             }
             
-            if (forceInput) {
-                forceInput.addEventListener('keypress', (e) => {
+            [forceInput, durationInput].forEach(input => {
+                if (!input) return;
+                
+                input.addEventListener('keypress', (e) => {
                     if (e.key === 'Enter') {
                         this.applyForceToPlatform();
                     }
                 });
-            }
+            });
         }, 100);
     }
     
     applyForceToPlatform() {
         const forceInput = document.getElementById('forceInput');
+        const durationInput = document.getElementById('durationInput');
         const force = parseFloat(forceInput.value);
+        const duration = parseFloat(durationInput.value);
         
         if (isNaN(force) || force < 0) {
             this.showPuzzleStatus('Enter a valid force value!', 'error');
@@ -887,25 +935,32 @@ class GameManager {
             return;
         }
         
-        // Reset platform to starting position (1.1m from left edge)
-        const platformStartX = this.physics.metersToPixels(1.1);
+        if (isNaN(duration) || duration < 0.1 || duration > 5) {
+            this.showPuzzleStatus('Push for between 0.1 and 5 seconds!', 'error');
+            return;
+        }
+        
+        // Reset platform to starting position
+        const platformStartX = this.physics.metersToPixels(this.puzzleConfig.platformStart);
         const platformStartY = this.canvasHeight - this.physics.metersToPixels(1.0) - this.physics.metersToPixels(1.5) - this.physics.metersToPixels(0.1);
         
         Matter.Body.setPosition(this.platform, { x: platformStartX, y: platformStartY });
         Matter.Body.setVelocity(this.platform, { x: 0, y: 0 });
         Matter.Body.setAngularVelocity(this.platform, 0);
         
-        // Apply realistic force (F = ma, where a is desired acceleration)
-        // Force scaling: 1N = 1kg⋅m/s² in real physics
-        const realForceScale = 1 / (this.platform.mass * this.physics.pixelsPerMeter);
-        const forceVector = { 
-            x: force * realForceScale, 
-            y: -0.1 * force * realForceScale // Slight upward component
+        // The force acts for the chosen interval; updatePlatformMotion moves the platform from the model
+        const prediction = this.platformMotion.predict(force, duration);
+        this.platformRun = {
+            force: force,
+            duration: duration,
+            startX: platformStartX,
+            startTime: this.engine.timing.timestamp,
+            prediction: prediction
         };
-        Matter.Body.applyForce(this.platform, this.platform.position, forceVector);
         
         this.puzzleState.forceApplied = force;
-        this.showPuzzleStatus(`Applied ${force}N force (${Math.round(force/9.8)}kg equivalent)!`, 'info');
+        this.showPlatformReadout(prediction);
+        this.showPuzzleStatus(`Pushing with ${force}N for ${duration}s (J = ${prediction.impulse.toFixed(1)} N·s)!`, 'info');
         
         // Visual feedback - platform glow effect
         if (this.platform) {
@@ -915,13 +970,50 @@ class GameManager {
             setTimeout(() => {
                 this.platform.render.strokeStyle = '#8B4513';
                 this.platform.render.lineWidth = 3;
-            }, 1000);
+            }, duration * 1000);
         }
         
-        // Check result after physics settle (2 seconds)
-        setTimeout(() => this.checkPlatformPosition(), 2000);
-        
-        console.log(`Applied ${force}N force to ${this.platform.mass}kg platform`);
+        console.log(`Applied ${force}N force for ${duration}s to ${this.platform.mass}kg platform`);
+    }
+    
+    updatePlatformMotion() {
+        const run = this.platformRun;
+        if (!run || !this.platform) return;
+        
+        // Follow the kinematics exactly; the cable constraint keeps the platform hanging
+        const elapsed = (this.engine.timing.timestamp - run.startTime) / 1000;
+        const state = this.platformMotion.stateAt(run.force, run.duration, elapsed);
+        const maxX = this.canvasWidth - this.physics.metersToPixels(this.puzzleConfig.platformWidth);
+        const x = Math.min(run.startX + this.physics.metersToPixels(state.position), maxX);
+        
+        Matter.Body.setPosition(this.platform, { x: x, y: this.platform.position.y });
+        Matter.Body.setVelocity(this.platform, { x: 0, y: this.platform.velocity.y });
+        
+        // Friction (or the end of the cable) has stopped the platform
+        if (state.phase === 'stopped' || x >= maxX) {
+            this.platformRun = null;
+            this.checkPlatformPosition();
+        }
+    }
+    
+    showPlatformReadout(prediction) {
+        const readout = document.getElementById('platformReadout');
+        if (!readout) return;
+        
+        readout.innerHTML = `
+            <div><span class="text-blue-400">Acceleration:</span> ${prediction.acceleration.toFixed(2)} m/s²</div>
+            <div><span class="text-blue-400">Peak velocity:</span> ${prediction.peakVelocity.toFixed(2)} m/s</div>
+            <div><span class="text-blue-400">Stopping distance:</span> ${prediction.stoppingDistance.toFixed(2)} m</div>
+        `;
+        readout.classList.remove('hidden');
+    }
+    
+    /**
+     * Distance from the platform's resting point to the target at the centre of the gap (m)
+     */
+    getTargetTravel() {
+        const config = this.puzzleConfig;
+        return config.leftGroundWidth + config.gapWidth / 2 - config.platformStart;
     }
     
     checkPlatformPosition() {
@@ -949,19 +1041,19 @@ class GameManager {
             }
         } else if (currentX < targetX - tolerance) {
             const shortfallCm = Math.round(distanceMeters * 100);
-            this.showPuzzleStatus(`Need more force! Platform is ${shortfallCm}cm short of target.`, 'warning');
+            this.showPuzzleStatus(`Need a bigger impulse! Platform is ${shortfallCm}cm short of target.`, 'warning');
             this.resetPlatform();
         } else {
             const overshootCm = Math.round(distanceMeters * 100);
-            this.showPuzzleStatus(`Too much force! Platform overshot by ${overshootCm}cm.`, 'warning');
+            this.showPuzzleStatus(`Too much impulse! Platform overshot by ${overshootCm}cm.`, 'warning');
             this.resetPlatform();
         }
     }
     
     resetPlatform() {
         setTimeout(() => {
-            // Reset to starting position (1.1m from left edge)
-            const platformStartX = this.physics.metersToPixels(1.1);
+            // Reset to starting position
+            const platformStartX = this.physics.metersToPixels(this.puzzleConfig.platformStart);
             const platformStartY = this.canvasHeight - this.physics.metersToPixels(1.0) - this.physics.metersToPixels(1.5) - this.physics.metersToPixels(0.1);
             
             // Smooth reset with visual feedback
@@ -985,7 +1077,7 @@ class GameManager {
                 Matter.Body.setAngularVelocity(this.platform, 0);
             }
             
-            this.showPuzzleStatus('🔄 Platform reset. Recalculate force needed!', 'info');
+            this.showPuzzleStatus('🔄 Platform reset. Recalculate force and push time!', 'info');
             document.getElementById('forceInput').value = '';
             document.getElementById('jumpBtn').classList.add('hidden');
         }, 1500);
@@ -0,0 +1,130 @@
+/**
+ * Attempt Recorder - Per-frame history of puzzle attempts for replays
+ * Stores body states, the player's inputs and time markers so ReplayScene can scrub and compare attempts
+ */
+
+class AttemptRecorder {
+    constructor(maxAttempts = 10) {
+        this.maxAttempts = maxAttempts;
+        this.attempts = [];
+        this.current = null;
+        this.attemptCount = 0;
+        
+        // Longest stretch kept per attempt (s); enough for a push, the coast and the jump across
+        this.maxDuration = 20;
+    }
+    
+    /**
+     * Begin recording a new attempt; an attempt still recording is finished first
+     */
+    start(inputs) {
+        if (this.current) {
+            this.finish();
+        }
+        
+        this.attemptCount++;
+        this.current = {
+            id: this.attemptCount,
+            inputs: inputs,
+            frames: [],
+            markers: [],
+            duration: 0,
+            result: null
+        };
+        
+        return this.current;
+    }
+    
+    isRecording() {
+        return this.current !== null;
+    }
+    
+    /**
+     * Store one frame of body states ({ platform: {...}, player: {...} })
+     */
+    record(delta, bodies) {
+        const attempt = this.current;
+        if (!attempt) return;
+        
+        // Past the limit the attempt simply stops growing until it is finished
+        if (attempt.duration >= this.maxDuration) return;
+        
+        if (attempt.frames.length > 0) {
+            attempt.duration += delta / 1000;
+        }
+        
+        attempt.frames.push({ t: attempt.duration, bodies: bodies });
+    }
+    
+    /**
+     * Add a time marker (force applied, platform stopped, landing...) at the current moment
+     */
+    mark(label) {
+        if (!this.current) return;
+        this.current.markers.push({ t: this.current.duration, label: label });
+    }
+    
+    /**
+     * Attach the outcome to the attempt being recorded; it may keep recording afterwards
+     */
+    setResult(result) {
+        if (!this.current) return;
+        this.current.result = result;
+    }
+    
+    finish(result) {
+        const attempt = this.current;
+        if (!attempt) return null;
+        
+        if (result) {
+            attempt.result = result;
+        }
+        
+        this.current = null;
+        
+        // Attempts without a single frame have nothing to replay
+        if (attempt.frames.length === 0) {
+            return null;
+        }
+        
+        this.attempts.push(attempt);
+        if (this.attempts.length > this.maxAttempts) {
+            this.attempts.shift();
+        }
+        
+        console.log(`🎬 Recorded attempt #${attempt.id} (${attempt.frames.length} frames, ${attempt.duration.toFixed(1)}s)`);
+        return attempt;
+    }
+    
+    getAttempts() {
+        return this.attempts;
+    }
+    
+    /**
+     * Last frame recorded at or before time t (s)
+     */
+    getFrameAt(attempt, t) {
+        const frames = attempt.frames;
+        let low = 0;
+        let high = frames.length - 1;
+        
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid].t <= t) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        return frames[low];
+    }
+    
+    clear() {
+        this.attempts = [];
+        this.current = null;
+    }
+}
+
+// Export for use in other modules
+window.AttemptRecorder = AttemptRecorder;
@@ -0,0 +1,277 @@
+/**
+ * Balance Beam - A beam on a pivot that tips under the torques of the weights on it
+ * Loads from the config start on the beam; more can be put on its slots, which call back to the puzzle
+ * when clicked. An overlay draws the pivot, each load's weight and lever arm, the combined centre of mass
+ * and the net torque as an arrow curling the way it turns the beam. Puzzles build these from their config
+ */
+
+class BalanceBeam {
+    constructor(scene, config, options = {}) {
+        this.scene = scene;
+        this.config = config;
+        this.options = options;
+        this.objects = [];
+        this.loadViews = {};
+        this.nextLoadId = 0;
+        this.labelText = '';
+        
+        this.model = new BalanceBeamModel({
+            length: config.length,
+            beamMass: config.beamMass === undefined ? 10 : config.beamMass,
+            pivotHeight: config.pivotHeight || 0,
+            maxTilt: config.maxTilt || 20,
+            damping: config.damping === undefined ? 3 : config.damping,
+            gravity: this.gravity
+        });
+    }
+    
+    create() {
+        const ppm = this.pixelsPerMeter;
+        const x = this.config.x;
+        const y = this.config.y;
+        const beamY = this.model.pivotHeight * ppm;
+        
+        // Post from the floor up to the pivot
+        const post = this.track(this.scene.add.triangle(x, (y + this.config.floorY) / 2,
+            0, this.config.floorY - y, 14, 0, 28, this.config.floorY - y, 0x795548));
+        post.setStrokeStyle(2, 0x4E342E);
+        post.setDepth(4);
+        
+        // Beam, stirrup and loads all turn together about the pivot
+        this.beam = this.track(this.scene.add.container(x, y));
+        this.beam.setDepth(5);
+        
+        const graphics = this.scene.add.graphics();
+        const half = this.config.length / 2 * ppm;
+        if (beamY > 0) {
+            graphics.lineStyle(3, 0x90A4AE);
+            graphics.lineBetween(0, 0, 0, beamY);
+        }
+        graphics.fillStyle(0xA1887F);
+        graphics.fillRect(-half, beamY - 6, half * 2, 12);
+        graphics.lineStyle(2, 0x5D4037);
+        graphics.strokeRect(-half, beamY - 6, half * 2, 12);
+        this.beam.add(graphics);
+        
+        // Slots where weights can go, marked along the beam every lever arm the config allows
+        (this.config.slots || []).forEach(position => {
+            const slot = this.scene.add.rectangle(position * ppm, beamY - 14, 24, 28, 0xFFFFFF, 0.001);
+            slot.setInteractive({ useHandCursor: true });
+            slot.on('pointerdown', () => {
+                if (this.options.onSlotClick) {
+                    this.options.onSlotClick(this, position);
+                }
+            });
+            const mark = this.scene.add.rectangle(position * ppm, beamY - 7, 4, 4, 0xFFE082);
+            this.beam.add([slot, mark]);
+        });
+        
+        const pin = this.track(this.scene.add.circle(x, y, 5, 0x616161));
+        pin.setStrokeStyle(2, 0x424242);
+        pin.setDepth(6);
+        
+        this.overlay = this.track(this.scene.add.graphics());
+        this.overlay.setDepth(9);
+        this.armLabels = this.track(this.scene.add.container(0, 0));
+        this.armLabels.setDepth(10);
+        
+        (this.config.loads || []).forEach(load => this.addLoad(load));
+        
+        this.label = this.track(this.scene.add.text(x, y - 40, '', {
+            fontSize: '11px',
+            color: '#FFE082',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 },
+            align: 'center'
+        }));
+        this.label.setOrigin(0.5, 1);
+        this.label.setDepth(20);
+        
+        this.draw();
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    /**
+     * Local gravity in m/s² (gravity zones included)
+     */
+    get gravity() {
+        return this.scene.getGravityAt(this.config.x, this.config.y).y;
+    }
+    
+    /**
+     * Put a load { name, mass, position } on the beam; returns its id
+     */
+    addLoad(load) {
+        const ppm = this.pixelsPerMeter;
+        const id = `${this.config.id}-${this.nextLoadId++}`;
+        const size = 16 + Math.min(load.mass, 60) / 2;
+        const top = this.model.pivotHeight * ppm - 6;
+        
+        const box = this.scene.add.rectangle(load.position * ppm, top - size / 2, size, size, load.fixed ? 0x8D6E63 : 0x78909C);
+        box.setStrokeStyle(2, load.fixed ? 0x5D4037 : 0x37474F);
+        const text = this.scene.add.text(load.position * ppm, top - size / 2, load.name || `${load.mass} kg`, {
+            fontSize: '10px',
+            color: '#FFFFFF',
+            fontStyle: 'bold',
+            align: 'center'
+        });
+        text.setOrigin(0.5);
+        this.beam.add([box, text]);
+        
+        // Length of its lever arm, written on the overlay
+        const armText = this.scene.add.text(0, 0, '', {
+            fontSize: '9px',
+            color: '#FFFFFF'
+        });
+        armText.setOrigin(0.5, 1);
+        this.armLabels.add(armText);
+        
+        this.model.addLoad({ id: id, mass: load.mass, position: load.position });
+        this.loadViews[id] = { box: box, text: text, armText: armText, load: load };
+        return id;
+    }
+    
+    removeLoad(id) {
+        const view = this.loadViews[id];
+        view.box.destroy();
+        view.text.destroy();
+        view.armText.destroy();
+        delete this.loadViews[id];
+        this.model.removeLoad(id);
+    }
+    
+    /**
+     * The load sitting on a slot, as { id, load }, or null
+     */
+    getLoadAt(position) {
+        const load = this.model.getLoadAt(position);
+        return load ? { id: load.id, load: this.loadViews[load.id].load } : null;
+    }
+    
+    /**
+     * World position in pixels of a point on the beam line (m from the pivot)
+     */
+    toScreen(position) {
+        const ppm = this.pixelsPerMeter;
+        const angle = this.model.angle;
+        return {
+            x: this.config.x + this.model.getLeverArm(position) * ppm,
+            y: this.config.y + (position * Math.sin(angle) + this.model.pivotHeight * Math.cos(angle)) * ppm
+        };
+    }
+    
+    update(time, delta) {
+        this.model.gravity = this.gravity;
+        this.model.step(Math.min(delta, 50) / 1000);
+        this.draw();
+    }
+    
+    draw() {
+        const model = this.model;
+        this.beam.setRotation(model.angle);
+        this.drawOverlay();
+        
+        const sides = model.getSideTorques();
+        const net = model.getNetTorque(0);
+        const text = `${this.config.name || 'Beam'}\n` +
+                     `τ left ${sides.left.toFixed(0)} N·m · right ${sides.right.toFixed(0)} N·m\n` +
+                     `Στ level = ${net.toFixed(0)} N·m · tilt ${Phaser.Math.RadToDeg(model.angle).toFixed(1)}°`;
+        if (text !== this.labelText) {
+            this.labelText = text;
+            this.label.setText(text);
+        }
+    }
+    
+    /**
+     * Pivot, weights with their lever arms, centre of mass and net torque
+     */
+    drawOverlay() {
+        const model = this.model;
+        const pivotX = this.config.x;
+        const pivotY = this.config.y;
+        const graphics = this.overlay;
+        
+        graphics.clear();
+        
+        // Pivot: the point everything turns about, with a plumb line through it
+        graphics.lineStyle(1, 0xFFFFFF, 0.4);
+        graphics.lineBetween(pivotX, pivotY - 30, pivotX, this.config.floorY);
+        graphics.lineStyle(2, 0xFFEB3B);
+        graphics.strokeCircle(pivotX, pivotY, 9);
+        
+        model.loads.forEach((load, index) => {
+            const point = this.toScreen(load.position);
+            const arm = model.getLeverArm(load.position);
+            const weight = load.mass * model.gravity;
+            const length = Math.min(60, 10 + weight / 10);
+            const color = arm < 0 ? 0x4FC3F7 : 0xFF8A65;
+            
+            // Weight straight down from the load
+            graphics.lineStyle(2, color);
+            graphics.lineBetween(point.x, point.y, point.x, point.y + length);
+            graphics.fillStyle(color);
+            graphics.fillTriangle(point.x, point.y + length + 6, point.x - 4, point.y + length - 2, point.x + 4, point.y + length - 2);
+            
+            // Lever arm: the horizontal distance from the plumb line, staggered so they don't overlap
+            const armY = this.config.floorY - 8 - (index % 3) * 10;
+            graphics.lineStyle(1, color, 0.8);
+            graphics.lineBetween(pivotX, armY, point.x, armY);
+            graphics.lineBetween(point.x, armY - 4, point.x, armY + 4);
+            const armText = this.loadViews[load.id].armText;
+            const label = `${Math.abs(arm).toFixed(2)} m`;
+            armText.setPosition((pivotX + point.x) / 2, armY - 1);
+            if (armText.text !== label) {
+                armText.setText(label);
+            }
+        });
+        
+        // Centre of mass of beam and loads together
+        const centre = this.toScreen(model.getCentreOfMass());
+        graphics.lineStyle(2, 0xFFFFFF);
+        graphics.strokeCircle(centre.x, centre.y, 6);
+        graphics.lineBetween(centre.x - 6, centre.y, centre.x + 6, centre.y);
+        graphics.lineBetween(centre.x, centre.y - 6, centre.x, centre.y + 6);
+        
+        // Net torque as an arc round the pivot, clockwise when it tips the right end down
+        const net = model.getNetTorque();
+        if (Math.abs(net) > 0.5) {
+            const sweep = Math.min(Math.PI * 0.8, 0.3 + Math.abs(net) / 400);
+            const start = -Math.PI / 2 - Math.sign(net) * sweep / 2;
+            const end = -Math.PI / 2 + Math.sign(net) * sweep / 2;
+            const radius = 24;
+            graphics.lineStyle(3, 0xE040FB);
+            graphics.beginPath();
+            graphics.arc(pivotX, pivotY, radius, start, end, net < 0);
+            graphics.strokePath();
+            const tipX = pivotX + Math.cos(end) * radius;
+            const tipY = pivotY + Math.sin(end) * radius;
+            const heading = end + Math.sign(net) * Math.PI / 2;
+            graphics.fillStyle(0xE040FB);
+            graphics.fillTriangle(
+                tipX + Math.cos(heading) * 7, tipY + Math.sin(heading) * 7,
+                tipX + Math.cos(heading + 2.3) * 6, tipY + Math.sin(heading + 2.3) * 6,
+                tipX + Math.cos(heading - 2.3) * 6, tipY + Math.sin(heading - 2.3) * 6
+            );
+        }
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+    }
+}
+
+// Export for use in other modules
+window.BalanceBeam = BalanceBeam;
@@ -0,0 +1,627 @@
+/**
+ * Bridge Builder - A build mode for spanning a chasm with planks and ropes, then walking across to test it
+ * The level's "bridge" section lays a grid of joints over the chasm with its end columns bolted to the cliffs.
+ * Clicking two joints joins them with the chosen material while the budget lasts, and clicking a member takes
+ * it out again. Testing solves the structure as a pin-jointed truss under its own weight and the player's:
+ * every member shows the tension or compression it carries, and one pushed past its material's limit snaps,
+ * throwing its share of the load onto whatever is left
+ */
+
+class BridgeBuilder {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = Object.assign({
+            columns: 8,
+            rowSpacing: 40,
+            rowsAbove: 3,
+            rowsBelow: 1,
+            budget: 800,
+            range: 120
+        }, config);
+        this.objects = [];
+        this.joints = {};
+        this.members = {};
+        this.nextMemberId = 0;
+        this.material = 'plank';
+        this.selected = null;
+        this.mode = 'idle';
+        this.model = null;
+        this.decks = [];
+        this.loadKey = null;
+        this.looseJoint = null;
+        this.paletteText = '';
+        
+        // Planks push and pull, ropes only pull. Stiffness is EA (N); the limits are the most tension
+        // and compression a member takes (N). The level's config can override any field
+        const materials = {
+            plank: {
+                name: 'Plank',
+                cost: 50,
+                stiffness: 5000000,
+                massPerMeter: 15,
+                maxTension: 5000,
+                maxCompression: 2000,
+                maxLength: 1.2,
+                walkable: true,
+                width: 6,
+                color: '#A1887F'
+            },
+            rope: {
+                name: 'Rope',
+                cost: 30,
+                stiffness: 200000,
+                massPerMeter: 1,
+                maxTension: 1200,
+                maxCompression: 0,
+                tensionOnly: true,
+                maxLength: 4.5,
+                width: 2,
+                color: '#D7CCC8'
+            }
+        };
+        this.materials = {};
+        Object.entries(materials).forEach(([key, material]) => {
+            this.materials[key] = Object.assign({}, material, (config.materials || {})[key]);
+        });
+    }
+    
+    create() {
+        this.createAnchors();
+        
+        this.graphics = this.track(this.scene.add.graphics());
+        this.graphics.setDepth(6);
+        
+        this.createJoints();
+        this.createSign();
+        this.createPalette();
+        
+        this.draw();
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    /**
+     * Local gravity in m/s² (gravity zones included)
+     */
+    get gravity() {
+        return this.scene.getGravityAt((this.config.left + this.config.right) / 2, this.config.deckY).y;
+    }
+    
+    /**
+     * Mass of the person walking across (kg)
+     */
+    get playerMass() {
+        return this.scene.playerMass;
+    }
+    
+    get spacing() {
+        return (this.config.right - this.config.left) / this.config.columns;
+    }
+    
+    /**
+     * Timber posts on each cliff carrying the joints above the deck, and bolt plates below it
+     */
+    createAnchors() {
+        const config = this.config;
+        const top = config.deckY - config.rowsAbove * config.rowSpacing;
+        const graphics = this.track(this.scene.add.graphics());
+        graphics.setDepth(4);
+        
+        [config.left, config.right].forEach(x => {
+            const side = x === config.left ? -1 : 1;
+            if (config.rowsAbove > 0) {
+                graphics.fillStyle(0x6D4C41);
+                graphics.fillRect(x + side * 6 - 5, top - 8, 10, config.deckY - top + 8);
+                graphics.lineStyle(2, 0x3E2723);
+                graphics.strokeRect(x + side * 6 - 5, top - 8, 10, config.deckY - top + 8);
+            }
+            graphics.fillStyle(0x546E7A);
+            graphics.fillRect(x + side * 8 - 4, config.deckY, 8, config.rowsBelow * config.rowSpacing + 8);
+        });
+    }
+    
+    createJoints() {
+        const config = this.config;
+        
+        for (let column = 0; column <= config.columns; column++) {
+            for (let row = -config.rowsAbove; row <= config.rowsBelow; row++) {
+                const fixed = column === 0 || column === config.columns;
+                const joint = {
+                    id: `${column},${row}`,
+                    column: column,
+                    row: row,
+                    x: config.left + column * this.spacing,
+                    y: config.deckY + row * config.rowSpacing,
+                    fixed: fixed
+                };
+                
+                // Markers only show while building; the bolted ones are square
+                joint.marker = this.track(fixed
+                    ? this.scene.add.rectangle(joint.x, joint.y, 10, 10, 0x90A4AE)
+                    : this.scene.add.circle(joint.x, joint.y, 6, 0xFFFFFF, 0.5));
+                joint.marker.setStrokeStyle(2, 0x263238);
+                joint.marker.setDepth(8);
+                joint.marker.setVisible(false);
+                joint.marker.setInteractive({ useHandCursor: true });
+                joint.marker.on('pointerdown', () => this.onJointClick(joint));
+                
+                this.joints[joint.id] = joint;
+            }
+        }
+    }
+    
+    /**
+     * Signpost on the near cliff that switches between building and testing
+     */
+    createSign() {
+        const sign = this.config.sign;
+        const post = this.track(this.scene.add.rectangle(sign.x, sign.y - 30, 6, 60, 0x6D4C41));
+        post.setDepth(4);
+        
+        this.signBoard = this.track(this.scene.add.text(sign.x, sign.y - 60, '', {
+            fontSize: '11px',
+            color: '#FFFFFF',
+            backgroundColor: '#5D4037',
+            padding: { x: 6, y: 3 },
+            align: 'center'
+        }));
+        this.signBoard.setOrigin(0.5, 1);
+        this.signBoard.setDepth(7);
+        this.signBoard.setInteractive({ useHandCursor: true });
+        this.signBoard.on('pointerdown', () => this.useSign());
+    }
+    
+    /**
+     * Material buttons, budget and the test button above the chasm while building
+     */
+    createPalette() {
+        const config = this.config;
+        const x = (config.left + config.right) / 2;
+        const y = config.deckY - config.rowsAbove * config.rowSpacing - 70;
+        
+        this.palette = this.track(this.scene.add.container(x, y));
+        this.palette.setDepth(30);
+        this.palette.setVisible(false);
+        
+        const background = this.scene.add.rectangle(0, 0, 400, 64, 0x000000, 0.75);
+        background.setStrokeStyle(2, 0x8D6E63);
+        this.palette.add(background);
+        
+        this.materialButtons = {};
+        const buttons = Object.keys(this.materials).map(key => ({ key: key, label: this.materials[key].name }))
+            .concat([{ key: 'clear', label: 'Clear' }, { key: 'test', label: 'Test it' }]);
+        buttons.forEach((button, index) => {
+            const text = this.scene.add.text(-190 + index * 95, -28, button.label, {
+                fontSize: '12px',
+                color: '#FFFFFF',
+                backgroundColor: '#37474F',
+                padding: { x: 8, y: 3 }
+            });
+            text.setInteractive({ useHandCursor: true });
+            text.on('pointerdown', () => this.onPaletteClick(button.key));
+            this.palette.add(text);
+            if (this.materials[button.key]) {
+                this.materialButtons[button.key] = text;
+            }
+        });
+        
+        this.paletteInfo = this.scene.add.text(-190, 2, '', {
+            fontSize: '10px',
+            color: '#FFE082'
+        });
+        this.palette.add(this.paletteInfo);
+    }
+    
+    useSign() {
+        const player = this.scene.player;
+        const sign = this.config.sign;
+        if (Phaser.Math.Distance.Between(player.x, player.y, sign.x, sign.y) > this.config.range) {
+            this.scene.setInstruction('🔨 Get closer to the bridge sign to use it', '#FF9800');
+            return;
+        }
+        
+        if (this.mode === 'building') {
+            this.test();
+        } else {
+            this.startBuilding();
+        }
+    }
+    
+    onPaletteClick(key) {
+        if (key === 'test') {
+            this.test();
+        } else if (key === 'clear') {
+            Object.keys(this.members).forEach(id => this.removeMember(id));
+            this.selected = null;
+        } else {
+            this.material = key;
+        }
+        this.draw();
+    }
+    
+    startBuilding() {
+        this.mode = 'building';
+        this.removeDecks();
+        this.model = null;
+        this.loadKey = null;
+        this.looseJoint = null;
+        
+        // Anything that snapped in the last test goes back in as it was designed
+        Object.values(this.members).forEach(member => {
+            member.broken = false;
+            member.force = 0;
+            member.slack = false;
+        });
+        
+        Object.values(this.joints).forEach(joint => joint.marker.setVisible(true));
+        this.palette.setVisible(true);
+        this.scene.setInstruction('🔨 Click two joints to join them, click a member to take it out. Ropes can only pull; planks can push too.', '#FFE082');
+        this.draw();
+    }
+    
+    onJointClick(joint) {
+        if (this.mode !== 'building') return;
+        
+        if (!this.selected) {
+            this.selected = joint;
+        } else if (this.selected === joint) {
+            this.selected = null;
+        } else {
+            this.addMember(this.selected, joint);
+            this.selected = null;
+        }
+        this.looseJoint = null;
+        this.draw();
+    }
+    
+    getSpent() {
+        return Object.values(this.members).reduce((sum, member) => sum + this.materials[member.material].cost, 0);
+    }
+    
+    getLength(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y) / this.pixelsPerMeter;
+    }
+    
+    addMember(a, b) {
+        const material = this.materials[this.material];
+        const length = this.getLength(a, b);
+        
+        let problem = null;
+        if (a.fixed && b.fixed) {
+            problem = 'Both ends are bolted to the cliff already - a member there carries nothing.';
+        } else if (Object.values(this.members).some(member => (member.a === a.id && member.b === b.id) || (member.a === b.id && member.b === a.id))) {
+            problem = 'Those two joints are already joined.';
+        } else if (length > material.maxLength) {
+            problem = `That's ${length.toFixed(2)} m - a ${material.name.toLowerCase()} can span at most ${material.maxLength} m.`;
+        } else if (this.getSpent() + material.cost > this.config.budget) {
+            problem = `Not enough budget left for a ${material.name.toLowerCase()} (costs ${material.cost}).`;
+        }
+        if (problem) {
+            this.scene.setInstruction(`🔨 ${problem}`, '#FF9800');
+            return;
+        }
+        
+        const id = `member-${this.nextMemberId++}`;
+        const member = { id: id, a: a.id, b: b.id, material: this.material, broken: false, force: 0, slack: false };
+        
+        // Clicking along the member while building takes it out again
+        member.hitArea = this.track(this.scene.add.rectangle((a.x + b.x) / 2, (a.y + b.y) / 2, Math.hypot(b.x - a.x, b.y - a.y), 12, 0xFFFFFF, 0.001));
+        member.hitArea.setRotation(Math.atan2(b.y - a.y, b.x - a.x));
+        member.hitArea.setDepth(7);
+        member.hitArea.setInteractive({ useHandCursor: true });
+        member.hitArea.on('pointerdown', () => {
+            if (this.mode !== 'building') return;
+            this.removeMember(id);
+            this.draw();
+        });
+        
+        member.label = this.track(this.scene.add.text((a.x + b.x) / 2, (a.y + b.y) / 2 - 6, '', {
+            fontSize: '9px',
+            color: '#FFFFFF',
+            backgroundColor: '#000000'
+        }));
+        member.label.setOrigin(0.5, 1);
+        member.label.setDepth(21);
+        
+        this.members[id] = member;
+    }
+    
+    removeMember(id) {
+        const member = this.members[id];
+        member.hitArea.destroy();
+        member.label.destroy();
+        delete this.members[id];
+    }
+    
+    /**
+     * Build the truss model from the design: joints in metres from the left end of the deck
+     */
+    createModel() {
+        const ppm = this.pixelsPerMeter;
+        const model = new TrussModel({ gravity: this.gravity });
+        
+        Object.values(this.joints).forEach(joint => {
+            model.addJoint({
+                id: joint.id,
+                x: (joint.x - this.config.left) / ppm,
+                y: (joint.y - this.config.deckY) / ppm,
+                fixed: joint.fixed
+            });
+        });
+        Object.values(this.members).forEach(member => {
+            model.addMember({ id: member.id, a: member.a, b: member.b, material: this.materials[member.material] });
+        });
+        return model;
+    }
+    
+    test() {
+        if (this.mode !== 'building') return;
+        
+        const deck = this.getDeckMembers();
+        if (deck.length === 0) {
+            this.scene.setInstruction('🔨 Nothing to walk on yet - lay planks joint to joint along the deck line.', '#FF9800');
+            return;
+        }
+        
+        // A design that can't even hold itself up never leaves the drawing board
+        this.model = this.createModel();
+        if (!this.model.solve()) {
+            this.looseJoint = this.model.looseJoint;
+            this.model = null;
+            this.scene.setInstruction(`🔨 The joint ${this.describeJoint(this.looseJoint)} can move without stretching anything. Brace it - triangles don't fold.`, '#FF9800');
+            this.draw();
+            return;
+        }
+        
+        this.mode = 'testing';
+        this.selected = null;
+        this.loadKey = null;
+        Object.values(this.joints).forEach(joint => joint.marker.setVisible(false));
+        this.palette.setVisible(false);
+        this.createDecks(deck);
+        this.scene.setInstruction(`🌉 Walk out onto it! Blue members are in tension, red in compression. Your weight: ${(this.playerMass * this.gravity).toFixed(0)} N.`, '#4FC3F7');
+        this.settle([]);
+    }
+    
+    describeJoint(id) {
+        const joint = this.joints[id];
+        const across = (joint.x - this.config.left) / this.pixelsPerMeter;
+        const height = Math.abs(joint.y - this.config.deckY) / this.pixelsPerMeter;
+        const level = joint.row === 0 ? 'on the deck' : `${height.toFixed(1)} m ${joint.row < 0 ? 'above' : 'below'} the deck`;
+        return `${across.toFixed(1)} m out, ${level},`;
+    }
+    
+    /**
+     * Planks lying joint to joint along the deck line: the only members the player can stand on
+     */
+    getDeckMembers() {
+        return Object.values(this.members).filter(member => {
+            return this.materials[member.material].walkable && this.joints[member.a].row === 0 && this.joints[member.b].row === 0;
+        });
+    }
+    
+    createDecks(members) {
+        members.forEach(member => {
+            const a = this.joints[member.a];
+            const b = this.joints[member.b];
+            const deck = this.scene.add.rectangle((a.x + b.x) / 2, this.config.deckY + 4, Math.abs(b.x - a.x), 8);
+            this.scene.physics.add.existing(deck, true);
+            deck.collider = this.scene.physics.add.collider(this.scene.player, deck);
+            deck.member = member.id;
+            this.decks.push(deck);
+        });
+    }
+    
+    removeDecks() {
+        this.decks.forEach(deck => {
+            this.scene.physics.world.removeCollider(deck.collider);
+            deck.destroy();
+        });
+        this.decks = [];
+    }
+    
+    /**
+     * Where the player's weight goes: the deck plank under their feet and how far along it they stand
+     * (0 at its first joint, 1 at its second), or null when they aren't on the bridge
+     */
+    getPlayerLoad() {
+        const body = this.scene.player.body;
+        if (!(body.blocked.down || body.touching.down) || Math.abs(body.bottom - this.config.deckY) > 4) {
+            return null;
+        }
+        
+        const x = body.center.x;
+        const member = this.getDeckMembers().find(candidate => {
+            if (candidate.broken) return false;
+            const a = this.joints[candidate.a].x;
+            const b = this.joints[candidate.b].x;
+            return x >= Math.min(a, b) && x <= Math.max(a, b);
+        });
+        if (!member) return null;
+        
+        const a = this.joints[member.a];
+        const b = this.joints[member.b];
+        return { member: member, share: (x - a.x) / (b.x - a.x) };
+    }
+    
+    update(time, delta) {
+        if (this.mode !== 'testing') return;
+        
+        // Solve again only when the player's weight moves to somewhere new along the deck
+        const load = this.getPlayerLoad();
+        const key = load ? `${load.member.id}:${load.share.toFixed(2)}` : 'none';
+        if (key === this.loadKey) return;
+        this.loadKey = key;
+        
+        // The plank shares the weight between its two joints like a beam on two supports
+        const loads = [];
+        if (load) {
+            const weight = this.playerMass * this.model.gravity;
+            loads.push({ joint: load.member.a, x: 0, y: weight * (1 - load.share) });
+            loads.push({ joint: load.member.b, x: 0, y: weight * load.share });
+        }
+        this.settle(loads);
+    }
+    
+    /**
+     * Solve under the loads, snapping the worst overloaded member and solving again until what's left holds
+     * or nothing holds at all
+     */
+    settle(loads) {
+        let holds = this.model.solve(loads);
+        while (holds) {
+            const over = this.model.getOverloaded();
+            if (!over) break;
+            this.snap(over);
+            holds = this.model.solve(loads);
+        }
+        
+        this.model.members.forEach(modelMember => {
+            const member = this.members[modelMember.id];
+            member.force = modelMember.force;
+            member.slack = modelMember.slack;
+        });
+        
+        if (!holds) {
+            this.collapse();
+        }
+        this.draw();
+    }
+    
+    snap(modelMember) {
+        const member = this.members[modelMember.id];
+        const material = this.materials[member.material];
+        const tension = modelMember.force > 0;
+        const limit = tension ? material.maxTension : material.maxCompression;
+        
+        member.broken = true;
+        member.force = 0;
+        this.model.removeMember(member.id);
+        this.decks.filter(deck => deck.member === member.id).forEach(deck => {
+            deck.body.enable = false;
+        });
+        
+        this.scene.cameras.main.shake(200, 0.005);
+        this.scene.showEnhancedResultMessage(
+            `💥 A ${material.name.toLowerCase()} snapped: ${Math.abs(modelMember.force).toFixed(0)} N of ${tension ? 'tension' : 'compression'} against its ${limit} N limit. Its load moves to the members left.`,
+            false, '#FF5252');
+    }
+    
+    /**
+     * With a member gone some joint has nothing holding it, so the whole bridge drops
+     */
+    collapse() {
+        this.mode = 'collapsed';
+        this.looseJoint = this.model.looseJoint;
+        this.decks.forEach(deck => {
+            deck.body.enable = false;
+        });
+        Object.values(this.members).forEach(member => {
+            member.broken = true;
+        });
+        this.scene.setInstruction(`🌉 Nothing held the joint ${this.describeJoint(this.looseJoint)} so the bridge came down. Use the sign to rebuild it.`, '#FF5252');
+    }
+    
+    draw() {
+        const graphics = this.graphics;
+        graphics.clear();
+        
+        Object.values(this.members).forEach(member => {
+            const a = this.joints[member.a];
+            const b = this.joints[member.b];
+            const material = this.materials[member.material];
+            
+            // Snapped members hang as two stubs from their joints
+            if (member.broken) {
+                graphics.lineStyle(material.width, 0x616161, 0.6);
+                graphics.lineBetween(a.x, a.y, a.x + (b.x - a.x) * 0.3, a.y + (b.y - a.y) * 0.3 + 10);
+                graphics.lineBetween(b.x, b.y, b.x + (a.x - b.x) * 0.3, b.y + (a.y - b.y) * 0.3 + 10);
+                this.setLabel(member, '');
+                return;
+            }
+            
+            let color = Phaser.Display.Color.HexStringToColor(material.color).color;
+            let label = `${this.getLength(a, b).toFixed(2)} m`;
+            if (this.mode === 'testing') {
+                // Colour deepens as the member nears its limit
+                const limit = member.force >= 0 ? material.maxTension : material.maxCompression;
+                const stress = limit > 0 ? Math.min(1, Math.abs(member.force) / limit) : 0;
+                const tint = member.force >= 0 ? [0x42, 0xA5, 0xF5] : [0xEF, 0x53, 0x50];
+                const mix = (channel) => Math.round(0xBB + (channel - 0xBB) * (0.3 + 0.7 * stress));
+                color = member.slack ? 0x9E9E9E : Phaser.Display.Color.GetColor(mix(tint[0]), mix(tint[1]), mix(tint[2]));
+                label = member.slack ? 'slack' : `${Math.abs(member.force).toFixed(0)} N ${member.force >= 0 ? 'T' : 'C'}`;
+            }
+            
+            graphics.lineStyle(material.width, color);
+            graphics.lineBetween(a.x, a.y, b.x, b.y);
+            this.setLabel(member, label);
+        });
+        
+        Object.values(this.joints).forEach(joint => {
+            const color = joint === this.selected ? 0xFFEB3B : (joint.id === this.looseJoint ? 0xFF5252 : (joint.fixed ? 0x90A4AE : 0xFFFFFF));
+            joint.marker.setFillStyle(color, joint.fixed || joint === this.selected || joint.id === this.looseJoint ? 1 : 0.5);
+        });
+        
+        // The joint the last check found loose stays ringed until the design changes
+        if (this.looseJoint) {
+            const joint = this.joints[this.looseJoint];
+            graphics.lineStyle(2, 0xFF5252);
+            graphics.strokeCircle(joint.x, joint.y, 12);
+        }
+        
+        this.drawPalette();
+    }
+    
+    setLabel(member, text) {
+        // Labels on the members only show once something is testing them or they're being placed
+        const visible = text !== '' && this.mode !== 'idle' && this.mode !== 'collapsed';
+        member.label.setVisible(visible);
+        if (member.label.text !== text) {
+            member.label.setText(text);
+        }
+    }
+    
+    drawPalette() {
+        const signText = this.mode === 'building' ? '🌉 Test the bridge' : '🔨 Build a bridge';
+        if (this.signBoard.text !== signText) {
+            this.signBoard.setText(signText);
+        }
+        
+        Object.entries(this.materialButtons).forEach(([key, button]) => {
+            button.setBackgroundColor(key === this.material ? '#8D6E63' : '#37474F');
+        });
+        
+        const material = this.materials[this.material];
+        const limits = material.tensionOnly
+            ? `holds ${material.maxTension} N of pull, can't push`
+            : `holds ${material.maxTension} N of pull, ${material.maxCompression} N of push`;
+        const text = `${material.name}: cost ${material.cost}, up to ${material.maxLength} m, ${limits}\n` +
+                     `Budget: ${this.config.budget - this.getSpent()} of ${this.config.budget} left`;
+        if (text !== this.paletteText) {
+            this.paletteText = text;
+            this.paletteInfo.setText(text);
+        }
+    }
+    
+    destroy() {
+        this.removeDecks();
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+        this.joints = {};
+        this.members = {};
+    }
+}
+
+// Export for use in other modules
+window.BridgeBuilder = BridgeBuilder;
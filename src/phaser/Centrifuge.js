@@ -0,0 +1,274 @@
+/**
+ * Centrifuge - A turntable spinning about an upright axle, drawn tilted toward the viewer, with a rider clamped at a chosen radius
+ * The rider is held on by static friction and a tether to the hub. Spinning faster asks for more pull, mω²r;
+ * once that is more than friction and the tether can give, the tether snaps and the rider flies off along
+ * its tangent. Puzzles build these from their config and hand over the sprite of whatever rides on it
+ */
+
+class Centrifuge {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = config;
+        this.objects = [];
+        this.angle = Math.PI / 2;
+        this.angularVelocity = 0;
+        this.targetVelocity = 0;
+        this.rider = null;
+        this.sprite = null;
+        this.slip = null;
+        this.passedFront = false;
+        this.labelText = '';
+        
+        this.model = new CircularMotionModel({ gravity: this.gravity });
+    }
+    
+    create() {
+        const ppm = this.pixelsPerMeter;
+        const x = this.config.x;
+        const y = this.config.y;
+        
+        // Axle housing under the disc
+        const housing = this.track(this.scene.add.rectangle(x, y + this.tilt * this.radius * ppm / 2 + 20, 60, 40, 0x455A64));
+        housing.setStrokeStyle(2, 0x263238);
+        housing.setDepth(2);
+        
+        this.disc = this.track(this.scene.add.graphics());
+        this.disc.setDepth(3);
+        
+        const hub = this.track(this.scene.add.ellipse(x, y, 24, 24 * this.tilt * 2, 0x90A4AE));
+        hub.setStrokeStyle(2, 0x455A64);
+        hub.setDepth(5);
+        
+        this.tether = this.track(this.scene.add.graphics());
+        this.tether.setDepth(5);
+        
+        this.label = this.track(this.scene.add.text(x, y - this.tilt * this.radius * ppm - 12, '', {
+            fontSize: '11px',
+            color: '#FFE082',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 },
+            align: 'center'
+        }));
+        this.label.setOrigin(0.5, 1);
+        this.label.setDepth(20);
+        
+        this.draw();
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    /**
+     * Local gravity in m/s² (gravity zones included)
+     */
+    get gravity() {
+        return this.scene.getGravityAt(this.config.x, this.config.y).y;
+    }
+    
+    /**
+     * Radius of the disc (m)
+     */
+    get radius() {
+        return this.config.radius;
+    }
+    
+    /**
+     * How much the disc is tipped toward the viewer: its depth is drawn at this share of its width
+     */
+    get tilt() {
+        return this.config.tilt || 0.25;
+    }
+    
+    get rpm() {
+        return this.model.getRpm(this.angularVelocity);
+    }
+    
+    /**
+     * Whether the disc has come up to (or down to) the speed it was set to
+     */
+    get atSpeed() {
+        return Math.abs(this.angularVelocity - this.targetVelocity) < 1e-6;
+    }
+    
+    /**
+     * Point on the disc (m from the axle, +y toward the viewer) in screen pixels
+     */
+    toScreen(x, y) {
+        const ppm = this.pixelsPerMeter;
+        return {
+            x: this.config.x + x * ppm,
+            y: this.config.y + y * ppm * this.tilt
+        };
+    }
+    
+    /**
+     * Clamp a rider { mass, radius } to the disc, drawn with the given sprite
+     */
+    setRider(rider, sprite) {
+        this.rider = rider;
+        this.sprite = sprite;
+        this.slip = null;
+        this.sprite.setAlpha(1);
+        this.sprite.setRotation(0);
+        this.draw();
+    }
+    
+    /**
+     * Spin up (or down) toward a speed in revolutions per minute
+     */
+    setRpm(rpm) {
+        this.targetVelocity = this.model.getAngularVelocity(rpm);
+    }
+    
+    /**
+     * Pull the rider needs and what holds it, or null with nothing on the disc
+     */
+    getForces() {
+        if (!this.rider) return null;
+        
+        return this.model.getTurntableForces(this.rider.mass, this.rider.radius, this.angularVelocity,
+            this.config.mu, this.config.tetherStrength || 0);
+    }
+    
+    /**
+     * Open the clamp and let the rider go along its tangent; returns its speed v = ωr
+     */
+    release() {
+        const speed = this.model.getSpeed(this.angularVelocity, this.rider.radius);
+        this.rider = null;
+        this.sprite = null;
+        this.draw();
+        return speed;
+    }
+    
+    update(time, delta) {
+        const dt = Math.min(delta, 50) / 1000;
+        this.model.gravity = this.gravity;
+        
+        // The motor winds the disc up or down at a steady angular acceleration
+        const change = (this.config.spinUp || 2) * dt;
+        this.angularVelocity += Phaser.Math.Clamp(this.targetVelocity - this.angularVelocity, -change, change);
+        
+        // Turning so the front of the disc moves to the right; riders pass the front at θ = π/2
+        const previous = this.angle;
+        this.angle -= this.angularVelocity * dt;
+        this.passedFront = Math.floor((previous - Math.PI / 2) / (2 * Math.PI)) !== Math.floor((this.angle - Math.PI / 2) / (2 * Math.PI));
+        
+        if (this.rider && !this.slip) {
+            const forces = this.getForces();
+            if (!forces.holds) {
+                this.snapTether();
+            }
+        }
+        
+        if (this.slip) {
+            this.slip.x += this.slip.vx * dt;
+            this.slip.y += this.slip.vy * dt;
+            this.slip.time += dt;
+        }
+        
+        this.draw();
+    }
+    
+    /**
+     * The tether breaks and friction alone can't hold on, so the rider leaves in a straight line
+     */
+    snapTether() {
+        const speed = this.model.getSpeed(this.angularVelocity, this.rider.radius);
+        this.slip = {
+            x: this.rider.radius * Math.cos(this.angle),
+            y: this.rider.radius * Math.sin(this.angle),
+            vx: speed * Math.sin(this.angle),
+            vy: -speed * Math.cos(this.angle),
+            time: 0
+        };
+    }
+    
+    get slipped() {
+        return this.slip !== null;
+    }
+    
+    draw() {
+        const ppm = this.pixelsPerMeter;
+        const x = this.config.x;
+        const y = this.config.y;
+        const width = this.radius * ppm * 2;
+        
+        this.disc.clear();
+        this.disc.fillStyle(0x37474F);
+        this.disc.fillEllipse(x, y + 6, width, width * this.tilt);
+        this.disc.fillStyle(0x78909C);
+        this.disc.fillEllipse(x, y, width, width * this.tilt);
+        this.disc.lineStyle(2, 0xCFD8DC);
+        this.disc.strokeEllipse(x, y, width, width * this.tilt);
+        
+        // Spokes turn with the disc so its speed can be seen
+        this.disc.lineStyle(2, 0x546E7A);
+        for (let i = 0; i < 6; i++) {
+            const angle = this.angle + i * Math.PI / 3;
+            const rim = this.toScreen(this.radius * Math.cos(angle), this.radius * Math.sin(angle));
+            this.disc.lineBetween(x, y, rim.x, rim.y);
+        }
+        
+        this.tether.clear();
+        if (this.sprite) {
+            this.placeRider();
+        }
+        
+        const forces = this.getForces();
+        let text = `${this.rpm.toFixed(0)} rpm · ω = ${this.angularVelocity.toFixed(2)} rad/s`;
+        if (forces) {
+            text += `\nNeeds mω²r = ${forces.required.toFixed(0)} N`;
+        }
+        if (text !== this.labelText) {
+            this.labelText = text;
+            this.label.setText(text);
+        }
+    }
+    
+    placeRider() {
+        const radius = this.rider.radius;
+        const position = this.slip
+            ? { x: this.slip.x, y: this.slip.y }
+            : { x: radius * Math.cos(this.angle), y: radius * Math.sin(this.angle) };
+        const screen = this.toScreen(position.x, position.y);
+        
+        // Past the rim there is nothing under it: it drops out of sight
+        const offDisc = Math.hypot(position.x, position.y) > this.radius;
+        const drop = offDisc ? 0.5 * this.gravity * Math.pow(this.slip.time, 2) * this.pixelsPerMeter : 0;
+        this.sprite.setPosition(screen.x, screen.y - this.sprite.height / 2 + drop);
+        this.sprite.setDepth(position.y >= 0 ? 7 : 4);
+        if (offDisc) {
+            this.sprite.setAlpha(Math.max(0, 1 - this.slip.time));
+            return;
+        }
+        
+        if (!this.slip) {
+            // Tether turns red as it nears its breaking tension
+            const forces = this.getForces();
+            const strain = forces.tetherStrength > 0 ? forces.tension / forces.tetherStrength : 0;
+            const color = Phaser.Display.Color.Interpolate.ColorWithColor(
+                Phaser.Display.Color.ValueToColor(0xFFE082), Phaser.Display.Color.ValueToColor(0xE53935), 100, strain * 100);
+            this.tether.lineStyle(2, Phaser.Display.Color.GetColor(color.r, color.g, color.b));
+            this.tether.lineBetween(this.config.x, this.config.y, screen.x, screen.y);
+        }
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+    }
+}
+
+// Export for use in other modules
+window.Centrifuge = Centrifuge;
@@ -30,6 +30,23 @@ class CharacterAssets {
                 }
             },
             
+            // Antagonist - Dr. Vector, the rogue physicist
+            vector: {
+                skin: { primary: 0xF1D3B3, shadow: 0xD4B08C },
+                hair: { primary: 0xECEFF1, shadow: 0xB0BEC5 },
+                eyes: { white: 0xFFFFFF, pupil: 0x1A1A1A, brow: 0x546E7A },
+                clothing: {
+                    coat: { primary: 0x4A148C, shadow: 0x311B92, trim: 0xAB47BC },
+                    pants: { primary: 0x263238, shadow: 0x102027 },
+                    boots: { primary: 0x3E2723 },
+                    gloves: { primary: 0x212121 }
+                },
+                accessories: {
+                    goggles: { strap: 0x424242, frame: 0x8D6E63, lens: 0x76FF03 },
+                    emblem: { arrow: 0xFF1744 }
+                }
+            },
+            
             // Environmental elements
             environment: {
                 cave: {
@@ -54,7 +71,10 @@ class CharacterAssets {
             jump: { frames: 4, duration: 400 },
             climb: { frames: 6, duration: 1000 },
             interact: { frames: 8, duration: 1200 },
-            celebrate: { frames: 10, duration: 1500 }
+            celebrate: { frames: 10, duration: 1500 },
+            vectorIdle: { frames: 4, duration: 2000 },
+            vectorRun: { frames: 6, duration: 500 },
+            vectorTaunt: { frames: 4, duration: 800 }
         };
     }
     
@@ -64,6 +84,9 @@ class CharacterAssets {
         // Create protagonist sprites
         this.createProtagonistSprites();
         
+        // Create Dr. Vector sprites
+        this.createVectorSprites();
+        
         // Create environmental assets
         this.createEnvironmentalAssets();
         
@@ -520,6 +543,160 @@ class CharacterAssets {
         this.graphics.fillRoundedRect(x + 2, y + 12, 6, 20, 3);
     }
     
+    createVectorSprites() {
+        // Idle: hunched breathing while he plots
+        const idle = this.animationConfigs.vectorIdle;
+        for (let frame = 0; frame < idle.frames; frame++) {
+            const breathOffset = Math.sin((frame / idle.frames) * Math.PI * 2) * 1;
+            this.saveVectorFrame(`vector_idle_${frame}`, () => {
+                this.drawVectorBase(32, 40, breathOffset, false);
+                this.addVectorLimbs(32, 40, 6, 0);
+            });
+        }
+        
+        // Run: long strides with the coat tails flying
+        const run = this.animationConfigs.vectorRun;
+        for (let frame = 0; frame < run.frames; frame++) {
+            const cycle = (frame / run.frames) * Math.PI * 2;
+            const bob = Math.abs(Math.sin(cycle)) * -2;
+            this.saveVectorFrame(`vector_run_${frame}`, () => {
+                this.drawVectorBase(32, 40 + bob, 0, false);
+                this.addVectorLimbs(32, 40 + bob, Math.sin(cycle) * 10, Math.sin(cycle + Math.PI) * 9);
+            });
+        }
+        
+        // Taunt: cackling with a shaking fist
+        const taunt = this.animationConfigs.vectorTaunt;
+        for (let frame = 0; frame < taunt.frames; frame++) {
+            this.saveVectorFrame(`vector_taunt_${frame}`, () => {
+                this.drawVectorBase(32, 40, 0, true);
+                this.addVectorTauntDetails(32, 40, frame);
+            });
+        }
+    }
+    
+    saveVectorFrame(key, draw) {
+        const rt = this.scene.add.renderTexture(0, 0, 64, 80);
+        this.graphics.clear();
+        
+        draw();
+        
+        rt.draw(this.graphics, 0, 0);
+        rt.saveTexture(key);
+        rt.destroy();
+    }
+    
+    drawVectorBase(x, y, breathOffset = 0, laughing = false) {
+        const colors = this.palette.vector;
+        
+        // Long lab coat, tails down to the knees
+        this.graphics.fillStyle(colors.clothing.coat.shadow);
+        this.graphics.fillRoundedRect(x - 13, y - 15 + breathOffset, 26, 36, 4);
+        this.graphics.fillStyle(colors.clothing.coat.primary);
+        this.graphics.fillRoundedRect(x - 12, y - 15 + breathOffset, 22, 34, 4);
+        
+        // Coat trim and high collar
+        this.graphics.lineStyle(2, colors.clothing.coat.trim);
+        this.graphics.lineBetween(x, y - 14, x, y + 18);
+        this.graphics.fillStyle(colors.clothing.coat.trim);
+        this.graphics.fillTriangle(x - 10, y - 15, x - 4, y - 15, x - 9, y - 22);
+        this.graphics.fillTriangle(x + 10, y - 15, x + 4, y - 15, x + 9, y - 22);
+        
+        // Vector emblem: a red arrow on the chest
+        this.graphics.lineStyle(2, colors.accessories.emblem.arrow);
+        this.graphics.lineBetween(x - 9, y - 2, x - 2, y - 9);
+        this.graphics.fillStyle(colors.accessories.emblem.arrow);
+        this.graphics.fillTriangle(x - 1, y - 10, x - 6, y - 9, x - 2, y - 5);
+        
+        // Head
+        this.graphics.fillStyle(colors.skin.primary);
+        this.graphics.fillCircle(x, y - 28, 11);
+        this.graphics.fillStyle(colors.skin.shadow);
+        this.graphics.fillCircle(x + 3, y - 24, 6);
+        
+        // Wild white hair sticking out on both sides
+        this.graphics.fillStyle(colors.hair.primary);
+        this.graphics.fillTriangle(x - 10, y - 34, x - 18, y - 38, x - 12, y - 26);
+        this.graphics.fillTriangle(x - 11, y - 30, x - 19, y - 26, x - 11, y - 22);
+        this.graphics.fillTriangle(x + 10, y - 34, x + 18, y - 38, x + 12, y - 26);
+        this.graphics.fillTriangle(x + 11, y - 30, x + 19, y - 26, x + 11, y - 22);
+        this.graphics.fillStyle(colors.hair.shadow);
+        this.graphics.fillEllipse(x, y - 38, 14, 5);
+        
+        // Goggles pushed up on the forehead
+        this.graphics.lineStyle(2, colors.accessories.goggles.strap);
+        this.graphics.lineBetween(x - 11, y - 33, x + 11, y - 33);
+        this.graphics.fillStyle(colors.accessories.goggles.frame);
+        this.graphics.fillCircle(x - 4, y - 34, 4);
+        this.graphics.fillCircle(x + 4, y - 34, 4);
+        this.graphics.fillStyle(colors.accessories.goggles.lens);
+        this.graphics.fillCircle(x - 4, y - 34, 2.5);
+        this.graphics.fillCircle(x + 4, y - 34, 2.5);
+        
+        // Narrow eyes under angry brows
+        this.graphics.fillStyle(colors.eyes.white);
+        this.graphics.fillEllipse(x - 4, y - 27, 5, 3);
+        this.graphics.fillEllipse(x + 4, y - 27, 5, 3);
+        this.graphics.fillStyle(colors.eyes.pupil);
+        this.graphics.fillCircle(x - 3, y - 27, 1);
+        this.graphics.fillCircle(x + 5, y - 27, 1);
+        this.graphics.lineStyle(2, colors.eyes.brow);
+        this.graphics.lineBetween(x - 7, y - 31, x - 2, y - 29);
+        this.graphics.lineBetween(x + 7, y - 31, x + 2, y - 29);
+        
+        // Sneer, or an open-mouthed cackle
+        if (laughing) {
+            this.graphics.fillStyle(colors.eyes.pupil);
+            this.graphics.fillEllipse(x + 1, y - 21, 6, 4);
+        } else {
+            this.graphics.lineStyle(1, colors.eyes.pupil);
+            this.graphics.lineBetween(x - 3, y - 21, x + 4, y - 22);
+        }
+    }
+    
+    addVectorLimbs(x, y, armSwing, legSwing) {
+        const colors = this.palette.vector;
+        
+        // Legs
+        this.graphics.lineStyle(6, colors.clothing.pants.primary);
+        this.graphics.lineBetween(x - 4, y + 16, x - 4 + legSwing, y + 32);
+        this.graphics.lineBetween(x + 4, y + 16, x + 4 - legSwing, y + 32);
+        
+        // Boots
+        this.graphics.fillStyle(colors.clothing.boots.primary);
+        this.graphics.fillRoundedRect(x - 8 + legSwing, y + 31, 9, 5, 2);
+        this.graphics.fillRoundedRect(x + 1 - legSwing, y + 31, 9, 5, 2);
+        
+        // Arms in coat sleeves with black gloves
+        this.graphics.lineStyle(6, colors.clothing.coat.primary);
+        this.graphics.lineBetween(x - 12, y - 12, x - 14 - armSwing, y + 6);
+        this.graphics.lineBetween(x + 12, y - 12, x + 14 + armSwing, y + 6);
+        this.graphics.fillStyle(colors.clothing.gloves.primary);
+        this.graphics.fillCircle(x - 14 - armSwing, y + 7, 3);
+        this.graphics.fillCircle(x + 14 + armSwing, y + 7, 3);
+    }
+    
+    addVectorTauntDetails(x, y, frame) {
+        const colors = this.palette.vector;
+        const shake = frame % 2 === 0 ? -2 : 2;
+        
+        // Legs planted wide
+        this.graphics.lineStyle(6, colors.clothing.pants.primary);
+        this.graphics.lineBetween(x - 4, y + 16, x - 8, y + 32);
+        this.graphics.lineBetween(x + 4, y + 16, x + 8, y + 32);
+        this.graphics.fillStyle(colors.clothing.boots.primary);
+        this.graphics.fillRoundedRect(x - 13, y + 31, 9, 5, 2);
+        this.graphics.fillRoundedRect(x + 4, y + 31, 9, 5, 2);
+        
+        // One hand on the hip, the other fist shaking in the air
+        this.graphics.lineStyle(6, colors.clothing.coat.primary);
+        this.graphics.lineBetween(x - 12, y - 12, x - 16, y);
+        this.graphics.lineBetween(x - 16, y, x - 10, y + 6);
+        this.graphics.lineBetween(x + 12, y - 12, x + 18 + shake, y - 26);
+        this.graphics.fillStyle(colors.clothing.gloves.primary);
+        this.graphics.fillCircle(x + 18 + shake, y - 28, 4);
+    }
+    
     createEnvironmentalAssets() {
         // Enhanced cave walls
         this.createEnhancedCaveWalls();
@@ -0,0 +1,274 @@
+/**
+ * Dr. Vector - The rogue physicist as an in-level character
+ * Follows the level's "vector" script: taunts, flees and springs hazards, and mocks failed attempts
+ */
+
+class DrVector {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = config;
+        this.objects = [];
+        this.sprite = null;
+        this.bubble = null;
+        this.bubbleTimer = null;
+        this.moving = false;
+        this.gone = false;
+        this.firedEntries = new Set();
+        
+        // Reactions cycle through their lines so repeated failures don't repeat the same jab
+        this.taunts = Object.assign({
+            fall: [
+                'Gravity always wins, apprentice!',
+                'Mind the gap! Or don\'t - it\'s more fun for me.',
+                'Down you go! Newton would be so proud.'
+            ],
+            miss: [
+                'Wrong! Did you forget F = ma?',
+                'Check your units, amateur!',
+                'Physics is not a guessing game!'
+            ]
+        }, config.taunts);
+        this.tauntIndex = { fall: 0, miss: 0 };
+        
+        this.onPlayerFall = this.onPlayerFall.bind(this);
+        this.onAttemptResult = this.onAttemptResult.bind(this);
+    }
+    
+    create() {
+        this.sprite = this.track(this.scene.add.sprite(this.config.x, this.config.y, 'vector_idle_0'));
+        this.sprite.setDepth(9);
+        this.sprite.play('vector_idle');
+        
+        this.createSpeechBubble();
+        
+        // React to the player's falls and failed attempts
+        this.scene.events.on('hud-deaths', this.onPlayerFall);
+        this.scene.events.on('hud-result', this.onAttemptResult);
+        
+        this.runScript(entry => entry.on === 'start');
+        
+        console.log('🦹 Dr. Vector has appeared');
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    createSpeechBubble() {
+        this.bubble = this.track(this.scene.add.container(0, 0));
+        this.bubble.setDepth(30);
+        this.bubble.setVisible(false);
+        
+        this.bubbleBackground = this.scene.add.graphics();
+        this.bubbleText = this.scene.add.text(0, 0, '', {
+            fontSize: '13px',
+            color: '#311B92',
+            fontStyle: 'bold',
+            align: 'center',
+            wordWrap: { width: 220 }
+        });
+        this.bubbleText.setOrigin(0.5, 1);
+        
+        this.bubble.add([this.bubbleBackground, this.bubbleText]);
+    }
+    
+    /**
+     * Show a line in the speech bubble above his head
+     */
+    say(text, duration = 3000) {
+        if (this.gone) return;
+        
+        this.bubbleText.setText(text);
+        
+        // Size the bubble around the text, with a tail pointing down at him
+        const width = this.bubbleText.width + 20;
+        const height = this.bubbleText.height + 14;
+        this.bubbleText.setPosition(0, -17);
+        
+        this.bubbleBackground.clear();
+        this.bubbleBackground.fillStyle(0xFFFFFF, 0.95);
+        this.bubbleBackground.lineStyle(2, 0x4A148C);
+        this.bubbleBackground.fillRoundedRect(-width / 2, -10 - height, width, height, 8);
+        this.bubbleBackground.strokeRoundedRect(-width / 2, -10 - height, width, height, 8);
+        this.bubbleBackground.fillTriangle(-6, -11, 6, -11, 0, 0);
+        
+        this.bubble.setVisible(true);
+        this.positionBubble();
+        
+        if (!this.moving) {
+            this.sprite.play('vector_taunt');
+            this.sprite.once('animationcomplete', () => {
+                if (!this.moving) {
+                    this.sprite.play('vector_idle');
+                }
+            });
+        }
+        
+        if (this.bubbleTimer) {
+            this.bubbleTimer.remove();
+        }
+        this.bubbleTimer = this.scene.time.delayedCall(duration, () => this.bubble.setVisible(false));
+    }
+    
+    positionBubble() {
+        this.bubble.setPosition(this.sprite.x, this.sprite.y - 45);
+    }
+    
+    update(time, delta) {
+        if (this.gone) return;
+        
+        this.positionBubble();
+        
+        // Keep an eye on the player while standing still
+        if (!this.moving) {
+            this.sprite.setFlipX(this.scene.player.x < this.sprite.x);
+        }
+        
+        const playerX = this.scene.player.x;
+        this.runScript(entry => entry.on === 'playerX' && playerX >= entry.x);
+    }
+    
+    /**
+     * Run every script entry matching the filter that hasn't run yet
+     */
+    runScript(filter) {
+        (this.config.script || []).forEach((entry, index) => {
+            if (this.firedEntries.has(index) || !filter(entry)) return;
+            
+            this.firedEntries.add(index);
+            this.runAction(entry);
+        });
+    }
+    
+    runAction(entry) {
+        if (entry.text) {
+            this.say(entry.text);
+        }
+        
+        switch (entry.action) {
+            case 'taunt':
+                break;
+            case 'flee':
+                this.fleeTo(entry.to);
+                break;
+            case 'trap':
+                this.springTrap(entry.hazard);
+                break;
+            default:
+                console.warn(`⚠️ Unknown Dr. Vector action: ${entry.action}`);
+        }
+    }
+    
+    /**
+     * Run to a point; with "exit" set he leaves the level there
+     */
+    fleeTo(target, onComplete) {
+        const distance = Phaser.Math.Distance.Between(this.sprite.x, this.sprite.y, target.x, target.y);
+        const speed = this.config.speed || 220; // px/s
+        
+        this.moving = true;
+        this.sprite.setFlipX(target.x < this.sprite.x);
+        this.sprite.play('vector_run');
+        
+        this.scene.tweens.add({
+            targets: this.sprite,
+            x: target.x,
+            y: target.y,
+            duration: distance / speed * 1000,
+            onComplete: () => {
+                this.moving = false;
+                this.sprite.play('vector_idle');
+                
+                if (target.exit) {
+                    this.leave();
+                }
+                if (onComplete) {
+                    onComplete();
+                }
+            }
+        });
+    }
+    
+    leave() {
+        this.scene.tweens.add({
+            targets: [this.sprite, this.bubble],
+            alpha: 0,
+            duration: 400,
+            onComplete: () => {
+                this.gone = true;
+                this.sprite.setVisible(false);
+                this.bubble.setVisible(false);
+            }
+        });
+    }
+    
+    springTrap(hazardId) {
+        const hazard = this.scene.getHazard(hazardId);
+        if (!hazard) {
+            console.warn(`⚠️ Dr. Vector can't find hazard: ${hazardId}`);
+            return;
+        }
+        
+        hazard.trigger();
+    }
+    
+    /**
+     * Knocked off his perch by the boss puzzle: tumble to the floor, then run for it
+     */
+    defeat(landing, exit, text) {
+        this.moving = true;
+        this.sprite.play('vector_run');
+        
+        this.scene.tweens.add({
+            targets: this.sprite,
+            x: landing.x,
+            y: landing.y,
+            angle: 360,
+            duration: 700,
+            ease: 'Quad.easeIn',
+            onComplete: () => {
+                this.sprite.setAngle(0);
+                this.say(text, 2500);
+                this.scene.time.delayedCall(1200, () => this.fleeTo(exit));
+            }
+        });
+    }
+    
+    onPlayerFall() {
+        this.sayNext('fall');
+    }
+    
+    onAttemptResult(message, success) {
+        if (!success) {
+            this.sayNext('miss');
+        }
+    }
+    
+    sayNext(kind) {
+        const lines = this.taunts[kind];
+        if (!lines || lines.length === 0) return;
+        
+        this.say(lines[this.tauntIndex[kind] % lines.length]);
+        this.tauntIndex[kind]++;
+    }
+    
+    destroy() {
+        this.scene.events.off('hud-deaths', this.onPlayerFall);
+        this.scene.events.off('hud-result', this.onAttemptResult);
+        
+        if (this.bubbleTimer) {
+            this.bubbleTimer.remove();
+        }
+        
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+    }
+}
+
+// Export for use in other modules
+window.DrVector = DrVector;
@@ -0,0 +1,199 @@
+/**
+ * Fluid Volume - A pool of water or lava from the level's "fluids" list
+ * Pushes up on everything floating in it with the weight of the fluid it displaces (F = ρ·V·g)
+ * and slows it with quadratic drag, so crates lighter than the fluid float and denser ones sink.
+ * An optional current drags floating bodies along; lethal fluids (lava) count a fall when the player touches them
+ */
+
+class FluidVolume {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = config;
+        this.objects = [];
+        this.readouts = new Map();
+        
+        const fluid = scene.physicsUtils.getFluid(config.type);
+        this.fluid = Object.assign({}, fluid, {
+            density: config.density || fluid.density,
+            dragCoefficient: config.dragCoefficient || fluid.dragCoefficient
+        });
+        this.current = config.current || 0; // m/s, positive flows right
+        
+        // Bounds in pixels; x and y are the centre like zones
+        this.left = config.x - config.width / 2;
+        this.right = config.x + config.width / 2;
+        this.surface = config.y - config.height / 2;
+        this.bottom = config.y + config.height / 2;
+    }
+    
+    create() {
+        const colors = { water: 0x1E88E5, lava: 0xFF5722 };
+        this.color = colors[this.config.type] || colors.water;
+        
+        this.graphics = this.track(this.scene.add.graphics());
+        this.graphics.setDepth(11);
+        
+        const label = this.track(this.scene.add.text(this.left + 6, this.bottom - 4, `${this.fluid.name} · ρ = ${this.fluid.density} kg/m³`, {
+            fontSize: '11px',
+            color: '#FFFFFF'
+        }));
+        label.setOrigin(0, 1);
+        label.setAlpha(0.8);
+        label.setDepth(12);
+        
+        this.draw(0);
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    update(time, delta) {
+        const dt = Math.min(delta, 50) / 1000;
+        
+        // Readouts only show for bodies found in the pool this frame; drop those of removed bodies
+        this.readouts.forEach((readout, sprite) => {
+            readout.setVisible(false);
+            if (!sprite.active) {
+                readout.destroy();
+                this.readouts.delete(sprite);
+            }
+        });
+        
+        this.scene.getFluidBodies().forEach(sprite => {
+            const fraction = this.getSubmergedFraction(sprite);
+            
+            if (sprite === this.scene.player) {
+                if (fraction > 0 && this.fluid.lethal) {
+                    this.scene.killPlayer(`🌋 Burned by the ${this.fluid.name.toLowerCase()}!`);
+                    return;
+                }
+                if (this.scene.playerState.isPuzzleControlled) return;
+            }
+            
+            if (fraction > 0) {
+                this.applyForces(sprite, fraction, dt);
+            }
+            this.updateReadout(sprite, fraction);
+        });
+        
+        this.draw(time);
+    }
+    
+    /**
+     * Share of a body's height below the surface (0 when it isn't over this pool)
+     */
+    getSubmergedFraction(sprite) {
+        const body = sprite.body;
+        if (!body || body.center.x < this.left || body.center.x > this.right) return 0;
+        
+        const top = Math.max(body.top, this.surface);
+        const bottom = Math.min(body.bottom, this.bottom);
+        return Math.max(0, bottom - top) / body.height;
+    }
+    
+    /**
+     * Buoyancy and drag for one body, worked out in SI and applied to its arcade velocity
+     */
+    applyForces(sprite, fraction, dt) {
+        const physicsUtils = this.scene.physicsUtils;
+        const ppm = this.pixelsPerMeter;
+        const body = sprite.body;
+        const properties = sprite.fluidProperties;
+        
+        // Whatever stands on the body sinks it too
+        const mass = properties.mass + this.scene.getRiderMass(sprite);
+        const width = body.width / ppm;
+        const height = body.height / ppm;
+        const depth = properties.volume / (width * height);
+        
+        // Arcade gravity already pulls the body down; the fluid pushes back up with the local g (gravity zones included)
+        const gravity = this.scene.getGravityAt(sprite.x, sprite.y).y;
+        const buoyancy = physicsUtils.calculateBuoyantForce(this.fluid.density, properties.volume * fraction, gravity);
+        body.velocity.y -= buoyancy / mass * ppm * dt;
+        
+        // Drag against motion relative to the fluid, never strong enough to reverse it
+        const relative = {
+            x: body.velocity.x / ppm - this.current,
+            y: body.velocity.y / ppm
+        };
+        const areas = { x: height * fraction * depth, y: width * depth };
+        ['x', 'y'].forEach(axis => {
+            const speed = Math.abs(relative[axis]);
+            const drag = physicsUtils.calculateDragForce(this.fluid.density, speed, areas[axis], this.fluid.dragCoefficient);
+            const change = Math.min(speed, drag / mass * dt);
+            body.velocity[axis] -= Math.sign(relative[axis]) * change * ppm;
+        });
+    }
+    
+    /**
+     * Density and how deep it floats, above every crate in the pool
+     */
+    updateReadout(sprite, fraction) {
+        if (!this.config.readouts || sprite === this.scene.player || fraction <= 0) return;
+        
+        let readout = this.readouts.get(sprite);
+        if (!readout) {
+            readout = this.track(this.scene.add.text(0, 0, '', {
+                fontSize: '10px',
+                color: '#E3F2FD',
+                backgroundColor: '#000000',
+                padding: { x: 3, y: 1 },
+                align: 'center'
+            }));
+            readout.setOrigin(0.5, 1);
+            readout.setDepth(20);
+            this.readouts.set(sprite, readout);
+        }
+        
+        readout.setVisible(true);
+        
+        const properties = sprite.fluidProperties;
+        const density = Math.round(properties.mass / properties.volume);
+        const text = `${properties.name} ${density} kg/m³\n${Math.round(fraction * 100)}% under`;
+        if (readout.text !== text) {
+            readout.setText(text);
+        }
+        readout.setPosition(sprite.x, sprite.body.top - 4);
+    }
+    
+    draw(time) {
+        const graphics = this.graphics;
+        const width = this.right - this.left;
+        
+        graphics.clear();
+        graphics.fillStyle(this.color, this.fluid.lethal ? 0.8 : 0.45);
+        graphics.fillRect(this.left, this.surface, width, this.bottom - this.surface);
+        
+        // Rippling surface line
+        graphics.lineStyle(2, 0xFFFFFF, 0.5);
+        graphics.beginPath();
+        for (let x = 0; x <= width; x += 10) {
+            const y = this.surface + Math.sin(x / 25 + time / 400) * 1.5;
+            if (x === 0) {
+                graphics.moveTo(this.left + x, y);
+            } else {
+                graphics.lineTo(this.left + x, y);
+            }
+        }
+        graphics.strokePath();
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+        this.readouts.clear();
+    }
+}
+
+// Export for use in other modules
+window.FluidVolume = FluidVolume;
@@ -0,0 +1,285 @@
+/**
+ * Gravity Zones - Regions of a level with gravity of their own, and the switches that turn it round
+ * Each zone in the level's "gravityZones" list pulls with its own strength (an environment's, or a number
+ * in m/s²) in its own direction (degrees on screen, 90 = down). Inside a zone the player and crates fall that
+ * way instead of with the world's gravity, and the player turns to stand on whatever is now "down".
+ * Switches from "gravitySwitches" flip a zone's gravity by 180° when the player clicks them from close by
+ */
+
+class GravityZones {
+    constructor(scene, zoneConfigs, switchConfigs = []) {
+        this.scene = scene;
+        this.zoneConfigs = zoneConfigs;
+        this.switchConfigs = switchConfigs;
+        this.objects = [];
+        this.zones = {};
+        this.switches = {};
+    }
+    
+    create() {
+        this.zoneConfigs.forEach(config => this.createZone(config));
+        this.switchConfigs.forEach(config => this.createSwitch(config));
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    createZone(config) {
+        const environments = this.scene.physicsUtils.environments;
+        const environment = environments[config.environment] || null;
+        const zone = {
+            config: config,
+            // Bounds in pixels; x and y are the centre like trigger zones
+            left: config.x - config.width / 2,
+            right: config.x + config.width / 2,
+            top: config.y - config.height / 2,
+            bottom: config.y + config.height / 2,
+            strength: config.gravity !== undefined ? config.gravity : (environment || environments.earth).gravity, // m/s²
+            direction: config.direction !== undefined ? config.direction : 90,
+            name: config.name || (environment ? environment.name : 'Gravity Zone'),
+            color: Phaser.Display.Color.HexStringToColor(config.color || (environment ? environment.color : '#9C27B0')).color
+        };
+        zone.startDirection = zone.direction;
+        
+        zone.graphics = this.track(this.scene.add.graphics());
+        zone.graphics.setDepth(1);
+        
+        zone.label = this.track(this.scene.add.text(zone.left + 6, zone.top + 6, '', {
+            fontSize: '11px',
+            color: '#FFFFFF',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 }
+        }));
+        zone.label.setAlpha(0.85);
+        zone.label.setDepth(12);
+        
+        this.zones[config.id] = zone;
+        this.refreshZone(zone);
+        this.drawZone(zone, 0);
+        return zone;
+    }
+    
+    createSwitch(config) {
+        const lever = {
+            config: config,
+            range: config.range || 100
+        };
+        
+        // Switches hanging from a ceiling are drawn upside down
+        lever.graphics = this.track(this.scene.add.graphics({ x: config.x, y: config.y }));
+        lever.graphics.setRotation(config.hanging ? Math.PI : 0);
+        lever.graphics.setDepth(6);
+        
+        const hitArea = this.track(this.scene.add.rectangle(config.x, config.y + (config.hanging ? 12 : -12), 40, 44));
+        hitArea.setInteractive({ useHandCursor: true });
+        hitArea.on('pointerdown', () => this.useSwitch(config.id));
+        
+        this.switches[config.id] = lever;
+        this.drawSwitch(lever);
+        return lever;
+    }
+    
+    getZone(id) {
+        return this.zones[id] || null;
+    }
+    
+    /**
+     * The zone a point is in; where zones overlap the one listed last wins
+     */
+    getZoneAt(x, y) {
+        for (let i = this.zoneConfigs.length - 1; i >= 0; i--) {
+            const zone = this.zones[this.zoneConfigs[i].id];
+            if (x >= zone.left && x <= zone.right && y >= zone.top && y <= zone.bottom) {
+                return zone;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * A zone's gravity as a vector in m/s² on screen axes (y down)
+     */
+    getVector(zone) {
+        const radians = Phaser.Math.DegToRad(zone.direction);
+        return {
+            x: Math.cos(radians) * zone.strength,
+            y: Math.sin(radians) * zone.strength
+        };
+    }
+    
+    /**
+     * Gravity at a point in m/s²: the zone's there, otherwise the world's
+     */
+    getGravityAt(x, y) {
+        const zone = this.getZoneAt(x, y);
+        if (zone) {
+            return this.getVector(zone);
+        }
+        
+        const world = this.scene.physics.world.gravity;
+        return { x: world.x / this.pixelsPerMeter, y: world.y / this.pixelsPerMeter };
+    }
+    
+    /**
+     * Unit vector of "down" in a zone, rounded so that plain directions compare exactly;
+     * null when there is no gravity to stand on
+     */
+    getDown(zone) {
+        if (!zone) return { x: 0, y: 1 };
+        if (zone.strength === 0) return null;
+        
+        const radians = Phaser.Math.DegToRad(zone.direction);
+        return {
+            x: Math.round(Math.cos(radians) * 1000) / 1000,
+            y: Math.round(Math.sin(radians) * 1000) / 1000
+        };
+    }
+    
+    /**
+     * Turn a zone's gravity round
+     */
+    flip(id) {
+        const zone = this.getZone(id);
+        if (!zone) return;
+        
+        zone.direction = (zone.direction + 180) % 360;
+        this.refreshZone(zone);
+        Object.values(this.switches).forEach(lever => this.drawSwitch(lever));
+        this.scene.setInstruction(`🔄 Gravity in the ${zone.name} now points ${this.getArrow(zone.direction)}`, '#CE93D8');
+    }
+    
+    useSwitch(id) {
+        const lever = this.switches[id];
+        const player = this.scene.player;
+        if (!lever || !player) return;
+        
+        if (Phaser.Math.Distance.Between(player.x, player.y, lever.config.x, lever.config.y) > lever.range) {
+            this.scene.setInstruction('🔄 Get closer to the switch to pull it', '#FF9800');
+            return;
+        }
+        
+        this.flip(lever.config.zone);
+    }
+    
+    getArrow(direction) {
+        const arrows = ['→', '↘', '↓', '↙', '←', '↖', '↑', '↗'];
+        const angle = ((direction % 360) + 360) % 360;
+        return arrows[Math.round(angle / 45) % 8];
+    }
+    
+    refreshZone(zone) {
+        const text = `${zone.name} · ${zone.strength} m/s² ${zone.strength > 0 ? this.getArrow(zone.direction) : ''}`.trim();
+        if (zone.label.text !== text) {
+            zone.label.setText(text);
+        }
+    }
+    
+    update(time, delta) {
+        const ppm = this.pixelsPerMeter;
+        const world = this.scene.physics.world.gravity;
+        
+        this.scene.getGravityBodies().forEach(sprite => {
+            const body = sprite.body;
+            if (!body || !body.allowGravity) return;
+            
+            // Arcade adds a body's own gravity to the world's, so a zone's gravity goes in as the difference
+            if (!sprite.baseGravity) {
+                sprite.baseGravity = { x: body.gravity.x, y: body.gravity.y };
+            }
+            const zone = this.getZoneAt(body.center.x, body.center.y);
+            if (zone) {
+                const gravity = this.getVector(zone);
+                body.setGravity(gravity.x * ppm - world.x, gravity.y * ppm - world.y);
+            } else {
+                body.setGravity(sprite.baseGravity.x, sprite.baseGravity.y);
+            }
+            
+            // Keep the last "down" while floating in a zone without gravity
+            const down = this.getDown(zone);
+            if (!down) return;
+            
+            if (sprite === this.scene.player) {
+                this.scene.setPlayerGravityDown(down);
+            } else {
+                sprite.setFlipY(down.y < 0);
+            }
+        });
+        
+        Object.values(this.zones).forEach(zone => this.drawZone(zone, time));
+    }
+    
+    /**
+     * Tinted region with arrows drifting the way it pulls, faster in stronger gravity
+     */
+    drawZone(zone, time) {
+        const graphics = zone.graphics;
+        const spacing = 80;
+        const width = zone.right - zone.left;
+        const height = zone.bottom - zone.top;
+        
+        graphics.clear();
+        graphics.fillStyle(zone.color, 0.08);
+        graphics.fillRect(zone.left, zone.top, width, height);
+        graphics.lineStyle(1, zone.color, 0.5);
+        graphics.strokeRect(zone.left, zone.top, width, height);
+        
+        if (zone.strength === 0) return;
+        
+        const radians = Phaser.Math.DegToRad(zone.direction);
+        const dx = Math.cos(radians);
+        const dy = Math.sin(radians);
+        const drift = (time * zone.strength * 0.004) % spacing;
+        
+        graphics.lineStyle(2, zone.color, 0.35);
+        for (let x = zone.left + spacing / 2; x < zone.right; x += spacing) {
+            for (let y = zone.top + spacing / 2; y < zone.bottom; y += spacing) {
+                // Drift along the pull, wrapping back inside the zone
+                const ax = zone.left + Phaser.Math.Wrap(x - zone.left + dx * drift, 0, width);
+                const ay = zone.top + Phaser.Math.Wrap(y - zone.top + dy * drift, 0, height);
+                const tailX = ax - dx * 14;
+                const tailY = ay - dy * 14;
+                graphics.lineBetween(tailX, tailY, ax, ay);
+                graphics.lineBetween(ax, ay, ax - Math.cos(radians - 0.5) * 6, ay - Math.sin(radians - 0.5) * 6);
+                graphics.lineBetween(ax, ay, ax - Math.cos(radians + 0.5) * 6, ay - Math.sin(radians + 0.5) * 6);
+            }
+        }
+    }
+    
+    /**
+     * Lever on a base plate, thrown over while its zone is flipped
+     */
+    drawSwitch(lever) {
+        const zone = this.getZone(lever.config.zone);
+        const flipped = zone && zone.direction !== zone.startDirection;
+        const angle = flipped ? 0.5 : -0.5;
+        const graphics = lever.graphics;
+        
+        graphics.clear();
+        graphics.fillStyle(0x455A64);
+        graphics.fillRect(-14, -6, 28, 6);
+        graphics.lineStyle(4, 0x90A4AE);
+        graphics.lineBetween(0, -6, Math.sin(angle) * 26, -6 - Math.cos(angle) * 26);
+        graphics.fillStyle(flipped ? 0xCE93D8 : 0x66BB6A);
+        graphics.fillCircle(Math.sin(angle) * 26, -6 - Math.cos(angle) * 26, 5);
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+        this.zones = {};
+        this.switches = {};
+    }
+}
+
+// Export for use in other modules
+window.GravityZones = GravityZones;
@@ -0,0 +1,94 @@
+/**
+ * Level Object - Shared behaviour for the puzzles, hazards and machines LevelScene builds from level data
+ * BasePuzzle, BaseHazard and BaseMachine extend it with what is particular to each
+ */
+
+class LevelObject {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = config;
+        this.objects = [];
+    }
+    
+    create() {
+        // Override in subclasses
+    }
+    
+    update(time, delta) {
+        // Override in subclasses
+    }
+    
+    /**
+     * Local gravity in m/s² (gravity zones included)
+     */
+    get gravity() {
+        const anchor = this.anchor;
+        return this.scene.getGravityAt(anchor.x, anchor.y).y;
+    }
+    
+    /**
+     * Point (px) the object's gravity is read at
+     */
+    get anchor() {
+        return { x: this.config.x, y: this.config.y };
+    }
+    
+    /**
+     * Pixels per meter of the game world
+     */
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    get player() {
+        return this.scene.player;
+    }
+    
+    /**
+     * Player's mass in kg, the same one the level scene and HUD use
+     */
+    get playerMass() {
+        return this.scene.playerMass;
+    }
+    
+    /**
+     * Keep track of a display object so destroy() cleans it up
+     */
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    setInstruction(text, color = '#FFFFFF') {
+        this.scene.setInstruction(text, color);
+    }
+    
+    /**
+     * Show the outcome of an attempt using the HUD's result panel
+     */
+    showResult(message, success) {
+        const color = success ? '#4CAF50' : '#FF9800';
+        this.scene.showEnhancedResultMessage(message, success, color);
+    }
+    
+    /**
+     * Whether the player is standing inside a horizontal span
+     */
+    isPlayerOn(span) {
+        const player = this.player;
+        const grounded = player.body.blocked.down || player.body.touching.down;
+        return grounded && Math.abs(player.x - span.x) <= span.width / 2;
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+    }
+}
+
+// Export for use in other modules
+window.LevelObject = LevelObject;
@@ -0,0 +1,307 @@
+/**
+ * Magnetic Field - The level's magnets and the pushes and pulls they give magnetic bodies
+ * Builds bar magnets and electromagnets from the level's "magnets" list into a MagneticFieldModel.
+ * Electromagnets switch on and off when clicked; their current builds up and dies away over rampTime
+ * like a real coil's. Crates of the "magnetic" material are soft iron pulled toward either pole, or
+ * magnets themselves when they have a "magnet" section. Field lines are drawn over the level
+ */
+
+class MagneticField {
+    constructor(scene, configs, options = {}) {
+        this.scene = scene;
+        this.configs = configs;
+        this.options = options;
+        this.objects = [];
+        this.magnets = {};
+        this.bodySources = new Map();
+        this.model = new MagneticFieldModel();
+        this.lastFieldLines = -Infinity;
+    }
+    
+    create() {
+        this.fieldLines = this.track(this.scene.add.graphics());
+        this.fieldLines.setDepth(9);
+        this.fieldLines.setVisible(this.options.fieldLines !== false);
+        
+        this.configs.forEach(config => this.createMagnet(config));
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    createMagnet(config) {
+        const ppm = this.pixelsPerMeter;
+        const electromagnet = config.type === 'electromagnet';
+        const length = config.length || 0.5;
+        const width = config.width || 0.3;
+        const magnet = {
+            config: config,
+            electromagnet: electromagnet,
+            on: electromagnet ? config.on === true : true,
+            current: config.current || 0, // A, what the coil is set to
+            actualCurrent: 0, // A, what is flowing right now
+            source: this.model.addMagnet({
+                x: config.x / ppm,
+                y: config.y / ppm,
+                angle: config.angle || 0,
+                length: length,
+                strength: electromagnet ? 0 : config.strength
+            })
+        };
+        
+        // Solid like a platform, using the box around it
+        const radians = Phaser.Math.DegToRad(magnet.source.angle);
+        const boxWidth = Math.abs(Math.cos(radians)) * length * ppm + Math.abs(Math.sin(radians)) * width * ppm;
+        const boxHeight = Math.abs(Math.sin(radians)) * length * ppm + Math.abs(Math.cos(radians)) * width * ppm;
+        const block = this.track(this.scene.add.rectangle(config.x, config.y, boxWidth, boxHeight));
+        this.scene.platforms.add(block);
+        
+        // Body along the magnet's axis: red north half, blue south half, or a copper coil
+        magnet.graphics = this.track(this.scene.add.container(config.x, config.y));
+        magnet.graphics.setRotation(radians);
+        magnet.graphics.setDepth(4);
+        const half = length * ppm / 2;
+        const thickness = width * ppm;
+        if (electromagnet) {
+            const core = this.scene.add.rectangle(0, 0, half * 2, thickness, 0x616161);
+            const windings = this.scene.add.graphics();
+            windings.lineStyle(3, 0xB87333);
+            for (let x = -half + 6; x < half - 4; x += 7) {
+                windings.lineBetween(x, -thickness / 2, x + 3, thickness / 2);
+            }
+            magnet.graphics.add([core, windings]);
+            magnet.glow = this.scene.add.rectangle(0, 0, half * 2 + 6, thickness + 6);
+            magnet.glow.setStrokeStyle(2, 0x4FC3F7);
+            magnet.graphics.add(magnet.glow);
+        } else {
+            magnet.graphics.add([
+                this.scene.add.rectangle(half / 2, 0, half, thickness, 0xE53935),
+                this.scene.add.rectangle(-half / 2, 0, half, thickness, 0x1E88E5)
+            ]);
+        }
+        
+        magnet.poleLabels = ['N', 'S'].map(name => {
+            const label = this.track(this.scene.add.text(0, 0, name, {
+                fontSize: '12px',
+                color: '#FFFFFF',
+                fontStyle: 'bold'
+            }));
+            label.setOrigin(0.5);
+            label.setDepth(5);
+            return label;
+        });
+        
+        if (electromagnet) {
+            magnet.label = this.track(this.scene.add.text(config.x, config.y - boxHeight / 2 - 6, '', {
+                fontSize: '11px',
+                color: '#FFE082',
+                backgroundColor: '#000000',
+                padding: { x: 4, y: 2 }
+            }));
+            magnet.label.setOrigin(0.5, 1);
+            magnet.label.setDepth(20);
+            
+            const area = magnet.graphics.getAt(0);
+            area.setInteractive({ useHandCursor: true });
+            area.on('pointerdown', () => this.toggle(config.id));
+        }
+        
+        this.magnets[config.id] = magnet;
+        this.refreshMagnet(magnet);
+        return magnet;
+    }
+    
+    getMagnet(id) {
+        return this.magnets[id] || null;
+    }
+    
+    /**
+     * Pole strength of an electromagnet per amp of current, N·A/L (A·m per A)
+     */
+    getCoilStrengthPerAmp(magnet) {
+        const config = magnet.config;
+        return MagneticFieldModel.getCoilStrength(config.turns, 1, config.area, config.length || 0.5);
+    }
+    
+    setCurrent(id, current) {
+        const magnet = this.getMagnet(id);
+        if (!magnet || !magnet.electromagnet) return;
+        
+        magnet.current = current;
+        magnet.on = true;
+        this.refreshMagnet(magnet);
+    }
+    
+    toggle(id) {
+        const magnet = this.getMagnet(id);
+        if (!magnet || !magnet.electromagnet) return;
+        
+        magnet.on = !magnet.on;
+        this.refreshMagnet(magnet);
+        this.scene.setInstruction(`🧲 Electromagnet ${magnet.on ? 'on' : 'off'}`, magnet.on ? '#4FC3F7' : '#AAAAAA');
+    }
+    
+    /**
+     * Pole labels, glow and current readout for the magnet's present state
+     */
+    refreshMagnet(magnet) {
+        const ppm = this.pixelsPerMeter;
+        const poles = this.model.getPoles(Object.assign({}, magnet.source, { strength: 1 }));
+        const reversed = magnet.source.strength < 0;
+        const showPoles = !magnet.electromagnet || magnet.actualCurrent !== 0;
+        
+        magnet.poleLabels.forEach((label, index) => {
+            const pole = poles[reversed ? 1 - index : index];
+            label.setPosition(pole.x * ppm, pole.y * ppm);
+            label.setVisible(showPoles);
+        });
+        
+        if (magnet.electromagnet) {
+            magnet.glow.setVisible(magnet.on);
+            const text = `${magnet.on ? '🔌 ON' : '⭘ OFF'} · ${magnet.actualCurrent.toFixed(0)} A`;
+            if (magnet.label.text !== text) {
+                magnet.label.setText(text);
+            }
+        }
+    }
+    
+    update(time, delta) {
+        const dt = Math.min(delta, 50) / 1000;
+        
+        // Coil currents chase their setting with time constant rampTime (L/R)
+        Object.values(this.magnets).forEach(magnet => {
+            if (!magnet.electromagnet) return;
+            
+            const target = magnet.on ? magnet.current : 0;
+            const rampTime = magnet.config.rampTime || 0.5;
+            magnet.actualCurrent += (target - magnet.actualCurrent) * (1 - Math.exp(-dt / rampTime));
+            if (Math.abs(target - magnet.actualCurrent) < 0.05) {
+                magnet.actualCurrent = target;
+            }
+            magnet.source.strength = this.getCoilStrengthPerAmp(magnet) * magnet.actualCurrent;
+            this.refreshMagnet(magnet);
+        });
+        
+        this.syncBodySources();
+        
+        this.scene.getMagneticBodies().forEach(sprite => {
+            const force = this.getForce(sprite);
+            const mass = sprite.magneticProperties.mass + this.scene.getRiderMass(sprite);
+            sprite.body.velocity.x += force.x / mass * this.pixelsPerMeter * dt;
+            sprite.body.velocity.y += force.y / mass * this.pixelsPerMeter * dt;
+        });
+        
+        // Field lines change as coils ramp and magnets move; ten redraws a second is plenty
+        if (this.fieldLines.visible && time - this.lastFieldLines > 100) {
+            this.lastFieldLines = time;
+            this.drawFieldLines();
+        }
+    }
+    
+    /**
+     * Magnetised bodies are field sources too; keep theirs where the bodies are
+     */
+    syncBodySources() {
+        const ppm = this.pixelsPerMeter;
+        
+        this.bodySources.forEach((source, sprite) => {
+            if (!sprite.active) {
+                this.model.removeMagnet(source);
+                this.bodySources.delete(sprite);
+            }
+        });
+        
+        this.scene.getMagneticBodies().forEach(sprite => {
+            const magnet = sprite.magneticProperties.magnet;
+            if (!magnet) return;
+            
+            let source = this.bodySources.get(sprite);
+            if (!source) {
+                source = this.model.addMagnet({
+                    angle: magnet.angle || 0,
+                    length: magnet.length || sprite.displayHeight / ppm,
+                    strength: magnet.strength
+                });
+                this.bodySources.set(sprite, source);
+            }
+            source.x = sprite.x / ppm;
+            source.y = sprite.y / ppm;
+        });
+    }
+    
+    /**
+     * Magnetic force on a body in newtons
+     */
+    getForce(sprite) {
+        const ppm = this.pixelsPerMeter;
+        const source = this.bodySources.get(sprite);
+        if (source) {
+            return this.model.getMagnetForce(source);
+        }
+        
+        const properties = sprite.magneticProperties;
+        return this.model.getInducedForce(sprite.x / ppm, sprite.y / ppm, properties.volume, properties.susceptibility);
+    }
+    
+    /**
+     * Trace lines out of every north pole until they reach a south pole or leave the screen
+     */
+    drawFieldLines() {
+        const ppm = this.pixelsPerMeter;
+        const graphics = this.fieldLines;
+        const bounds = {
+            left: 0,
+            top: 0,
+            right: this.scene.gameWidth / ppm,
+            bottom: this.scene.gameHeight / ppm
+        };
+        const linesPerPole = this.options.linesPerPole || 10;
+        
+        graphics.clear();
+        graphics.lineStyle(1, 0x80DEEA, 0.4);
+        
+        this.model.sources.forEach(source => {
+            if (!source.enabled || source.strength === 0) return;
+            
+            const north = this.model.getPoles(source).find(pole => pole.q > 0);
+            for (let i = 0; i < linesPerPole; i++) {
+                const angle = 2 * Math.PI * (i + 0.5) / linesPerPole;
+                const start = {
+                    x: north.x + Math.cos(angle) * 0.08,
+                    y: north.y + Math.sin(angle) * 0.08
+                };
+                const points = this.model.traceFieldLine(start, { step: 0.06, maxSteps: 250, bounds: bounds });
+                if (points.length < 3) continue;
+                
+                graphics.strokePoints(points.map(point => ({ x: point.x * ppm, y: point.y * ppm })));
+                
+                // Arrowhead halfway along, pointing from north to south
+                const middle = Math.floor(points.length / 2);
+                const a = points[middle - 1];
+                const b = points[middle];
+                const direction = Math.atan2(b.y - a.y, b.x - a.x);
+                graphics.lineBetween(b.x * ppm, b.y * ppm, b.x * ppm - Math.cos(direction - 0.5) * 6, b.y * ppm - Math.sin(direction - 0.5) * 6);
+                graphics.lineBetween(b.x * ppm, b.y * ppm, b.x * ppm - Math.cos(direction + 0.5) * 6, b.y * ppm - Math.sin(direction + 0.5) * 6);
+            }
+        });
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+        this.bodySources.clear();
+    }
+}
+
+// Export for use in other modules
+window.MagneticField = MagneticField;
@@ -0,0 +1,171 @@
+/**
+ * Pendulum - A rope and bob swinging from a pivot under the level's gravity
+ * Times its own swings and labels the measured period next to T = 2π√(L/g), so the same rope
+ * visibly ticks slower on the Moon and faster on Jupiter. Puzzles build these from their config
+ */
+
+class Pendulum {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = config;
+        this.objects = [];
+        this.labelText = '';
+        
+        this.bobMass = config.bobMass || 5; // kg
+        this.model = new PendulumModel({
+            length: config.length,
+            amplitude: config.releaseAngle === undefined ? 30 : config.releaseAngle,
+            gravity: scene.getGravityAt(config.pivot.x, config.pivot.y).y,
+            damping: config.damping || 0
+        });
+    }
+    
+    create() {
+        const pivot = this.config.pivot;
+        
+        this.rope = this.track(this.scene.add.graphics());
+        this.rope.setDepth(4);
+        
+        const bolt = this.track(this.scene.add.circle(pivot.x, pivot.y, 6, 0x616161));
+        bolt.setStrokeStyle(2, 0x424242);
+        bolt.setDepth(5);
+        
+        // Heavier bobs are drawn bigger, though the period doesn't care
+        const radius = 8 + Math.min(10, Math.sqrt(this.bobMass) * 2);
+        this.bob = this.track(this.scene.add.circle(0, 0, radius, 0xFFB300));
+        this.bob.setStrokeStyle(3, 0xFF6F00);
+        this.bob.setDepth(6);
+        
+        this.massLabel = this.track(this.scene.add.text(0, 0, `${this.bobMass} kg`, {
+            fontSize: '10px',
+            color: '#3E2723',
+            fontStyle: 'bold'
+        }));
+        this.massLabel.setOrigin(0.5);
+        this.massLabel.setDepth(7);
+        
+        this.label = this.track(this.scene.add.text(pivot.x, pivot.y - 14, '', {
+            fontSize: '11px',
+            color: '#FFE082',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 },
+            align: 'center'
+        }));
+        this.label.setOrigin(0.5, 1);
+        this.label.setDepth(20);
+        
+        this.draw();
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get length() {
+        return this.model.length;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    /**
+     * Local gravity at the pivot in m/s² (gravity zones included)
+     */
+    get gravity() {
+        return this.scene.getGravityAt(this.config.pivot.x, this.config.pivot.y).y;
+    }
+    
+    /**
+     * Change the rope length (m) and let the bob go again from its release angle
+     */
+    setLength(length) {
+        this.model.setLength(length);
+        this.release();
+    }
+    
+    release(angle = this.config.releaseAngle === undefined ? 30 : this.config.releaseAngle) {
+        this.model.release(angle);
+        this.draw();
+    }
+    
+    update(time, delta) {
+        // Cap the step so a dropped frame can't kick the swing
+        this.model.gravity = this.gravity;
+        this.model.step(Math.min(delta, 50) / 1000);
+        this.draw();
+    }
+    
+    /**
+     * Bob position in pixels
+     */
+    getBobPosition() {
+        const offset = this.model.getBobOffset();
+        return {
+            x: this.config.pivot.x + offset.x * this.pixelsPerMeter,
+            y: this.config.pivot.y + offset.y * this.pixelsPerMeter
+        };
+    }
+    
+    /**
+     * Bob velocity in pixels per second
+     */
+    getBobVelocity() {
+        const velocity = this.model.getBobVelocity();
+        return {
+            x: velocity.x * this.pixelsPerMeter,
+            y: velocity.y * this.pixelsPerMeter
+        };
+    }
+    
+    getMeasuredPeriod() {
+        return this.model.measuredPeriod;
+    }
+    
+    getPredictedPeriod() {
+        return this.model.getSmallAnglePeriod();
+    }
+    
+    draw() {
+        const pivot = this.config.pivot;
+        const bob = this.getBobPosition();
+        
+        this.rope.clear();
+        this.rope.lineStyle(3, 0xBCAAA4);
+        this.rope.lineBetween(pivot.x, pivot.y, bob.x, bob.y);
+        
+        this.bob.setPosition(bob.x, bob.y);
+        this.massLabel.setPosition(bob.x, bob.y);
+        
+        // Only touch the label when the numbers change
+        const text = this.formatPeriods();
+        if (text !== this.labelText) {
+            this.labelText = text;
+            this.label.setText(text);
+        }
+    }
+    
+    formatPeriods() {
+        const predicted = this.getPredictedPeriod();
+        if (!isFinite(predicted)) {
+            return `L = ${this.length.toFixed(2)} m · no gravity, no swing back`;
+        }
+        
+        const measured = this.getMeasuredPeriod();
+        return `L = ${this.length.toFixed(2)} m · T measured ${measured === null ? 'timing...' : `${measured.toFixed(2)} s`}\n` +
+               `2π√(L/g) = ${predicted.toFixed(2)} s`;
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+    }
+}
+
+// Export for use in other modules
+window.Pendulum = Pendulum;
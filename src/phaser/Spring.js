@@ -0,0 +1,291 @@
+/**
+ * Spring - A coil spring with its own spring constant and rest length, built by puzzles from their config
+ * As a "launcher" it stands in a pit under a solid pad flush with the floor; squeezing it lowers the pad
+ * and releasing it throws whoever stands there upward. As a "scale" it hangs from a bracket and weighs
+ * whatever is hung on its hook: a dial geared to the hook reads the spring's pull kx in newtons, which
+ * settles at the load's weight mg in the local gravity
+ */
+
+class Spring {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = config;
+        this.objects = [];
+        this.compression = 0;
+        this.load = null;
+        this.readingText = '';
+        
+        this.model = new SpringModel({
+            k: config.k,
+            restLength: config.restLength || 0.5,
+            damping: config.damping === undefined ? 4 : config.damping
+        });
+    }
+    
+    create() {
+        this.coil = this.track(this.scene.add.graphics());
+        this.coil.setDepth(5);
+        
+        if (this.isScale) {
+            this.createScale();
+        } else {
+            this.createLauncher();
+        }
+        
+        this.label = this.track(this.scene.add.text(0, 0, '', {
+            fontSize: '11px',
+            color: '#FFE082',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 },
+            align: 'center'
+        }));
+        this.label.setOrigin(0.5, 0);
+        this.label.setDepth(20);
+        
+        this.draw();
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    get isScale() {
+        return this.config.mode === 'scale';
+    }
+    
+    get width() {
+        return this.config.width || 60;
+    }
+    
+    get k() {
+        return this.model.k;
+    }
+    
+    get restLength() {
+        return this.model.restLength;
+    }
+    
+    /**
+     * Deepest squeeze the coil allows before it is solid (m)
+     */
+    get maxCompression() {
+        return this.config.maxCompression || this.restLength * 0.9;
+    }
+    
+    /**
+     * Local gravity in m/s² (gravity zones included)
+     */
+    get gravity() {
+        return this.scene.getGravityAt(this.config.x, this.config.y).y;
+    }
+    
+    createLauncher() {
+        const ppm = this.pixelsPerMeter;
+        const baseY = this.config.y + this.restLength * ppm;
+        
+        const base = this.track(this.scene.add.rectangle(this.config.x, baseY + 4, this.width, 8, 0x455A64));
+        base.setDepth(5);
+        
+        // The pad is solid so the player can stand on it; its top sits at the floor when the spring is relaxed
+        this.pad = this.track(this.scene.add.rectangle(this.config.x, this.config.y + 6, this.width, 12, 0xE53935));
+        this.pad.setStrokeStyle(2, 0xB71C1C);
+        this.pad.setDepth(6);
+        this.scene.platforms.add(this.pad);
+    }
+    
+    createScale() {
+        const bracket = this.track(this.scene.add.rectangle(this.config.x, this.config.y - 5, 60, 10, 0x607D8B));
+        bracket.setStrokeStyle(2, 0x37474F);
+        bracket.setDepth(6);
+        
+        this.hook = this.track(this.scene.add.graphics());
+        this.hook.setDepth(6);
+        
+        // Box for whatever hangs on the hook, with its name on it
+        this.loadBox = this.track(this.scene.add.rectangle(this.config.x, this.config.y, 36, 30, 0x8D6E63));
+        this.loadBox.setStrokeStyle(2, 0x5D4037);
+        this.loadBox.setDepth(6);
+        this.loadLabel = this.track(this.scene.add.text(this.config.x, this.config.y, '', {
+            fontSize: '10px',
+            color: '#FFFFFF',
+            fontStyle: 'bold',
+            align: 'center'
+        }));
+        this.loadLabel.setOrigin(0.5);
+        this.loadLabel.setDepth(7);
+        
+        // Dial face, graduated every tenth of its full-scale reading
+        const dialX = this.config.x + 60;
+        const dialY = this.config.y + 30;
+        const dial = this.track(this.scene.add.circle(dialX, dialY, 26, 0xFAFAFA));
+        dial.setStrokeStyle(3, 0x455A64);
+        dial.setDepth(6);
+        this.needle = this.track(this.scene.add.graphics({ x: dialX, y: dialY }));
+        this.needle.setDepth(7);
+        
+        const ticks = this.track(this.scene.add.graphics({ x: dialX, y: dialY }));
+        ticks.setDepth(7);
+        ticks.lineStyle(1, 0x263238);
+        for (let i = 0; i <= 10; i++) {
+            const angle = this.getNeedleAngle(this.maxReading * i / 10);
+            ticks.lineBetween(Math.cos(angle) * 20, Math.sin(angle) * 20, Math.cos(angle) * 25, Math.sin(angle) * 25);
+        }
+    }
+    
+    /**
+     * Full-scale reading of the dial (N)
+     */
+    get maxReading() {
+        return this.config.maxReading || 1000;
+    }
+    
+    /**
+     * The needle sweeps 300° from the bottom left round to the bottom right
+     */
+    getNeedleAngle(reading) {
+        const share = Phaser.Math.Clamp(reading / this.maxReading, 0, 1);
+        return Phaser.Math.DegToRad(120 + share * 300);
+    }
+    
+    /**
+     * Pull the spring is putting on its hook right now, kx (N)
+     */
+    get reading() {
+        return -this.model.getForce(this.model.extension);
+    }
+    
+    /**
+     * Hang a load { name, mass } on the scale's hook, or null to empty it
+     */
+    hang(load) {
+        this.load = load;
+        this.model.hang(load ? load.mass : 0);
+        this.draw();
+    }
+    
+    /**
+     * Squeeze the launcher by x m, lowering its pad
+     */
+    setCompression(compression) {
+        this.compression = Phaser.Math.Clamp(compression, 0, this.maxCompression);
+        this.movePad();
+        this.draw();
+    }
+    
+    /**
+     * Let the launcher go: the pad snaps back to the floor and the squeeze it had is returned
+     */
+    release() {
+        const compression = this.compression;
+        this.compression = 0;
+        this.movePad();
+        this.draw();
+        return compression;
+    }
+    
+    movePad() {
+        this.pad.y = this.config.y + this.compression * this.pixelsPerMeter + 6;
+        this.pad.body.updateFromGameObject();
+    }
+    
+    /**
+     * Whether the player is standing on the launcher's pad
+     */
+    isPlayerOnPad() {
+        const player = this.scene.player;
+        const grounded = player.body.blocked.down || player.body.touching.down;
+        return grounded && Math.abs(player.x - this.config.x) <= this.width / 2 &&
+               Math.abs(player.body.bottom - this.pad.getTopCenter().y) < 4;
+    }
+    
+    update(time, delta) {
+        if (!this.isScale) return;
+        
+        this.model.step(Math.min(delta, 50) / 1000, this.gravity);
+        this.draw();
+    }
+    
+    draw() {
+        const ppm = this.pixelsPerMeter;
+        const x = this.config.x;
+        
+        if (this.isScale) {
+            const top = this.config.y;
+            const bottom = top + this.model.getLength() * ppm;
+            this.drawCoil(top, bottom, 8);
+            
+            this.hook.clear();
+            this.hook.lineStyle(2, 0x90A4AE);
+            this.hook.lineBetween(x, bottom, x, bottom + 8);
+            this.hook.strokeCircle(x, bottom + 12, 4);
+            
+            this.loadBox.setVisible(this.load !== null);
+            this.loadLabel.setVisible(this.load !== null);
+            if (this.load) {
+                this.loadBox.setPosition(x, bottom + 31);
+                this.loadLabel.setPosition(x, bottom + 31);
+                if (this.loadLabel.text !== this.load.name) {
+                    this.loadLabel.setText(this.load.name);
+                }
+            }
+            
+            const angle = this.getNeedleAngle(this.reading);
+            this.needle.clear();
+            this.needle.lineStyle(2, 0xD32F2F);
+            this.needle.lineBetween(0, 0, Math.cos(angle) * 22, Math.sin(angle) * 22);
+            
+            this.setLabel(`k = ${this.k} N/m\nReads ${this.reading.toFixed(0)} N`, this.config.x + 60, this.config.y + 60);
+        } else {
+            const top = this.config.y + this.compression * ppm + 12;
+            const bottom = this.config.y + this.restLength * ppm;
+            this.drawCoil(top, bottom, this.width / 2 - 8);
+            
+            const energy = this.model.getStoredEnergy(this.compression);
+            this.setLabel(`k = ${this.k} N/m, rest ${this.restLength} m\nSqueezed ${this.compression.toFixed(2)} m · ½kx² = ${energy.toFixed(0)} J`, x, bottom + 10);
+        }
+    }
+    
+    setLabel(text, x, y) {
+        this.label.setPosition(x, y);
+        if (text !== this.readingText) {
+            this.readingText = text;
+            this.label.setText(text);
+        }
+    }
+    
+    /**
+     * Zig-zag coil between two heights
+     */
+    drawCoil(top, bottom, halfWidth) {
+        const x = this.config.x;
+        const turns = 8;
+        
+        this.coil.clear();
+        this.coil.lineStyle(3, 0xB0BEC5);
+        this.coil.beginPath();
+        this.coil.moveTo(x, top);
+        for (let i = 1; i <= turns; i++) {
+            const side = i % 2 === 0 ? -1 : 1;
+            this.coil.lineTo(x + side * halfWidth, top + (bottom - top) * i / (turns + 1));
+        }
+        this.coil.lineTo(x, bottom);
+        this.coil.strokePath();
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+    }
+}
+
+// Export for use in other modules
+window.Spring = Spring;
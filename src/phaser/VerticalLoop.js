@@ -0,0 +1,236 @@
+/**
+ * Vertical Loop - A circular loop of track standing on the floor, for a cart to ride round on the inside
+ * The cart is stepped round by its angle from the bottom, slowing on the way up and speeding up on the way down.
+ * Arrows on the cart show its weight and the track's push toward the centre; when the speed is too low for
+ * the circle the push falls to zero and the cart drops away from the track as a projectile.
+ * Puzzles build these from their config and hand over the sprite of the cart sent round it
+ */
+
+class VerticalLoop {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = config;
+        this.objects = [];
+        this.state = 'idle';
+        this.cart = null;
+        this.sprite = null;
+        this.fall = null;
+        this.exitSpeed = 0;
+        
+        this.model = new CircularMotionModel({ gravity: this.gravity });
+    }
+    
+    create() {
+        const ppm = this.pixelsPerMeter;
+        const centre = this.centre;
+        const radius = this.radius * ppm;
+        
+        const graphics = this.track(this.scene.add.graphics());
+        graphics.setDepth(3);
+        
+        // Legs holding the loop up
+        graphics.lineStyle(4, 0x5D4037);
+        graphics.lineBetween(centre.x - radius * 0.7, centre.y + radius * 0.7, centre.x - radius, this.config.y);
+        graphics.lineBetween(centre.x + radius * 0.7, centre.y + radius * 0.7, centre.x + radius, this.config.y);
+        
+        graphics.lineStyle(5, 0xB0BEC5);
+        graphics.strokeCircle(centre.x, centre.y, radius);
+        
+        this.arrows = this.track(this.scene.add.graphics());
+        this.arrows.setDepth(8);
+        
+        const label = this.track(this.scene.add.text(centre.x, centre.y - radius - 10,
+            `r = ${this.radius} m\nNeeds v ≥ √(5gr) = ${this.model.getMinEntrySpeed(this.radius).toFixed(2)} m/s at the bottom`, {
+                fontSize: '11px',
+                color: '#FFE082',
+                backgroundColor: '#000000',
+                padding: { x: 4, y: 2 },
+                align: 'center'
+            }));
+        label.setOrigin(0.5, 1);
+        label.setDepth(20);
+    }
+    
+    track(object) {
+        this.objects.push(object);
+        return object;
+    }
+    
+    get pixelsPerMeter() {
+        return this.scene.pixelsPerMeter;
+    }
+    
+    /**
+     * Local gravity in m/s² (gravity zones included)
+     */
+    get gravity() {
+        return this.scene.getGravityAt(this.config.x, this.config.y).y;
+    }
+    
+    /**
+     * Radius of the loop (m)
+     */
+    get radius() {
+        return this.config.radius;
+    }
+    
+    /**
+     * Centre of the loop in pixels; config.y is the track at its bottom
+     */
+    get centre() {
+        return {
+            x: this.config.x,
+            y: this.config.y - this.radius * this.pixelsPerMeter
+        };
+    }
+    
+    /**
+     * Send a cart { mass } into the loop from the bottom at a speed (m/s)
+     */
+    start(speed, cart, sprite) {
+        this.cart = Object.assign({ angle: 0, speed: speed }, cart);
+        this.sprite = sprite;
+        this.state = 'looping';
+        this.placeCart();
+    }
+    
+    /**
+     * Weight's share toward the centre and the track's push on the cart right now (N)
+     */
+    getForces() {
+        if (this.state !== 'looping') return null;
+        
+        return this.model.getLoopForces(this.cart.mass, this.cart.speed, this.radius, this.cart.angle);
+    }
+    
+    update(time, delta) {
+        const dt = Math.min(delta, 50) / 1000;
+        this.model.gravity = this.gravity;
+        
+        if (this.state === 'looping') {
+            this.updateLoop(dt);
+        } else if (this.state === 'falling') {
+            this.updateFall(dt);
+        }
+    }
+    
+    updateLoop(dt) {
+        const next = this.model.stepLoop(this.cart, dt, this.radius);
+        this.cart.angle = next.angle;
+        this.cart.speed = next.speed;
+        
+        if (next.normal < 0) {
+            this.leaveTrack();
+            return;
+        }
+        
+        if (this.cart.angle >= 2 * Math.PI) {
+            this.finish('exited', this.cart.speed);
+            return;
+        }
+        
+        // Too slow to reach the top: it slides back down and out the way it came
+        if (this.cart.angle <= 0 && this.cart.speed < 0) {
+            this.finish('rolledBack', -this.cart.speed);
+            return;
+        }
+        
+        this.placeCart();
+        this.drawArrows();
+    }
+    
+    finish(state, speed) {
+        this.state = state;
+        this.exitSpeed = speed;
+        this.cart.angle = 0;
+        this.placeCart();
+        this.arrows.clear();
+    }
+    
+    /**
+     * The track can't pull, so the cart carries on from here with just its velocity and gravity
+     */
+    leaveTrack() {
+        const ppm = this.pixelsPerMeter;
+        const angle = this.cart.angle;
+        this.state = 'falling';
+        this.fall = {
+            angle: angle,
+            speed: this.cart.speed,
+            vx: this.cart.speed * Math.cos(angle) * ppm,
+            vy: -this.cart.speed * Math.sin(angle) * ppm
+        };
+        this.arrows.clear();
+    }
+    
+    updateFall(dt) {
+        const ppm = this.pixelsPerMeter;
+        this.fall.vy += this.gravity * ppm * dt;
+        this.sprite.x += this.fall.vx * dt;
+        this.sprite.y += this.fall.vy * dt;
+        this.sprite.rotation += 4 * dt;
+        
+        if (this.sprite.y + this.sprite.height / 2 >= this.config.y) {
+            this.sprite.y = this.config.y - this.sprite.height / 2;
+            this.state = 'crashed';
+            this.scene.cameras.main.shake(200, 0.005);
+        }
+    }
+    
+    /**
+     * Ride on the inside of the rail, wheels toward it
+     */
+    placeCart() {
+        const centre = this.centre;
+        const distance = this.radius * this.pixelsPerMeter - this.sprite.height / 2 - 3;
+        const angle = this.cart.angle;
+        
+        this.sprite.setPosition(centre.x + distance * Math.sin(angle), centre.y + distance * Math.cos(angle));
+        this.sprite.setRotation(-angle);
+    }
+    
+    /**
+     * Weight straight down and the track's push toward the centre, both to the same scale
+     */
+    drawArrows() {
+        const forces = this.getForces();
+        const weight = this.cart.mass * this.gravity;
+        const scale = 24 / weight;
+        const angle = this.cart.angle;
+        const x = this.sprite.x;
+        const y = this.sprite.y;
+        
+        this.arrows.clear();
+        this.drawArrow(x, y, 0, weight * scale, 0xFF9800);
+        this.drawArrow(x, y, -Math.sin(angle) * forces.normal * scale, -Math.cos(angle) * forces.normal * scale, 0x4CAF50);
+    }
+    
+    drawArrow(x, y, dx, dy, color) {
+        const length = Math.hypot(dx, dy);
+        if (length < 2) return;
+        
+        const angle = Math.atan2(dy, dx);
+        const endX = x + dx;
+        const endY = y + dy;
+        this.arrows.lineStyle(3, color);
+        this.arrows.lineBetween(x, y, endX, endY);
+        this.arrows.fillStyle(color);
+        this.arrows.fillTriangle(
+            endX, endY,
+            endX - 8 * Math.cos(angle - 0.4), endY - 8 * Math.sin(angle - 0.4),
+            endX - 8 * Math.cos(angle + 0.4), endY - 8 * Math.sin(angle + 0.4)
+        );
+    }
+    
+    destroy() {
+        this.objects.forEach(object => {
+            if (object && object.destroy) {
+                object.destroy();
+            }
+        });
+        this.objects = [];
+    }
+}
+
+// Export for use in other modules
+window.VerticalLoop = VerticalLoop;
@@ -0,0 +1,23 @@
+/**
+ * Base Hazard - Shared behaviour for Dr. Vector's traps
+ * LevelScene creates one hazard per entry in the level's "hazards" list
+ */
+
+class BaseHazard extends LevelObject {
+    /**
+     * Spring the trap on purpose (Dr. Vector's scripts call this)
+     */
+    trigger() {
+        // Override in subclasses
+    }
+    
+    /**
+     * Send the player back to the last checkpoint, counting a fall
+     */
+    killPlayer(cause) {
+        this.scene.killPlayer(cause);
+    }
+}
+
+// Export for use in other modules
+window.BaseHazard = BaseHazard;
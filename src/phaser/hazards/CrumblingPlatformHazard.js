@@ -0,0 +1,129 @@
+/**
+ * Crumbling Platform Hazard - A ledge that gives way when the load on it exceeds its limit
+ * Standing puts W = mg on it; landing adds the force needed to stop the fall, m·v/Δt
+ */
+
+class CrumblingPlatformHazard extends BaseHazard {
+    constructor(scene, config) {
+        super(scene, config);
+        this.state = 'intact';
+        this.wasLoaded = false;
+        
+        // Time (s) the ledge takes to stop a landing player; shorter means a harder hit
+        this.stopTime = config.stopTime || 0.1;
+    }
+    
+    create() {
+        const config = this.config;
+        
+        this.platform = this.track(this.scene.physics.add.staticImage(config.x, config.y, config.texture || 'professional_stone_platform'));
+        if (config.scale) {
+            this.platform.setScale(config.scale.x, config.scale.y);
+        }
+        this.platform.refreshBody();
+        this.platform.setDepth(3);
+        this.platform.setTint(0xBCAAA4);
+        
+        this.loadText = this.track(this.scene.add.text(config.x, config.y - 40, `Max load: ${config.maxLoad} N`, {
+            fontSize: '11px',
+            color: '#FFCC80',
+            backgroundColor: '#000000',
+            padding: { x: 4, y: 2 }
+        }));
+        this.loadText.setOrigin(0.5);
+        this.loadText.setDepth(20);
+        
+        this.scene.physics.add.collider(this.player, this.platform, () => this.onPlayerContact());
+    }
+    
+    onPlayerContact() {
+        if (this.state !== 'intact' || !this.player.body.touching.down) return;
+        
+        // First contact carries the landing impact; after that it is just the player's weight
+        const weight = this.playerMass * this.gravity;
+        const impactSpeed = this.wasLoaded ? 0 : this.scene.fallSpeed / this.pixelsPerMeter;
+        const load = weight + this.playerMass * impactSpeed / this.stopTime;
+        this.wasLoaded = true;
+        
+        this.loadText.setText(`Load: ${load.toFixed(0)} N / ${this.config.maxLoad} N`);
+        this.loadText.setColor(load > this.config.maxLoad ? '#FF5252' : '#FFCC80');
+        
+        if (load > this.config.maxLoad) {
+            this.crack();
+        }
+    }
+    
+    update(time, delta) {
+        // Stepping off resets the impact for the next landing
+        if (this.wasLoaded && !this.player.body.touching.down) {
+            this.wasLoaded = false;
+        }
+    }
+    
+    trigger() {
+        if (this.state === 'intact') {
+            this.crack();
+        }
+    }
+    
+    crack() {
+        this.state = 'cracking';
+        
+        // It holds for a moment, shaking, before giving way
+        this.scene.tweens.add({
+            targets: this.platform,
+            x: this.config.x + 2,
+            duration: 50,
+            yoyo: true,
+            repeat: Math.max(1, Math.round((this.config.crumbleTime || 0.6) * 10)),
+            onComplete: () => this.crumble()
+        });
+    }
+    
+    crumble() {
+        this.state = 'crumbled';
+        this.platform.setPosition(this.config.x, this.config.y);
+        this.platform.disableBody(false, true);
+        this.loadText.setVisible(false);
+        
+        // Debris falls under the level's gravity
+        const width = this.platform.displayWidth;
+        for (let i = 0; i < 4; i++) {
+            const piece = this.track(this.scene.add.rectangle(
+                this.config.x - width / 2 + (i + 0.5) * width / 4,
+                this.config.y,
+                width / 4 - 4,
+                this.platform.displayHeight,
+                0x8D6E63
+            ));
+            this.scene.physics.add.existing(piece);
+            piece.body.setVelocity(Phaser.Math.Between(-40, 40), Phaser.Math.Between(-60, 0));
+            piece.body.setAngularVelocity(Phaser.Math.Between(-200, 200));
+            this.scene.time.delayedCall(2000, () => piece.destroy());
+        }
+        
+        this.scene.time.delayedCall((this.config.respawnTime || 4) * 1000, () => this.rebuild());
+    }
+    
+    rebuild() {
+        if (!this.platform.active) return;
+        
+        this.platform.enableBody(false, 0, 0, true, true);
+        this.platform.refreshBody();
+        this.platform.setAlpha(0);
+        this.loadText.setText(`Max load: ${this.config.maxLoad} N`);
+        this.loadText.setColor('#FFCC80');
+        this.loadText.setVisible(true);
+        this.state = 'intact';
+        this.wasLoaded = false;
+        
+        this.scene.tweens.add({
+            targets: this.platform,
+            alpha: 1,
+            duration: 800
+        });
+    }
+}
+
+// Export for use in other modules
+window.CrumblingPlatformHazard = CrumblingPlatformHazard;
@@ -0,0 +1,137 @@
+/**
+ * Falling Stalactite Hazard - Breaks off the ceiling and free-falls under the level's gravity
+ * Triggered when the player walks underneath it or lands hard enough nearby to shake it loose
+ */
+
+class FallingStalactiteHazard extends BaseHazard {
+    constructor(scene, config) {
+        super(scene, config);
+        this.state = 'hanging';
+        this.onLanding = this.onLanding.bind(this);
+    }
+    
+    create() {
+        this.stalactite = this.track(this.scene.add.polygon(this.config.x, this.config.y, [
+            0, 0,
+            -10, 30,
+            -5, 42,
+            0, 48,
+            5, 42,
+            10, 30
+        ], 0x78909C));
+        this.stalactite.setStrokeStyle(2, 0x455A64);
+        this.stalactite.setDepth(4);
+        
+        this.scene.physics.add.existing(this.stalactite);
+        this.stalactite.body.setAllowGravity(false);
+        this.stalactite.body.setImmovable(true);
+        
+        this.scene.physics.add.overlap(this.player, this.stalactite, () => {
+            if (this.state === 'falling') {
+                this.killPlayer('🪨 Hit by a falling stalactite!');
+            }
+        });
+        this.scene.physics.add.collider(this.stalactite, this.scene.platforms, () => this.shatter());
+        
+        // Vibration trigger: hard landings shake the ceiling
+        if (this.config.trigger === 'vibration') {
+            this.scene.events.on('player-landing', this.onLanding);
+        }
+    }
+    
+    update(time, delta) {
+        if (this.state === 'falling' && this.stalactite.y > this.scene.gameHeight + 50) {
+            this.shatter();
+            return;
+        }
+        
+        if (this.state !== 'hanging' || (this.config.trigger || 'proximity') !== 'proximity') return;
+        
+        // Proximity trigger: the player walks underneath
+        const radius = this.config.triggerRadius || 60;
+        if (Math.abs(this.player.x - this.stalactite.x) < radius && this.player.y > this.stalactite.y) {
+            this.loosen();
+        }
+    }
+    
+    onLanding(impactSpeed, x) {
+        if (this.state !== 'hanging') return;
+        
+        // Impact speed in m/s at the moment the player hit the ground
+        const radius = this.config.triggerRadius || 200;
+        if (impactSpeed >= (this.config.vibrationThreshold || 4) && Math.abs(x - this.stalactite.x) < radius) {
+            this.loosen();
+        }
+    }
+    
+    trigger() {
+        if (this.state === 'hanging') {
+            this.loosen();
+        }
+    }
+    
+    loosen() {
+        this.state = 'shaking';
+        
+        // Short warning wobble before it breaks off
+        this.scene.tweens.add({
+            targets: this.stalactite,
+            x: this.stalactite.x + 3,
+            duration: 60,
+            yoyo: true,
+            repeat: 4,
+            onComplete: () => this.fall()
+        });
+    }
+    
+    fall() {
+        this.state = 'falling';
+        this.stalactite.body.setAllowGravity(true);
+        this.stalactite.body.setImmovable(false);
+        
+        // Free fall from rest: h = ½gt², so t = √(2h/g)
+        const height = Math.max(0, this.player.y - this.stalactite.y) / this.pixelsPerMeter;
+        if (this.gravity > 0 && height > 0) {
+            const time = Math.sqrt(2 * height / this.gravity);
+            this.setInstruction(`⚠️ Stalactite falling ${height.toFixed(1)} m: t = √(2h/g) = ${time.toFixed(2)} s - move!`, '#FF9800');
+        }
+    }
+    
+    shatter() {
+        if (this.state !== 'falling') return;
+        this.state = 'broken';
+        
+        this.scene.dustParticles.explode(10, this.stalactite.x, this.stalactite.y + 40);
+        this.stalactite.setVisible(false);
+        this.stalactite.body.enable = false;
+        
+        // The cave grows it back so the trap can be sprung again
+        this.scene.time.delayedCall((this.config.respawnTime || 6) * 1000, () => this.regrow());
+    }
+    
+    regrow() {
+        if (!this.stalactite.active) return;
+        
+        this.stalactite.body.enable = true;
+        this.stalactite.body.reset(this.config.x, this.config.y);
+        this.stalactite.body.setAllowGravity(false);
+        this.stalactite.body.setImmovable(true);
+        this.stalactite.setVisible(true);
+        this.stalactite.setAlpha(0);
+        this.state = 'hanging';
+        
+        this.scene.tweens.add({
+            targets: this.stalactite,
+            alpha: 1,
+            duration: 800
+        });
+    }
+    
+    destroy() {
+        this.scene.events.off('player-landing', this.onLanding);
+        super.destroy();
+    }
+}
+
+// Export for use in other modules
+window.FallingStalactiteHazard = FallingStalactiteHazard;
@@ -0,0 +1,98 @@
+/**
+ * Pendulum Blade Hazard - A blade on a rod swinging under the level's gravity
+ * Swings a PendulumModel under the current gravity, so it is slower on the Moon and faster on Jupiter
+ */
+
+class PendulumBladeHazard extends BaseHazard {
+    constructor(scene, config) {
+        super(scene, config);
+        
+        this.model = new PendulumModel({
+            length: config.length,
+            amplitude: config.amplitude || 30,
+            gravity: this.gravity,
+            damping: config.damping || 0
+        });
+        
+        // A held blade waits at full amplitude until something releases it
+        this.held = !!config.held;
+    }
+    
+    get anchor() {
+        return this.config.pivot;
+    }
+    
+    create() {
+        const pivot = this.config.pivot;
+        
+        this.rod = this.track(this.scene.add.graphics());
+        this.rod.setDepth(4);
+        
+        // Pivot bolt
+        const bolt = this.track(this.scene.add.circle(pivot.x, pivot.y, 7, 0x616161));
+        bolt.setStrokeStyle(2, 0x424242);
+        bolt.setDepth(5);
+        
+        const bladeWidth = this.config.bladeWidth || 60;
+        this.blade = this.track(this.scene.add.rectangle(0, 0, bladeWidth, 14, 0xB0BEC5));
+        this.blade.setStrokeStyle(2, 0xECEFF1);
+        this.blade.setDepth(5);
+        
+        // Round hitbox following the blade
+        this.hitbox = this.track(this.scene.add.zone(0, 0, bladeWidth, bladeWidth));
+        this.scene.physics.add.existing(this.hitbox);
+        this.hitbox.body.setCircle(bladeWidth / 2);
+        this.hitbox.body.setAllowGravity(false);
+        this.hitbox.body.moves = false;
+        
+        this.scene.physics.add.overlap(this.player, this.hitbox, () => {
+            this.killPlayer('🪓 Sliced by a pendulum blade!');
+        });
+        
+        // Small-angle period as a hint for timing the run past it
+        if (this.gravity > 0) {
+            const period = this.model.getSmallAnglePeriod();
+            const label = this.track(this.scene.add.text(pivot.x, pivot.y - 18, `T = 2π√(L/g) ≈ ${period.toFixed(1)} s`, {
+                fontSize: '11px',
+                color: '#B0BEC5',
+                backgroundColor: '#000000',
+                padding: { x: 4, y: 2 }
+            }));
+            label.setOrigin(0.5);
+            label.setDepth(5);
+        }
+        
+        this.positionBlade();
+    }
+    
+    update(time, delta) {
+        if (this.held) return;
+        
+        // Cap the step so a dropped frame can't kick the swing
+        this.model.step(Math.min(delta, 50) / 1000);
+        this.positionBlade();
+    }
+    
+    trigger() {
+        this.held = false;
+    }
+    
+    positionBlade() {
+        const pivot = this.config.pivot;
+        const offset = this.model.getBobOffset();
+        const x = pivot.x + offset.x * this.pixelsPerMeter;
+        const y = pivot.y + offset.y * this.pixelsPerMeter;
+        
+        this.rod.clear();
+        this.rod.lineStyle(4, 0x5D4037);
+        this.rod.lineBetween(pivot.x, pivot.y, x, y);
+        
+        // Blade edge stays perpendicular to the rod
+        this.blade.setPosition(x, y);
+        this.blade.setRotation(-this.model.angle);
+        this.hitbox.setPosition(x, y);
+    }
+}
+
+// Export for use in other modules
+window.PendulumBladeHazard = PendulumBladeHazard;
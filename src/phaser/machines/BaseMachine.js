@@ -0,0 +1,73 @@
+/**
+ * Base Machine - Shared behaviour for simple machines placed from level data
+ * LevelScene creates one machine per entry in the level's "machines" list and shows the
+ * nearest one's mechanical advantage in the HUD
+ */
+
+class BaseMachine extends LevelObject {
+    constructor(scene, config) {
+        super(scene, config);
+        this.activated = false;
+    }
+    
+    /**
+     * Ideal mechanical advantage: output force / input force
+     */
+    getMechanicalAdvantage() {
+        return 1;
+    }
+    
+    /**
+     * Lines shown in the HUD while the player is near this machine
+     */
+    getReadout() {
+        return [];
+    }
+    
+    /**
+     * Horizontal centre used to find the machine nearest the player
+     */
+    get x() {
+        return this.config.x;
+    }
+    
+    /**
+     * Whether the player may still change the machine's parameters
+     */
+    canAdjust() {
+        return !this.activated;
+    }
+    
+    /**
+     * Let the player click part of the machine to change one of its parameters
+     */
+    makeAdjustable(target, prompt, onChange) {
+        target.setInteractive({ useHandCursor: true });
+        target.on('pointerdown', async () => {
+            if (!this.canAdjust()) return;
+            
+            const value = await window.uiComponent.promptValue(prompt());
+            if (value === null) return;
+            
+            onChange(value);
+            this.scene.refreshMachineReadout();
+        });
+    }
+    
+    /**
+     * The machine has done its job: lifted its load, launched the player...
+     * Doors listing it in "opensWhen" check this flag
+     */
+    activate(title, description) {
+        if (this.activated) return;
+        
+        this.activated = true;
+        this.scene.showAchievementNotification(title, description);
+        this.scene.events.emit('machine-activated', this);
+        
+        console.log(`⚙️ Machine activated: ${this.config.id || this.config.type}`);
+    }
+}
+
+// Export for use in other modules
+window.BaseMachine = BaseMachine;
@@ -0,0 +1,197 @@
+/**
+ * Lever Machine - A beam on a fulcrum with a load on one end and the player on the other
+ * Tips when the player's torque m·g·effortArm beats the load's M·g·loadArm; MA = effortArm / loadArm
+ */
+
+class LeverMachine extends BaseMachine {
+    constructor(scene, config) {
+        super(scene, config);
+        this.beamLength = config.beamLength || 3;
+        this.fulcrumHeight = config.fulcrumHeight || 0.5;
+        this.effortArm = config.effortArm || this.beamLength / 2;
+        this.tipping = false;
+        this.tested = false;
+    }
+    
+    get loadArm() {
+        return this.beamLength - this.effortArm;
+    }
+    
+    getMechanicalAdvantage() {
+        return this.effortArm / this.loadArm;
+    }
+    
+    getReadout() {
+        const advantage = this.getMechanicalAdvantage();
+        return [
+            `⚖️ Lever: effort arm ${this.effortArm.toFixed(2)} m, load arm ${this.loadArm.toFixed(2)} m`,
+            `MA = ${advantage.toFixed(2)} → your ${this.playerMass} kg lifts up to ${(this.playerMass * advantage).toFixed(0)} kg (load ${this.config.loadMass} kg)`,
+            '🖱️ Click the fulcrum to move it'
+        ];
+    }
+    
+    create() {
+        const ppm = this.pixelsPerMeter;
+        const pivotY = this.config.y - this.fulcrumHeight * ppm;
+        
+        // Fulcrum wedge standing on the floor
+        this.fulcrum = this.track(this.scene.add.triangle(
+            this.config.x, this.config.y - this.fulcrumHeight * ppm / 2,
+            0, this.fulcrumHeight * ppm, this.fulcrumHeight * ppm * 0.6, 0, this.fulcrumHeight * ppm * 1.2, this.fulcrumHeight * ppm,
+            0x795548
+        ));
+        this.fulcrum.setStrokeStyle(2, 0x4E342E);
+        this.fulcrum.setDepth(5);
+        
+        // Block propping up the load end until the lever tips
+        this.support = this.track(this.scene.add.rectangle(this.config.x, this.config.y, 30, this.fulcrumHeight * ppm - 6, 0x616161));
+        this.support.setOrigin(0.5, 1);
+        this.support.setStrokeStyle(2, 0x424242);
+        this.support.setDepth(5);
+        
+        // Beam and load rotate together about the top of the fulcrum
+        this.beam = this.track(this.scene.add.container(this.config.x, pivotY));
+        this.beam.setDepth(6);
+        this.beamGraphics = this.scene.add.graphics();
+        this.beam.add(this.beamGraphics);
+        
+        const loadRadius = 10 + Math.min(this.config.loadMass, 300) / 15;
+        this.load = this.scene.add.circle(0, -loadRadius - 6, loadRadius, 0x757575);
+        this.load.setStrokeStyle(2, 0x424242);
+        this.loadLabel = this.scene.add.text(0, -loadRadius - 6, `${this.config.loadMass} kg`, {
+            fontSize: '11px',
+            color: '#FFFFFF',
+            fontStyle: 'bold'
+        });
+        this.loadLabel.setOrigin(0.5);
+        this.beam.add([this.load, this.loadLabel]);
+        
+        // The player stands on this end; it follows the beam as it tips
+        this.effortPad = this.track(this.scene.add.zone(this.config.x, pivotY, 40, 12));
+        this.scene.physics.add.existing(this.effortPad);
+        this.effortPad.body.setAllowGravity(false);
+        this.effortPad.body.setImmovable(true);
+        this.effortPad.body.moves = false;
+        
+        // One-way from above, so walking into the raised end doesn't block the player
+        this.effortPad.body.checkCollision.down = false;
+        this.effortPad.body.checkCollision.left = false;
+        this.effortPad.body.checkCollision.right = false;
+        this.scene.physics.add.collider(this.player, this.effortPad);
+        
+        this.drawBeam();
+        this.beam.setRotation(this.getRestAngle());
+        this.positionEffortPad();
+        
+        this.makeAdjustable(this.fulcrum, () => ({
+            title: '⚖️ Move the Fulcrum',
+            html: `<p>The beam is <strong>${this.beamLength} m</strong> long with a <strong>${this.config.loadMass} kg</strong> load on the far end.</p>` +
+                  `<p>Your arm is the distance from the fulcrum to where you stand. Torque = m·g·arm on each side.</p>`,
+            label: 'Effort arm (m)',
+            min: this.config.minArm || this.fulcrumHeight + 0.1,
+            max: this.beamLength - (this.config.minArm || this.fulcrumHeight + 0.1)
+        }), value => {
+            this.effortArm = value;
+            this.drawBeam();
+            this.beam.setRotation(this.getRestAngle());
+            this.positionEffortPad();
+        });
+    }
+    
+    /**
+     * The beam rests level with its load end on a stone block (positive rotation is clockwise)
+     */
+    getRestAngle() {
+        return 0;
+    }
+    
+    /**
+     * Angle with the effort end down on the floor
+     */
+    getTippedAngle() {
+        return -Math.asin(this.fulcrumHeight / this.effortArm);
+    }
+    
+    drawBeam() {
+        const ppm = this.pixelsPerMeter;
+        const left = -this.effortArm * ppm;
+        const right = this.loadArm * ppm;
+        
+        this.beamGraphics.clear();
+        this.beamGraphics.fillStyle(0xA1887F);
+        this.beamGraphics.fillRect(left, -6, right - left, 12);
+        this.beamGraphics.lineStyle(2, 0x5D4037);
+        this.beamGraphics.strokeRect(left, -6, right - left, 12);
+        
+        // Footplate where the player stands
+        this.beamGraphics.fillStyle(0xFFC107);
+        this.beamGraphics.fillRect(left, -8, 40, 4);
+        
+        this.load.x = right - this.load.radius;
+        this.loadLabel.x = this.load.x;
+        this.support.x = this.beam.x + this.load.x;
+    }
+    
+    positionEffortPad() {
+        const arm = this.effortArm * this.pixelsPerMeter - 20;
+        const rotation = this.beam.rotation;
+        
+        this.effortPad.setPosition(
+            this.beam.x - arm * Math.cos(rotation),
+            this.beam.y - arm * Math.sin(rotation) - 12
+        );
+        this.effortPad.body.updateFromGameObject();
+    }
+    
+    update(time, delta) {
+        this.positionEffortPad();
+        
+        if (this.activated || this.tipping) return;
+        
+        const standing = this.player.body.touching.down && this.effortPad.body.touching.up;
+        if (!standing) {
+            this.tested = false;
+            return;
+        }
+        
+        // Weigh the player once per visit to the footplate
+        if (!this.tested) {
+            this.tested = true;
+            this.testBalance();
+        }
+    }
+    
+    testBalance() {
+        const effortTorque = this.playerMass * this.gravity * this.effortArm;
+        const loadTorque = this.config.loadMass * this.gravity * this.loadArm;
+        
+        if (effortTorque < loadTorque) {
+            // Dips a little and settles back
+            this.scene.tweens.add({
+                targets: this.beam,
+                rotation: this.beam.rotation - 0.05 * effortTorque / loadTorque,
+                duration: 200,
+                yoyo: true,
+                ease: 'Sine.easeOut'
+            });
+            this.showResult(`Your torque ${effortTorque.toFixed(0)} N·m can't beat the load's ${loadTorque.toFixed(0)} N·m. Lengthen your arm!`, false);
+            return;
+        }
+        
+        this.tipping = true;
+        this.scene.tweens.add({
+            targets: this.beam,
+            rotation: this.getTippedAngle(),
+            duration: 900,
+            ease: 'Quad.easeIn',
+            onComplete: () => {
+                this.tipping = false;
+                this.scene.cameras.main.shake(200, 0.005);
+                this.activate('Load Lifted!', `τ = ${effortTorque.toFixed(0)} N·m ≥ ${loadTorque.toFixed(0)} N·m (MA ${this.getMechanicalAdvantage().toFixed(2)})`);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.LeverMachine = LeverMachine;
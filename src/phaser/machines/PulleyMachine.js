@@ -0,0 +1,149 @@
+/**
+ * Pulley Machine - A block and tackle hoisting a heavy load with the player's weight on the rope
+ * With n supporting strands the effort is M·g / n; MA = n, but the rope pulls through n times as far
+ */
+
+class PulleyMachine extends BaseMachine {
+    constructor(scene, config) {
+        super(scene, config);
+        this.strands = config.strands || 1;
+        this.lifting = false;
+        this.holding = false;
+    }
+    
+    getMechanicalAdvantage() {
+        return this.strands;
+    }
+    
+    getReadout() {
+        const effort = this.config.loadMass * this.gravity / this.strands;
+        const weight = this.playerMass * this.gravity;
+        return [
+            `🪝 Pulley: ${this.strands} supporting strand${this.strands === 1 ? '' : 's'}, load ${this.config.loadMass} kg`,
+            `MA = ${this.strands} → effort Mg/n = ${effort.toFixed(0)} N (your weight ${weight.toFixed(0)} N)`,
+            '🖱️ Click the top block to rig more strands'
+        ];
+    }
+    
+    create() {
+        const load = this.config.load;
+        
+        // Fixed block hanging from the ceiling above the load
+        this.topBlock = this.track(this.scene.add.circle(this.config.x, this.config.y, 14, 0x90A4AE));
+        this.topBlock.setStrokeStyle(3, 0x455A64);
+        this.topBlock.setDepth(7);
+        
+        this.ropes = this.track(this.scene.add.graphics());
+        this.ropes.setDepth(6);
+        
+        // The load is a heavy gate: solid until it's hoisted out of the way
+        this.load = this.track(this.scene.add.rectangle(this.config.x, load.y, load.width, load.height, 0x607D8B));
+        this.load.setStrokeStyle(3, 0x37474F);
+        this.load.setDepth(5);
+        this.scene.physics.add.existing(this.load, true);
+        this.scene.physics.add.collider(this.player, this.load);
+        
+        this.loadLabel = this.track(this.scene.add.text(this.config.x, load.y, `${this.config.loadMass} kg`, {
+            fontSize: '11px',
+            color: '#FFFFFF',
+            fontStyle: 'bold'
+        }));
+        this.loadLabel.setOrigin(0.5);
+        this.loadLabel.setDepth(6);
+        
+        // Handle at the free end of the rope; the player grabs it by walking into it
+        const handle = this.config.handle;
+        this.handle = this.track(this.scene.add.rectangle(handle.x, handle.y, 24, 8, 0xFFC107));
+        this.handle.setStrokeStyle(2, 0xFF8F00);
+        this.handle.setDepth(7);
+        
+        this.makeAdjustable(this.topBlock, () => ({
+            title: '🪝 Rig the Pulleys',
+            html: `<p>The gate weighs <strong>${this.config.loadMass} kg</strong>. You'll hang your ${this.playerMass} kg on the rope.</p>` +
+                  `<p>Each strand holding up the moving block shares the load, so the effort is Mg/n - but you pull n times as much rope.</p>`,
+            label: 'Supporting strands',
+            min: 1,
+            max: this.config.maxStrands || 6,
+            step: 1
+        }), value => {
+            this.strands = Math.round(value);
+        });
+        
+        this.drawRopes();
+    }
+    
+    drawRopes() {
+        const load = this.load;
+        const top = this.config.y;
+        const bottom = load.y - load.height / 2;
+        
+        this.ropes.clear();
+        this.ropes.lineStyle(2, 0xD7CCC8);
+        
+        // One line per supporting strand between the blocks
+        for (let i = 0; i < this.strands; i++) {
+            const x = this.topBlock.x + (i - (this.strands - 1) / 2) * 6;
+            this.ropes.lineBetween(x, top, x, bottom);
+        }
+        
+        // Free end over to the handle
+        this.ropes.lineBetween(this.topBlock.x - 14, top, this.handle.x, this.handle.y);
+    }
+    
+    update(time, delta) {
+        this.drawRopes();
+        
+        if (this.activated || this.lifting) return;
+        
+        const grabbing = Math.abs(this.player.x - this.handle.x) < 20 && Math.abs(this.player.y - this.handle.y) < 40;
+        if (!grabbing) {
+            this.holding = false;
+            return;
+        }
+        
+        // Hang on the handle once per grab
+        if (!this.holding) {
+            this.holding = true;
+            this.pull();
+        }
+    }
+    
+    pull() {
+        const effort = this.config.loadMass * this.gravity / this.strands;
+        const weight = this.playerMass * this.gravity;
+        const lift = this.config.liftHeight || this.load.height;
+        
+        this.lifting = true;
+        
+        if (weight < effort) {
+            // The gate shifts a little under the pull and drops back
+            this.scene.tweens.add({
+                targets: [this.load, this.loadLabel],
+                y: `-=${6 * weight / effort}`,
+                duration: 200,
+                yoyo: true,
+                onComplete: () => {
+                    this.lifting = false;
+                }
+            });
+            this.showResult(`Your weight ${weight.toFixed(0)} N is less than the ${effort.toFixed(0)} N effort needed with ${this.strands} strand${this.strands === 1 ? '' : 's'}.`, false);
+            return;
+        }
+        
+        // The handle travels n times as far as the gate rises
+        this.scene.tweens.add({
+            targets: [this.load, this.loadLabel],
+            y: `-=${lift}`,
+            duration: 1500,
+            ease: 'Sine.easeInOut',
+            onComplete: () => {
+                this.load.body.enable = false;
+                this.lifting = false;
+                this.activate('Gate Hoisted!', `Mg/n = ${effort.toFixed(0)} N ≤ ${weight.toFixed(0)} N with ${this.strands} strands (rope pulled ${(lift * this.strands / this.pixelsPerMeter).toFixed(1)} m)`);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.PulleyMachine = PulleyMachine;
@@ -0,0 +1,155 @@
+/**
+ * Ramp Machine - An inclined plane up to a ledge, with a crate to push to the top
+ * Pushing along a frictionless slope takes m·g·sinθ instead of m·g; MA = 1 / sinθ = length / height
+ */
+
+class RampMachine extends BaseMachine {
+    constructor(scene, config) {
+        super(scene, config);
+        this.angle = config.angle || 45;
+        this.pushing = false;
+        this.tested = false;
+    }
+    
+    get radians() {
+        return Phaser.Math.DegToRad(this.angle);
+    }
+    
+    /**
+     * Length of the slope in m for the fixed ledge height
+     */
+    get length() {
+        return this.config.height / Math.sin(this.radians);
+    }
+    
+    getMechanicalAdvantage() {
+        return 1 / Math.sin(this.radians);
+    }
+    
+    getReadout() {
+        const needed = this.config.crateMass * this.gravity * Math.sin(this.radians);
+        return [
+            `📐 Ramp: ${this.angle}°, ${this.length.toFixed(2)} m long up a ${this.config.height} m ledge`,
+            `MA = 1/sinθ = ${this.getMechanicalAdvantage().toFixed(2)} → push mg·sinθ = ${needed.toFixed(0)} N (you push ${this.config.pushForce} N)`,
+            '🖱️ Click the ramp to change its angle'
+        ];
+    }
+    
+    create() {
+        this.slope = this.track(this.scene.add.graphics());
+        this.slope.setDepth(4);
+        
+        this.crate = this.track(this.scene.add.rectangle(0, 0, 28, 28, 0x8D6E63));
+        this.crate.setStrokeStyle(2, 0x4E342E);
+        this.crate.setDepth(6);
+        
+        this.crateLabel = this.track(this.scene.add.text(0, 0, `${this.config.crateMass}`, {
+            fontSize: '10px',
+            color: '#FFFFFF',
+            fontStyle: 'bold'
+        }));
+        this.crateLabel.setOrigin(0.5);
+        this.crateLabel.setDepth(7);
+        
+        // Click target covering the slope, resized with it
+        this.hitArea = this.track(this.scene.add.zone(0, 0, 10, 10));
+        
+        this.makeAdjustable(this.hitArea, () => ({
+            title: '📐 Set the Ramp Angle',
+            html: `<p>The ledge is <strong>${this.config.height} m</strong> up and the crate has a mass of <strong>${this.config.crateMass} kg</strong>.</p>` +
+                  `<p>You can push with <strong>${this.config.pushForce} N</strong> along the slope. A shallower ramp is longer but needs less force.</p>`,
+            label: 'Ramp angle (°)',
+            min: this.config.minAngle || 10,
+            max: this.config.maxAngle || 70,
+            step: 1
+        }), value => {
+            this.angle = Math.round(value);
+            this.layoutRamp();
+        });
+        
+        this.layoutRamp();
+    }
+    
+    /**
+     * Redraw the slope for the current angle and put the crate back at its foot
+     */
+    layoutRamp() {
+        const ppm = this.pixelsPerMeter;
+        const rise = this.config.height * ppm;
+        this.footX = this.config.x - rise / Math.tan(this.radians);
+        const floorY = this.config.y;
+        
+        this.slope.clear();
+        this.slope.fillStyle(0x6D4C41);
+        this.slope.fillTriangle(this.footX, floorY, this.config.x, floorY - rise, this.config.x, floorY);
+        this.slope.lineStyle(2, 0x3E2723);
+        this.slope.strokeTriangle(this.footX, floorY, this.config.x, floorY - rise, this.config.x, floorY);
+        
+        this.hitArea.setPosition((this.footX + this.config.x) / 2, floorY - rise / 2);
+        this.hitArea.setSize(this.config.x - this.footX, rise);
+        
+        this.crate.setPosition(this.footX - 16, floorY - 14);
+        this.crate.setAngle(0);
+        this.crateLabel.setPosition(this.crate.x, this.crate.y);
+    }
+    
+    update(time, delta) {
+        if (this.activated || this.pushing) return;
+        
+        const player = this.player;
+        const behindCrate = player.x > this.crate.x - 45 && player.x < this.crate.x - 10 &&
+                            Math.abs(player.y - this.crate.y) < 40;
+        if (!behindCrate) {
+            this.tested = false;
+            return;
+        }
+        
+        // Lean into the crate once per approach
+        if (!this.tested && player.body.velocity.x > 0) {
+            this.tested = true;
+            this.push();
+        }
+    }
+    
+    push() {
+        const needed = this.config.crateMass * this.gravity * Math.sin(this.radians);
+        const force = this.config.pushForce;
+        
+        if (force < needed) {
+            this.scene.tweens.add({
+                targets: [this.crate, this.crateLabel],
+                x: '+=4',
+                duration: 80,
+                yoyo: true,
+                repeat: 2
+            });
+            this.showResult(`Up a ${this.angle}° slope the crate needs mg·sinθ = ${needed.toFixed(0)} N - more than your ${force} N push.`, false);
+            return;
+        }
+        
+        // Slide onto the slope, up it, then onto the ledge
+        this.pushing = true;
+        const floorY = this.config.y;
+        const rise = this.config.height * this.pixelsPerMeter;
+        
+        // The crate's centre rides half its size out from the slope
+        const normalX = -Math.sin(this.radians) * 14;
+        const normalY = -Math.cos(this.radians) * 14;
+        
+        this.scene.tweens.chain({
+            targets: [this.crate, this.crateLabel],
+            tweens: [
+                { x: this.footX + normalX, y: floorY + normalY, angle: -this.angle, duration: 300 },
+                { x: this.config.x + normalX, y: floorY - rise + normalY, duration: 200 * this.length, ease: 'Sine.easeIn' },
+                { x: this.config.x + 20, y: floorY - rise - 14, angle: 0, duration: 300 }
+            ],
+            onComplete: () => {
+                this.pushing = false;
+                this.activate('Crate Delivered!', `mg·sinθ = ${needed.toFixed(0)} N ≤ ${force} N up a ${this.angle}° ramp (MA ${this.getMechanicalAdvantage().toFixed(2)})`);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.RampMachine = RampMachine;
@@ -0,0 +1,125 @@
+/**
+ * Spring Machine - A compressed spring pad that launches the player straight up
+ * Pushes back with F = k·x and stores ½·k·x², released as v = x·√(k/m); it trades distance for force but doesn't multiply it (MA = 1)
+ */
+
+class SpringMachine extends BaseMachine {
+    constructor(scene, config) {
+        super(scene, config);
+        this.compression = config.compression || 0.3;
+        this.onPad = false;
+    }
+    
+    get width() {
+        return this.config.width || 60;
+    }
+    
+    /**
+     * Height in m the stored energy lifts the player: ½kx² = mgh
+     */
+    getLaunchHeight() {
+        return 0.5 * this.config.k * this.compression * this.compression / (this.playerMass * this.gravity);
+    }
+    
+    /**
+     * A spring can be re-tuned after every launch
+     */
+    canAdjust() {
+        return true;
+    }
+    
+    getReadout() {
+        const force = this.config.k * this.compression;
+        const energy = 0.5 * this.config.k * this.compression * this.compression;
+        return [
+            `🌀 Spring: k = ${this.config.k} N/m, compressed ${this.compression.toFixed(2)} m`,
+            `F = kx = ${force.toFixed(0)} N, ½kx² = ${energy.toFixed(0)} J → lifts you ${this.getLaunchHeight().toFixed(2)} m (MA = 1)`,
+            '🖱️ Click the spring to change its compression'
+        ];
+    }
+    
+    create() {
+        const floorY = this.config.y;
+        
+        this.coil = this.track(this.scene.add.graphics());
+        this.coil.setDepth(5);
+        
+        this.pad = this.track(this.scene.add.rectangle(this.config.x, floorY - 20, this.width, 8, 0xE53935));
+        this.pad.setStrokeStyle(2, 0xB71C1C);
+        this.pad.setDepth(6);
+        
+        this.makeAdjustable(this.pad, () => ({
+            title: '🌀 Compress the Spring',
+            html: `<p>The spring has a constant of <strong>k = ${this.config.k} N/m</strong>.</p>` +
+                  `<p>Its stored energy ½kx² becomes your potential energy mgh. How far should it be compressed?</p>`,
+            label: 'Compression (m)',
+            min: this.config.minCompression || 0.1,
+            max: this.config.maxCompression || 1,
+            step: 0.05
+        }), value => {
+            this.compression = value;
+        });
+        
+        this.drawCoil(20);
+    }
+    
+    /**
+     * Zig-zag coil between the floor and the pad
+     */
+    drawCoil(height) {
+        const floorY = this.config.y;
+        const halfWidth = this.width / 2 - 8;
+        const turns = 6;
+        
+        this.coil.clear();
+        this.coil.lineStyle(3, 0xB0BEC5);
+        this.coil.beginPath();
+        this.coil.moveTo(this.config.x, floorY);
+        for (let i = 1; i <= turns; i++) {
+            const side = i % 2 === 0 ? -1 : 1;
+            this.coil.lineTo(this.config.x + side * halfWidth, floorY - height * i / (turns + 1));
+        }
+        this.coil.lineTo(this.config.x, floorY - height);
+        this.coil.strokePath();
+    }
+    
+    update(time, delta) {
+        const standing = this.isPlayerOn({ x: this.config.x, width: this.width }) &&
+                         Math.abs(this.player.body.bottom - this.config.y) < 30;
+        if (!standing) {
+            this.onPad = false;
+            return;
+        }
+        
+        // One launch per landing
+        if (!this.onPad) {
+            this.onPad = true;
+            this.launch();
+        }
+    }
+    
+    launch() {
+        // ½kx² = ½mv²  →  v = x·√(k/m)
+        const speed = this.compression * Math.sqrt(this.config.k / this.playerMass);
+        const height = this.getLaunchHeight();
+        
+        this.player.setVelocityY(-speed * this.pixelsPerMeter);
+        
+        // Pad snaps up from its compressed position
+        this.drawCoil(6);
+        this.pad.y = this.config.y - 6;
+        this.scene.tweens.add({
+            targets: this.pad,
+            y: this.config.y - 20,
+            duration: 150,
+            ease: 'Back.easeOut',
+            onUpdate: () => this.drawCoil(this.config.y - this.pad.y)
+        });
+        
+        this.setInstruction(`🌀 Launched at ${speed.toFixed(1)} m/s - up to ${height.toFixed(2)} m!`, '#4A90E2');
+        this.activate('Spring Launch!', `½kx² = mgh → h = ${height.toFixed(2)} m`);
+    }
+}
+
+// Export for use in other modules
+window.SpringMachine = SpringMachine;
@@ -0,0 +1,124 @@
+/**
+ * Asteroid Hop Puzzle - Level 5 (Asteroid)
+ * Launch at 45° with the speed whose range R = v²/g lands on the far rock
+ */
+
+class AsteroidHopPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.inFlight = false;
+        this.launchX = 0;
+    }
+    
+    create() {
+        this.pad = this.scene.zones[this.config.launchPad];
+        this.target = this.scene.levelObjects[this.config.target];
+        
+        if (!this.pad || !this.target) {
+            console.error('❌ Asteroid Hop needs a launch pad zone and a target platform');
+            return;
+        }
+        
+        const padMark = this.track(this.scene.add.rectangle(this.pad.x, this.pad.y + this.pad.height / 2 - 4, this.pad.width, 8, 0x2196F3));
+        padMark.setAlpha(0.7);
+        padMark.setDepth(4);
+        
+        this.createConsole(this.config.console, '🛰️ Hop Console');
+        
+        // Distances from the pad to both edges of the landing rock
+        const near = (this.target.x - this.target.displayWidth / 2 - this.pad.x) / this.pixelsPerMeter;
+        const far = (this.target.x + this.target.displayWidth / 2 - this.pad.x) / this.pixelsPerMeter;
+        this.range = { near: near, far: far };
+        
+        this.setStatus(`Asteroid gravity: ${this.gravity} m/s²\nLanding rock: ${near.toFixed(1)} m – ${far.toFixed(1)} m away`);
+    }
+    
+    async onConsoleActivated() {
+        if (this.inFlight) return;
+        
+        if (!this.scene.physics.overlap(this.player, this.pad)) {
+            this.setInstruction('🚶 Stand on the blue launch pad first!', '#FFD700');
+            return;
+        }
+        
+        const speed = await this.promptValue({
+            title: '🛰️ Hop Speed',
+            html: `<p>You launch at <strong>${this.config.angle}°</strong>. The landing rock starts ${this.range.near.toFixed(1)} m away and ends ${this.range.far.toFixed(1)} m away.</p>` +
+                  `<p>With g = ${this.gravity} m/s², too fast and you'll drift off into space!</p>`,
+            label: 'Launch speed (m/s)',
+            min: this.config.minSpeed,
+            max: this.config.maxSpeed
+        });
+        
+        if (speed === null) return;
+        this.launch(speed);
+    }
+    
+    launch(speed) {
+        this.attempts++;
+        this.launchSpeed = speed;
+        this.inFlight = true;
+        this.leftGround = false;
+        
+        const angle = Phaser.Math.DegToRad(this.config.angle);
+        this.player.setPosition(this.pad.x, this.player.y);
+        this.launchX = this.player.x;
+        
+        // No steering, no air drag and no invisible walls while flying
+        this.scene.playerState.isPuzzleControlled = true;
+        this.player.setDragX(0);
+        this.player.setCollideWorldBounds(false);
+        this.player.setVelocity(
+            speed * Math.cos(angle) * this.pixelsPerMeter,
+            -speed * Math.sin(angle) * this.pixelsPerMeter
+        );
+        
+        this.setInstruction(`🛰️ Hopping at ${speed} m/s...`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        // Lost to the void: off the side of the screen or down the crater (also by walking off the edge)
+        if (this.player.x > this.scene.gameWidth + 40 || this.player.y > this.scene.gameHeight - this.player.displayHeight) {
+            const message = this.inFlight
+                ? `Drifted off into space at ${this.launchSpeed} m/s!\nHint: R = v² sin(2θ) / g`
+                : 'You floated off the asteroid! Use the launch pad to hop.';
+            this.inFlight = false;
+            this.showResult(message, false);
+            this.resetPlayer(this.scene.levelData.player);
+            return;
+        }
+        
+        if (!this.inFlight) return;
+        
+        const body = this.player.body;
+        const grounded = body.blocked.down || body.touching.down;
+        
+        if (!grounded) {
+            this.leftGround = true;
+            return;
+        }
+        
+        if (!this.leftGround) return;
+        
+        // Landed somewhere - compare measured and predicted range
+        this.inFlight = false;
+        this.player.setVelocityX(0);
+        this.player.setDragX(this.scene.levelData.player.drag);
+        this.player.setCollideWorldBounds(true);
+        this.scene.playerState.isPuzzleControlled = false;
+        
+        const angle = Phaser.Math.DegToRad(this.config.angle);
+        const measured = (this.player.x - this.launchX) / this.pixelsPerMeter;
+        const predicted = (this.launchSpeed * this.launchSpeed * Math.sin(2 * angle)) / this.gravity;
+        this.setStatus(`Range: ${measured.toFixed(2)} m (v² sin2θ / g = ${predicted.toFixed(2)} m)\nLanding rock: ${this.range.near.toFixed(1)} m – ${this.range.far.toFixed(1)} m away`);
+        
+        if (this.isPlayerOn({ x: this.target.x, width: this.target.displayWidth })) {
+            this.markSolved('Asteroid Hop!', `Range ${measured.toFixed(2)} m at ${this.launchSpeed} m/s`);
+        } else {
+            this.showResult(`Fell short after ${measured.toFixed(2)} m. Try a faster hop.`, false);
+        }
+    }
+}
+
+// Export for use in other modules
+window.AsteroidHopPuzzle = AsteroidHopPuzzle;
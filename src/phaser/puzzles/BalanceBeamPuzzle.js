@@ -0,0 +1,180 @@
+/**
+ * Balance Beam Puzzle - Place weights of known mass on beams to balance their torques or tip them onto a target
+ * Each beam has its own set of weights; click a slot on a beam to put one there, or click it again to take it off.
+ * A "balance" beam must come to rest level with Στ = 0, so Σ m·d on the left equals Σ m·d on the right.
+ * A "tip" beam must come down on its target, so the torque on that side has to beat the other.
+ * When every beam is done the gate to the exit opens
+ */
+
+class BalanceBeamPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.beams = [];
+        this.choosing = false;
+        this.gateOpen = false;
+        this.statusText = '';
+    }
+    
+    create() {
+        // Each beam keeps its goal and the weights not yet put on it
+        this.config.beams.forEach(config => {
+            const entry = {
+                goal: config.goal,
+                target: config.target || 'right',
+                spare: config.weights.slice(),
+                done: false,
+                targetPad: config.goal === 'tip' ? this.createTargetPad(config) : null
+            };
+            entry.beam = new BalanceBeam(this.scene, config, {
+                onSlotClick: (beam, position) => this.chooseWeight(entry, position)
+            });
+            entry.beam.create();
+            this.beams.push(entry);
+        });
+        
+        // Gate to the exit, opened once every beam is done
+        const gate = this.config.gate;
+        this.gate = this.track(this.scene.add.rectangle(gate.x, gate.y, gate.width, gate.height, 0x607D8B));
+        this.gate.setStrokeStyle(3, 0x37474F);
+        this.gate.setDepth(5);
+        this.scene.physics.add.existing(this.gate, true);
+        this.scene.physics.add.collider(this.scene.player, this.gate);
+        
+        this.showBeamStatus();
+    }
+    
+    /**
+     * Pad on the floor under the end of a beam that has to be tipped onto it
+     */
+    createTargetPad(config) {
+        const sign = config.target === 'left' ? -1 : 1;
+        const reach = config.length / 2 * Math.cos(Phaser.Math.DegToRad(config.maxTilt)) * this.pixelsPerMeter;
+        const pad = this.track(this.scene.add.rectangle(config.x + sign * reach, config.floorY - 3, 40, 6, 0xE53935));
+        pad.setStrokeStyle(2, 0xB71C1C);
+        pad.setDepth(4);
+        return pad;
+    }
+    
+    async chooseWeight(entry, position) {
+        if (this.solved || this.choosing) return;
+        
+        const beam = entry.beam;
+        
+        // Clicking a weight that was put there takes it back off; the beam's own loads stay
+        const existing = beam.getLoadAt(position);
+        if (existing) {
+            if (existing.load.fixed) return;
+            beam.removeLoad(existing.id);
+            entry.spare.push(existing.load.mass);
+            return;
+        }
+        
+        if (entry.spare.length === 0) {
+            this.showResult('All of this beam\'s weights are on it - click one to take it off.', false);
+            return;
+        }
+        
+        const options = {};
+        entry.spare.forEach((mass, index) => {
+            options[index] = `${mass} kg weight: τ = m·g·d = ${(mass * beam.gravity * Math.abs(position)).toFixed(0)} N·m here`;
+        });
+        
+        this.choosing = true;
+        const choice = await this.promptChoice({
+            title: `⚖️ ${beam.config.name}: ${Math.abs(position)} m ${position < 0 ? 'left' : 'right'} of the pivot`,
+            html: `<p>A weight's torque is its weight times its lever arm: <strong>τ = m·g·d</strong>. The beam tips toward the side with more torque.</p>` +
+                  (entry.goal === 'balance'
+                      ? '<p>Make the two sides equal so it rests level.</p>'
+                      : `<p>Tip it down onto the ${entry.target} target.</p>`),
+            options: options
+        });
+        this.choosing = false;
+        if (choice === null) return;
+        
+        const mass = entry.spare.splice(parseInt(choice, 10), 1)[0];
+        beam.addLoad({ mass: mass, position: position });
+        this.attempts++;
+    }
+    
+    update(time, delta) {
+        this.beams.forEach(entry => {
+            entry.beam.update(time, delta);
+            this.checkBeam(entry);
+        });
+        
+        if (!this.solved && this.beams.every(entry => entry.done)) {
+            this.finish();
+        }
+        
+        this.showBeamStatus();
+    }
+    
+    checkBeam(entry) {
+        const model = entry.beam.model;
+        const name = entry.beam.config.name;
+        const done = entry.goal === 'balance'
+            ? model.isBalanced() && Math.abs(model.angle) < Phaser.Math.DegToRad(0.5)
+            : model.isTipped(entry.target);
+        
+        if (done === entry.done) return;
+        entry.done = done;
+        
+        if (entry.targetPad) {
+            entry.targetPad.setFillStyle(done ? 0x4CAF50 : 0xE53935);
+        }
+        if (done) {
+            this.setInstruction(entry.goal === 'balance'
+                ? `⚖️ ${name} balances: Στ = 0!`
+                : `⚖️ ${name} is down on its target!`, '#4A90E2');
+        }
+    }
+    
+    finish() {
+        const lines = this.beams.map(entry => {
+            const sides = entry.beam.model.getSideTorques(0);
+            return `${entry.beam.config.name}: ${sides.left.toFixed(0)} N·m left, ${sides.right.toFixed(0)} N·m right`;
+        });
+        
+        this.markSolved('Balanced!', lines.join('; '));
+        this.showResult('⚖️ Every beam is where it needs to be - the torques did it.', true);
+        this.openGate();
+    }
+    
+    openGate() {
+        this.gateOpen = true;
+        this.gate.body.enable = false;
+        
+        this.scene.tweens.add({
+            targets: this.gate,
+            y: this.gate.y - this.gate.height,
+            alpha: 0.3,
+            duration: 1200,
+            ease: 'Power2'
+        });
+        
+        this.setInstruction('🚪 The gate is open! Walk to the exit.', '#4CAF50');
+    }
+    
+    showBeamStatus() {
+        const lines = this.beams.map(entry => {
+            const net = entry.beam.model.getNetTorque(0);
+            const goal = entry.goal === 'balance' ? 'balance it level' : `tip it ${entry.target}`;
+            const spare = entry.spare.length > 0 ? entry.spare.map(mass => `${mass} kg`).join(', ') : 'none';
+            return `${entry.done ? '✅' : '⚖️'} ${entry.beam.config.name} (${goal}): Στ = ${net.toFixed(0)} N·m · weights left: ${spare}`;
+        });
+        
+        const text = lines.join('\n');
+        if (text !== this.statusText) {
+            this.statusText = text;
+            this.setStatus(text);
+        }
+    }
+    
+    destroy() {
+        this.beams.forEach(entry => entry.beam.destroy());
+        super.destroy();
+    }
+}
+
+// Export for use in other modules
+window.BalanceBeamPuzzle = BalanceBeamPuzzle;
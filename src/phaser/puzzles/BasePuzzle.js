@@ -0,0 +1,103 @@
+/**
+ * Base Puzzle - Shared behaviour for data-driven level puzzles
+ * LevelScene creates one puzzle per level from the level's "puzzle" section
+ */
+
+class BasePuzzle extends LevelObject {
+    constructor(scene, config) {
+        super(scene, config);
+        this.solved = false;
+        this.attempts = 0;
+    }
+    
+    /**
+     * Point (px) the puzzle's gravity is read at: its console, or the player when it has none
+     */
+    get anchor() {
+        return this.config.console || this.player;
+    }
+    
+    /**
+     * Create the clickable control console that opens the puzzle input
+     */
+    createConsole(position, hint) {
+        const device = this.track(this.scene.add.sprite(position.x, position.y, 'physics_device'));
+        device.setDepth(6);
+        device.setInteractive({ useHandCursor: true });
+        
+        const label = this.track(this.scene.add.text(position.x, position.y - 40, hint, {
+            fontSize: '12px',
+            color: '#FFD700',
+            backgroundColor: '#000000',
+            padding: { x: 6, y: 3 }
+        }));
+        label.setOrigin(0.5);
+        label.setDepth(20);
+        
+        // Gentle pulse so players notice the console
+        this.scene.tweens.add({
+            targets: device,
+            scaleX: 1.1,
+            scaleY: 1.1,
+            duration: 800,
+            yoyo: true,
+            repeat: -1,
+            ease: 'Sine.easeInOut'
+        });
+        
+        device.on('pointerdown', () => this.onConsoleActivated());
+        
+        return device;
+    }
+    
+    onConsoleActivated() {
+        // Override in subclasses
+    }
+    
+    /**
+     * Puzzle readout shown by the HUD (timers, sensor readings...)
+     */
+    setStatus(text) {
+        this.scene.setPuzzleStatus(text);
+    }
+    
+    /**
+     * Before/after impact tables shown in the HUD's collision panel
+     */
+    setCollisionReport(text) {
+        this.scene.setCollisionReport(text);
+    }
+    
+    /**
+     * Ask the player for a number; resolves to null when cancelled
+     */
+    promptValue(options) {
+        return window.uiComponent.promptValue(options);
+    }
+    
+    /**
+     * Ask the player to pick one of several options; resolves to the chosen key or null when cancelled
+     */
+    promptChoice(options) {
+        return window.uiComponent.promptChoice(options);
+    }
+    
+    markSolved(title, description) {
+        this.solved = true;
+        this.scene.showAchievementNotification(title, description);
+    }
+    
+    /**
+     * Put the player back at a position and hand control back
+     */
+    resetPlayer(position) {
+        const player = this.player;
+        player.body.reset(position.x, position.y);
+        player.setCollideWorldBounds(true);
+        player.setDragX(this.scene.levelData.player.drag);
+        this.scene.playerState.isPuzzleControlled = false;
+    }
+}
+
+// Export for use in other modules
+window.BasePuzzle = BasePuzzle;
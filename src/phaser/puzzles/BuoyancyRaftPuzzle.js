@@ -0,0 +1,131 @@
+/**
+ * Buoyancy Raft Puzzle - Pick what to build a raft from so it carries the player across a river
+ * The raft floats while its own mass plus the player's is less than the water it can displace, ρ·V;
+ * the current then carries it to the far bank
+ */
+
+class BuoyancyRaftPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.raft = null;
+        this.material = null;
+        this.sinkReported = false;
+        this.statusText = '';
+    }
+    
+    create() {
+        this.createConsole(this.config.console, '🛶 Raft Workshop');
+        this.showRaftStatus();
+    }
+    
+    get river() {
+        return this.scene.levelObjects[this.config.fluid];
+    }
+    
+    /**
+     * Raft volume in m³: its size on screen times its depth into the screen
+     */
+    get raftVolume() {
+        const raft = this.config.raft;
+        const frame = this.scene.textures.getFrame(raft.texture || 'professional_wood_platform');
+        const ppm = this.pixelsPerMeter;
+        return (frame.width * raft.scale.x / ppm) * (frame.height * raft.scale.y / ppm) * (raft.depth || 1);
+    }
+    
+    async onConsoleActivated() {
+        if (this.solved) return;
+        
+        const options = {};
+        this.config.materials.forEach(key => {
+            const material = this.scene.physicsUtils.getMaterial(key);
+            options[key] = `${material.name} (${material.massDensity} kg/m³)`;
+        });
+        
+        const water = this.river.fluid;
+        const material = await this.promptChoice({
+            title: '🛶 Build a Raft',
+            html: `<p>The raft is <strong>${this.raftVolume.toFixed(2)} m³</strong> of material. Fully under water it displaces ${(water.density * this.raftVolume).toFixed(0)} kg of ${water.name.toLowerCase()} (ρ = ${water.density} kg/m³).</p>` +
+                  `<p>It floats as long as its own mass plus your ${this.scene.playerMass} kg is less than that: ρ<sub>raft</sub>·V + ${this.scene.playerMass} kg &lt; ρ<sub>water</sub>·V.</p>`,
+            options: options
+        });
+        if (material === null) return;
+        
+        this.launchRaft(material);
+    }
+    
+    /**
+     * Drop a fresh raft of the chosen material into the river, replacing the last one
+     */
+    launchRaft(material) {
+        this.attempts++;
+        if (this.raft) {
+            this.scene.removeFloatingBody(this.raft);
+        }
+        
+        this.material = material;
+        this.sinkReported = false;
+        this.raft = this.scene.createMoveableBody(Object.assign({}, this.config.raft, { material: material }));
+        
+        const name = this.scene.physicsUtils.getMaterial(material).name;
+        this.setInstruction(`🛶 ${name} raft in the water - jump on before the current takes it!`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        if (this.solved) return;
+        
+        if (this.isPlayerOn(this.config.farBank)) {
+            const name = this.scene.physicsUtils.getMaterial(this.material).name;
+            this.markSolved('Raft Builder', `A ${name.toLowerCase()} raft carried you across - lighter than the water it displaced`);
+            this.showResult(`🛶 Across! The ${name.toLowerCase()} raft and you together weighed less than ${this.raftVolume.toFixed(2)} m³ of water.`, true);
+            this.setInstruction('🚪 Head for the exit!', '#4CAF50');
+            return;
+        }
+        
+        if (!this.raft) return;
+        
+        // Report once when the raft goes under, with or without the player on it
+        const fraction = this.river.getSubmergedFraction(this.raft);
+        if (fraction >= 1 && !this.sinkReported) {
+            this.sinkReported = true;
+            const properties = this.raft.fluidProperties;
+            const displaced = this.river.fluid.density * properties.volume;
+            const message = properties.mass < displaced
+                ? `It floats on its own, but ${properties.mass.toFixed(0)} kg + your ${this.scene.playerMass} kg is more than the ${displaced.toFixed(0)} kg of water it can displace.`
+                : `${properties.mass.toFixed(0)} kg is more than the ${displaced.toFixed(0)} kg of water it can displace - it's denser than water.`;
+            this.showResult(`The ${properties.name.toLowerCase()} raft sank! ${message}`, false);
+        }
+        
+        this.showRaftStatus(fraction);
+    }
+    
+    showRaftStatus(fraction = 0) {
+        const water = this.river.fluid;
+        const displaced = water.density * this.raftVolume;
+        let text = `River: ${water.name}, ρ = ${water.density} kg/m³\n` +
+                   `Raft volume: ${this.raftVolume.toFixed(2)} m³ → buoyancy up to ${displaced.toFixed(0)} kg`;
+        
+        if (this.raft) {
+            const properties = this.raft.fluidProperties;
+            const load = properties.mass + this.scene.getRiderMass(this.raft);
+            text += `\nRaft: ${properties.name}, ${properties.mass.toFixed(0)} kg, load ${load.toFixed(0)} kg\n` +
+                    `Under water: ${Math.round(fraction * 100)}%`;
+        }
+        
+        // Only touch the HUD when the numbers change
+        if (text !== this.statusText) {
+            this.statusText = text;
+            this.setStatus(text);
+        }
+    }
+    
+    destroy() {
+        if (this.raft) {
+            this.scene.removeFloatingBody(this.raft);
+            this.raft = null;
+        }
+        super.destroy();
+    }
+}
+
+// Export for use in other modules
+window.BuoyancyRaftPuzzle = BuoyancyRaftPuzzle;
@@ -0,0 +1,303 @@
+/**
+ * Cart Collision Puzzle - Roll a cue cart into a row of carts to knock the last one onto a target spot
+ * Pick elastic or inelastic bumpers and a launch speed; every impact is detected with
+ * PhysicsUtils.checkCollisionEducational and its momentum and kinetic energy tabled in the HUD.
+ * Rolling friction slows each cart at μr·g, so how fast the target leaves the impact decides where it stops
+ */
+
+class CartCollisionPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.carts = [];
+        this.rolling = false;
+        this.impacts = [];
+        this.crashed = false;
+        this.collisionType = 'elastic';
+        
+        // Coefficient of restitution for each bumper the player can fit
+        this.collisionTypes = {
+            elastic: { restitution: 1, label: 'Elastic: spring bumpers, kinetic energy kept (e = 1)' },
+            inelastic: { restitution: 0, label: 'Inelastic: sticky bumpers, the carts couple up (e = 0)' }
+        };
+    }
+    
+    create() {
+        const ppm = this.pixelsPerMeter;
+        const track = this.config.track;
+        const target = this.config.target;
+        this.cartWidth = (this.config.cartWidth || 0.5) * ppm;
+        
+        // Rails with a buffer at each end
+        const rails = this.track(this.scene.add.graphics());
+        rails.setDepth(4);
+        rails.lineStyle(3, 0x90A4AE);
+        rails.lineBetween(track.startX, track.y - 2, track.endX, track.y - 2);
+        rails.fillStyle(0xFFB300);
+        rails.fillRect(track.startX - 8, track.y - 30, 8, 30);
+        rails.fillRect(track.endX, track.y - 30, 8, 30);
+        
+        // Target spot for the last cart's centre
+        this.targetBand = this.track(this.scene.add.rectangle(target.x, track.y - 3, target.tolerance * 2 * ppm, 6, 0x4CAF50, 0.7));
+        this.targetBand.setDepth(4);
+        const flag = this.track(this.scene.add.text(target.x, track.y - 40, '🎯', { fontSize: '16px' }));
+        flag.setOrigin(0.5, 1);
+        flag.setDepth(5);
+        
+        this.config.carts.forEach(config => this.carts.push(this.createCart(config)));
+        this.createConsole(this.config.console, '💥 Cart Launcher');
+        
+        this.setStatus(this.formatSetup());
+    }
+    
+    /**
+     * A cart is a sprite for the eye and a Matter body for checkCollisionEducational;
+     * its motion along the track is kept in meters and m/s
+     */
+    createCart(config) {
+        const height = 24;
+        const container = this.track(this.scene.add.container(config.x, this.config.track.y - height / 2 - 6));
+        container.setDepth(6);
+        
+        const color = Phaser.Display.Color.HexStringToColor(config.color || '#42A5F5').color;
+        const body = this.scene.add.rectangle(0, 0, this.cartWidth, height, color);
+        body.setStrokeStyle(2, 0x263238);
+        const wheels = [-1, 1].map(side => this.scene.add.circle(side * this.cartWidth / 4, height / 2 + 2, 5, 0x263238));
+        const label = this.scene.add.text(0, 0, `${config.mass} kg`, {
+            fontSize: '10px',
+            color: '#FFFFFF',
+            fontStyle: 'bold'
+        });
+        label.setOrigin(0.5);
+        container.add([body, ...wheels, label]);
+        
+        const collider = Matter.Bodies.rectangle(config.x, container.y, this.cartWidth, height);
+        Matter.Body.setMass(collider, config.mass);
+        
+        return {
+            config: config,
+            name: config.name || config.id,
+            mass: config.mass,
+            container: container,
+            collider: collider,
+            start: config.x,
+            position: (config.x - this.config.track.startX) / this.pixelsPerMeter,
+            velocity: 0
+        };
+    }
+    
+    async onConsoleActivated() {
+        if (this.rolling || this.solved) return;
+        
+        const options = {};
+        Object.keys(this.collisionTypes).forEach(key => {
+            options[key] = this.collisionTypes[key].label;
+        });
+        
+        const targetCart = this.carts[this.carts.length - 1];
+        const distance = (this.config.target.x - targetCart.start) / this.pixelsPerMeter;
+        const collisionType = await this.promptChoice({
+            title: '💥 Bumpers',
+            html: `<p>Knock the <strong>${targetCart.mass} kg</strong> ${targetCart.name.toLowerCase()} <strong>${distance.toFixed(1)} m</strong> down the track.</p>` +
+                  `<p>Momentum is conserved in every collision. Elastic bumpers also keep the kinetic energy; inelastic ones make the carts stick together.</p>`,
+            options: options
+        });
+        if (collisionType === null) return;
+        
+        const cue = this.carts[0];
+        const speed = await this.promptValue({
+            title: '💥 Launch Speed',
+            html: `<p>The <strong>${cue.mass} kg</strong> ${cue.name.toLowerCase()} rolls with friction μr = ${this.config.rollingFriction}: every cart slows at μr·g = ${(this.config.rollingFriction * this.gravity).toFixed(2)} m/s².</p>` +
+                  `<p>Elastic: v₂ = 2m₁v₁ / (m₁ + m₂). Inelastic: v = m₁v₁ / (m₁ + m₂). Then it stops after d = v² / (2μr·g).</p>`,
+            label: 'Launch speed (m/s)',
+            min: this.config.minSpeed || 0.5,
+            max: this.config.maxSpeed || 6
+        });
+        if (speed === null) return;
+        
+        this.launch(collisionType, speed);
+    }
+    
+    launch(collisionType, speed) {
+        this.attempts++;
+        this.collisionType = collisionType;
+        this.launchSpeed = speed;
+        this.impacts = [];
+        this.crashed = false;
+        this.setCollisionReport('');
+        
+        // Every cart back to its start, the cue cart moving
+        this.carts.forEach(cart => {
+            cart.position = (cart.start - this.config.track.startX) / this.pixelsPerMeter;
+            cart.velocity = 0;
+        });
+        this.carts[0].velocity = speed;
+        this.placeCarts();
+        
+        this.rolling = true;
+        this.setInstruction(`💥 Cue cart launched at ${speed} m/s with ${collisionType} bumpers!`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        if (!this.rolling) return;
+        
+        const substeps = 4;
+        const dt = Math.min(delta, 50) / 1000 / substeps;
+        
+        for (let i = 0; i < substeps; i++) {
+            this.carts.forEach(cart => this.roll(cart, dt));
+            this.checkBuffers();
+            this.checkImpacts();
+        }
+        
+        this.placeCarts();
+        this.setStatus(this.formatMotion());
+        
+        if (this.carts.every(cart => cart.velocity === 0)) {
+            this.rolling = false;
+            this.checkStop();
+        }
+    }
+    
+    /**
+     * Rolling friction slows a moving cart but never pushes it backwards
+     */
+    roll(cart, dt) {
+        if (cart.velocity === 0) return;
+        
+        const deceleration = this.config.rollingFriction * this.gravity;
+        const velocity = cart.velocity - Math.sign(cart.velocity) * deceleration * dt;
+        const stopped = Math.sign(velocity) !== Math.sign(cart.velocity);
+        
+        cart.position += (cart.velocity + (stopped ? 0 : velocity)) / 2 * dt;
+        cart.velocity = stopped ? 0 : velocity;
+    }
+    
+    /**
+     * A cart that reaches a buffer stops dead
+     */
+    checkBuffers() {
+        const track = this.config.track;
+        const half = this.cartWidth / 2 / this.pixelsPerMeter;
+        const end = (track.endX - track.startX) / this.pixelsPerMeter - half;
+        
+        this.carts.forEach(cart => {
+            if (cart.position > end) {
+                cart.position = end;
+                cart.velocity = 0;
+                this.crashed = true;
+            } else if (cart.position < half) {
+                cart.position = half;
+                cart.velocity = 0;
+            }
+        });
+    }
+    
+    /**
+     * Neighbouring carts that touch while closing in collide
+     */
+    checkImpacts() {
+        for (let i = 0; i < this.carts.length - 1; i++) {
+            const cartA = this.carts[i];
+            const cartB = this.carts[i + 1];
+            // Coupled carts move at the same speed; rounding must not count as another impact
+            if (cartA.velocity - cartB.velocity < 1e-6) continue;
+            
+            this.syncCollider(cartA);
+            this.syncCollider(cartB);
+            
+            const collision = this.scene.physicsUtils.checkCollisionEducational(cartA.collider, cartB.collider);
+            if (!collision.collided) continue;
+            
+            const restitution = this.collisionTypes[this.collisionType].restitution;
+            const result = this.scene.physicsUtils.resolveCollision(collision, restitution);
+            cartA.velocity = result.velocityAfter.a.x;
+            cartB.velocity = result.velocityAfter.b.x;
+            
+            this.recordImpact(cartA, cartB, collision, result);
+        }
+    }
+    
+    syncCollider(cart) {
+        const x = this.config.track.startX + cart.position * this.pixelsPerMeter;
+        Matter.Body.setPosition(cart.collider, { x: x, y: cart.container.y });
+        Matter.Body.setVelocity(cart.collider, { x: cart.velocity, y: 0 });
+    }
+    
+    recordImpact(cartA, cartB, collision, result) {
+        this.impacts.push({ cartA, cartB, collision, result });
+        
+        const x = (cartA.container.x + cartB.container.x) / 2;
+        this.scene.dustParticles.explode(6, x, cartA.container.y);
+        this.scene.cameras.main.shake(120, 0.003);
+        
+        this.setCollisionReport(this.impacts.map((impact, index) => this.formatImpact(impact, index)).join('\n\n'));
+    }
+    
+    placeCarts() {
+        this.carts.forEach(cart => {
+            cart.container.x = this.config.track.startX + cart.position * this.pixelsPerMeter;
+        });
+    }
+    
+    checkStop() {
+        const target = this.config.target;
+        const targetCart = this.carts[this.carts.length - 1];
+        const miss = (targetCart.container.x - target.x) / this.pixelsPerMeter;
+        
+        if (!this.crashed && Math.abs(miss) <= target.tolerance) {
+            const impact = this.impacts[this.impacts.length - 1];
+            const lost = this.impacts.reduce((total, entry) => total + entry.result.energyLost, 0);
+            this.markSolved('Perfect Collision!', `${this.launchSpeed} m/s with ${this.collisionType} bumpers - ${lost.toFixed(1)} J of kinetic energy lost`);
+            this.showResult(`🎯 The ${targetCart.name.toLowerCase()} stopped on the spot! It left the impact at ${impact.result.velocityAfter.b.x.toFixed(2)} m/s.`, true);
+            this.setInstruction('🚪 Right on target! Head for the exit.', '#4CAF50');
+            return;
+        }
+        
+        if (this.crashed) {
+            this.showResult('💥 Slammed into the buffer! Launch slower.', false);
+        } else if (this.impacts.length === 0) {
+            this.showResult('The cue cart stopped before it reached the others. Launch faster!', false);
+        } else {
+            this.showResult(`The ${targetCart.name.toLowerCase()} stopped ${Math.abs(miss).toFixed(2)} m ${miss > 0 ? 'past' : 'short of'} the target.\nHint: work back from d = v² / (2μr·g) to the speed it needs after the impact.`, false);
+        }
+    }
+    
+    formatSetup() {
+        const rows = this.carts.map(cart => `${cart.name}: ${cart.mass} kg`);
+        return `${rows.join(', ')}\n` +
+               `Rolling friction μr = ${this.config.rollingFriction}, g = ${this.gravity} m/s²`;
+    }
+    
+    formatMotion() {
+        const rows = this.carts.map(cart => `${cart.name}: v = ${cart.velocity.toFixed(2)} m/s, p = ${(cart.mass * cart.velocity).toFixed(2)} kg·m/s`);
+        const total = this.carts.reduce((sum, cart) => sum + cart.mass * cart.velocity, 0);
+        return `${rows.join('\n')}\nTotal momentum: ${total.toFixed(2)} kg·m/s (friction drains it between impacts)`;
+    }
+    
+    /**
+     * One impact as a before/after table of velocity, momentum and kinetic energy
+     */
+    formatImpact({ cartA, cartB, collision, result }, index) {
+        const column = value => value.toFixed(2).padStart(7);
+        const row = (name, mass, vBefore, vAfter, pBefore, pAfter, keBefore, keAfter) =>
+            `${name.padEnd(12)}${String(mass).padStart(4)}${column(vBefore)}${column(vAfter)}${column(pBefore)}${column(pAfter)}${column(keBefore)}${column(keAfter)}`;
+        
+        const momentumBefore = collision.momentumBefore;
+        const momentumAfter = result.momentumAfter;
+        const energyBefore = collision.kineticEnergyBefore;
+        const energyAfter = result.kineticEnergyAfter;
+        
+        return [
+            `💥 Impact ${index + 1}: ${this.collisionType} (e = ${result.restitution})`,
+            `${''.padEnd(12)}${'m'.padStart(4)}${'v (m/s)'.padStart(14)}${'p (kg·m/s)'.padStart(14)}${'KE (J)'.padStart(14)}`,
+            `${''.padEnd(12)}${'kg'.padStart(4)}${'before'.padStart(7)}${'after'.padStart(7)}${'before'.padStart(7)}${'after'.padStart(7)}${'before'.padStart(7)}${'after'.padStart(7)}`,
+            row(cartA.name, cartA.mass, collision.bodyA.velocity.x, result.velocityAfter.a.x, momentumBefore.a.x, momentumAfter.a.x, energyBefore.a, energyAfter.a),
+            row(cartB.name, cartB.mass, collision.bodyB.velocity.x, result.velocityAfter.b.x, momentumBefore.b.x, momentumAfter.b.x, energyBefore.b, energyAfter.b),
+            `${'Total'.padEnd(30)}${column(momentumBefore.a.x + momentumBefore.b.x)}${column(momentumAfter.a.x + momentumAfter.b.x)}${column(energyBefore.a + energyBefore.b)}${column(energyAfter.a + energyAfter.b)}`,
+            `Kinetic energy lost to heat and sound: ${result.energyLost.toFixed(2)} J`
+        ].join('\n');
+    }
+}
+
+// Export for use in other modules
+window.CartCollisionPuzzle = CartCollisionPuzzle;
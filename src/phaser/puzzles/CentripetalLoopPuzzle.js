@@ -0,0 +1,231 @@
+/**
+ * Centripetal Loop Puzzle - Spin a cart up on a centrifuge and fling it round a vertical loop to hit the gate button
+ * The cart leaves the turntable at v = ωr, so the player picks where to clamp it (r) and how fast to spin (ω).
+ * Too fast and friction plus the tether can't supply mω²r, so the cart flies off the disc; too slow and at the
+ * top of the loop gravity alone is more than mv²/r, so it drops off the track. It needs √(5gR) at the bottom
+ */
+
+class CentripetalLoopPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.phase = 'idle';
+        this.riderRadius = config.riderRadii[0];
+        this.rpm = 0;
+        this.speed = 0;
+        this.gateOpen = false;
+        this.statusText = '';
+    }
+    
+    create() {
+        const rail = this.config.rail;
+        
+        this.centrifuge = new Centrifuge(this.scene, this.config.centrifuge);
+        this.centrifuge.create();
+        this.loop = new VerticalLoop(this.scene, this.config.loop);
+        this.loop.create();
+        
+        // Straight rails from the front of the turntable into the loop and on to the button
+        const rails = this.track(this.scene.add.graphics());
+        rails.setDepth(3);
+        rails.lineStyle(4, 0xB0BEC5);
+        rails.lineBetween(this.config.centrifuge.x, rail.y, rail.endX, rail.y);
+        
+        const button = this.config.button;
+        this.button = this.track(this.scene.add.rectangle(button.x, rail.y - 5, 30, 10, 0xE53935));
+        this.button.setStrokeStyle(2, 0xB71C1C);
+        this.button.setDepth(4);
+        
+        // Gate to the exit, opened by the button
+        const gate = this.config.gate;
+        this.gate = this.track(this.scene.add.rectangle(gate.x, gate.y, gate.width, gate.height, 0x607D8B));
+        this.gate.setStrokeStyle(3, 0x37474F);
+        this.gate.setDepth(5);
+        this.scene.physics.add.existing(this.gate, true);
+        this.scene.physics.add.collider(this.scene.player, this.gate);
+        
+        this.cart = this.track(this.scene.add.rectangle(0, 0, 36, 18, 0xFFB300));
+        this.cart.setStrokeStyle(2, 0xFF6F00);
+        this.cart.setDepth(7);
+        this.resetCart();
+        
+        this.createConsole(this.config.console, '🌀 Centrifuge Controls');
+        this.showForces();
+    }
+    
+    get cartMass() {
+        return this.config.cart.mass;
+    }
+    
+    resetCart() {
+        this.phase = 'idle';
+        this.centrifuge.setRpm(0);
+        this.centrifuge.setRider({ mass: this.cartMass, radius: this.riderRadius }, this.cart);
+    }
+    
+    async onConsoleActivated() {
+        if (this.phase !== 'idle' || this.solved) return;
+        
+        const options = {};
+        this.config.riderRadii.forEach(radius => {
+            options[radius] = `Clamp at r = ${radius} m`;
+        });
+        const radius = await this.promptChoice({
+            title: '🌀 Clamp the Cart',
+            html: `<p>The cart (${this.cartMass} kg) leaves the turntable at <strong>v = ωr</strong>, so further out it goes faster for the same spin.</p>` +
+                  `<p>But it needs a pull of mω²r to stay on: friction gives up to μmg = ${(this.config.centrifuge.mu * this.cartMass * this.gravity).toFixed(0)} N and the tether up to ${this.config.centrifuge.tetherStrength} N.</p>`,
+            options: options
+        });
+        if (radius === null) return;
+        
+        this.riderRadius = parseFloat(radius);
+        this.centrifuge.setRider({ mass: this.cartMass, radius: this.riderRadius }, this.cart);
+        
+        const rpm = await this.promptValue({
+            title: '🌀 Spin Rate',
+            html: `<p>The loop has r = <strong>${this.config.loop.radius} m</strong>. At its top the track can only push, so the cart needs v ≥ √(gr) there and <strong>v ≥ √(5gr) = ${this.loop.model.getMinEntrySpeed(this.config.loop.radius).toFixed(2)} m/s</strong> coming in.</p>` +
+                  `<p>The clamp lets go as the cart passes the front of the disc. ω = rpm × 2π / 60.</p>`,
+            label: 'Spin rate (rpm)',
+            min: this.config.minRpm || 5,
+            max: this.config.maxRpm || 90,
+            step: 1
+        });
+        if (rpm === null) return;
+        
+        this.attempts++;
+        this.rpm = rpm;
+        this.centrifuge.setRpm(rpm);
+        this.phase = 'spinning';
+        this.setInstruction(`🌀 Spinning up to ${rpm} rpm...`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        const dt = Math.min(delta, 50) / 1000;
+        
+        this.centrifuge.update(time, delta);
+        this.loop.update(time, delta);
+        
+        if (this.phase === 'spinning') {
+            this.updateSpinning();
+        } else if (this.phase === 'toLoop') {
+            this.cart.x += this.speed * this.pixelsPerMeter * dt;
+            if (this.cart.x >= this.config.loop.x) {
+                this.phase = 'loop';
+                this.loop.start(this.speed, { mass: this.cartMass }, this.cart);
+            }
+        } else if (this.phase === 'loop') {
+            this.updateLoop();
+        } else if (this.phase === 'toButton') {
+            this.cart.x += this.speed * this.pixelsPerMeter * dt;
+            if (this.cart.x >= this.config.button.x) {
+                this.cart.x = this.config.button.x;
+                this.pressButton();
+            }
+        }
+        
+        this.showForces();
+    }
+    
+    updateSpinning() {
+        if (this.centrifuge.slipped) {
+            const forces = this.centrifuge.getForces();
+            this.fail(`The tether snapped at ${this.centrifuge.rpm.toFixed(0)} rpm: the cart needed mω²r = ${forces.required.toFixed(0)} N, but friction and the tether give at most ${(forces.maxFriction + forces.tetherStrength).toFixed(0)} N. Spin slower, or clamp it further out.`);
+            return;
+        }
+        
+        if (this.centrifuge.atSpeed && this.centrifuge.passedFront) {
+            this.speed = this.centrifuge.release();
+            this.cart.setPosition(this.config.centrifuge.x, this.config.rail.y - this.cart.height / 2);
+            this.cart.setRotation(0);
+            this.cart.setDepth(7);
+            this.centrifuge.setRpm(0);
+            this.phase = 'toLoop';
+            this.setInstruction(`🌀 Released at v = ωr = ${this.speed.toFixed(2)} m/s!`, '#4A90E2');
+        }
+    }
+    
+    updateLoop() {
+        const needed = this.loop.model.getMinTopSpeed(this.config.loop.radius);
+        
+        if (this.loop.state === 'exited') {
+            this.phase = 'toButton';
+            this.speed = this.loop.exitSpeed;
+            this.cart.setPosition(this.config.loop.x, this.config.rail.y - this.cart.height / 2);
+        } else if (this.loop.state === 'crashed') {
+            const fall = this.loop.fall;
+            this.fail(`The cart came off the track at ${Phaser.Math.RadToDeg(fall.angle).toFixed(0)}° round the loop, moving ${fall.speed.toFixed(2)} m/s: there gravity's pull toward the centre was more than mv²/r, so the track had nothing left to push with. At the top it needs v ≥ √(gr) = ${needed.toFixed(2)} m/s.`);
+        } else if (this.loop.state === 'rolledBack') {
+            this.fail(`At ${this.speed.toFixed(2)} m/s the cart couldn't climb the loop and slid back out. It needs √(5gr) = ${this.loop.model.getMinEntrySpeed(this.config.loop.radius).toFixed(2)} m/s.`);
+        }
+    }
+    
+    fail(message) {
+        this.phase = 'failed';
+        this.showResult(message, false);
+        this.scene.time.delayedCall(1500, () => {
+            this.loop.state = 'idle';
+            this.resetCart();
+        });
+    }
+    
+    pressButton() {
+        this.phase = 'done';
+        this.button.setScale(1, 0.4);
+        this.openGate();
+        this.markSolved('Round the Loop!', `${this.rpm} rpm with the cart at r = ${this.riderRadius} m gave v = ωr = ${this.speed.toFixed(2)} m/s, over the √(5gr) the loop needs`);
+        this.showResult(`🎢 Round the loop at ${this.speed.toFixed(2)} m/s! At the top mv²/r was more than mg, so the track kept pushing.`, true);
+    }
+    
+    openGate() {
+        this.gateOpen = true;
+        this.gate.body.enable = false;
+        
+        this.scene.tweens.add({
+            targets: this.gate,
+            y: this.gate.y - this.gate.height,
+            alpha: 0.3,
+            duration: 1200,
+            ease: 'Power2'
+        });
+        
+        this.setInstruction('🚪 The gate is open! Walk to the exit.', '#4CAF50');
+    }
+    
+    /**
+     * The pull each circle needs next to the forces there to give it
+     */
+    showForces() {
+        const mu = this.config.centrifuge.mu;
+        const turntable = this.centrifuge.getForces();
+        const loopForces = this.loop.getForces();
+        const omega = this.centrifuge.angularVelocity;
+        const lines = [
+            `Turntable: ${this.centrifuge.rpm.toFixed(0)} rpm (ω = ${omega.toFixed(2)} rad/s), cart at r = ${this.riderRadius} m → v = ωr = ${(omega * this.riderRadius).toFixed(2)} m/s`
+        ];
+        
+        if (turntable) {
+            lines.push(`Needs mω²r = ${turntable.required.toFixed(0)} N · friction ${turntable.friction.toFixed(0)} of ${turntable.maxFriction.toFixed(0)} N (μ = ${mu}) + tether ${turntable.tension.toFixed(0)} of ${turntable.tetherStrength} N`);
+        }
+        
+        if (loopForces) {
+            const angle = Phaser.Math.RadToDeg(this.loop.cart.angle);
+            lines.push(`Loop at ${angle.toFixed(0)}°: needs mv²/r = ${loopForces.required.toFixed(0)} N = gravity ${loopForces.gravity.toFixed(0)} N inward + track ${loopForces.normal.toFixed(0)} N`);
+        } else {
+            lines.push(`Loop: r = ${this.config.loop.radius} m, needs ≥ ${this.loop.model.getMinEntrySpeed(this.config.loop.radius).toFixed(2)} m/s at the bottom`);
+        }
+        
+        const text = lines.join('\n');
+        if (text !== this.statusText) {
+            this.statusText = text;
+            this.setStatus(text);
+        }
+    }
+    
+    destroy() {
+        this.centrifuge.destroy();
+        this.loop.destroy();
+        super.destroy();
+    }
+}
+
+// Export for use in other modules
+window.CentripetalLoopPuzzle = CentripetalLoopPuzzle;
@@ -0,0 +1,357 @@
+/**
+ * Energy Track Puzzle - Build a coaster track and pick a release height so the cart loops the loop and stops at the exit
+ * Click the track's slots to fit a loop and a brake section, then release the cart from the tower.
+ * A live bar chart splits the cart's energy into potential, kinetic and the thermal energy friction has taken
+ */
+
+class EnergyTrackPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.loopRadius = config.loopRadii[0];
+        this.brake = config.brakes[0];
+        this.height = config.height || 2;
+        this.running = false;
+        this.state = null;
+        this.model = null;
+    }
+    
+    create() {
+        this.trackGraphics = this.track(this.scene.add.graphics());
+        this.trackGraphics.setDepth(4);
+        
+        this.cart = this.track(this.scene.add.container(0, 0));
+        this.cart.setDepth(7);
+        const body = this.scene.add.rectangle(0, 0, 28, 14, 0xE53935);
+        body.setStrokeStyle(2, 0x7F0000);
+        const wheels = [-8, 8].map(x => this.scene.add.circle(x, 7, 3, 0x212121));
+        this.cart.add([body, ...wheels]);
+        
+        // Exit marker on the brake section
+        const exit = this.config.exit;
+        const floorY = this.config.track.floorY;
+        const band = this.track(this.scene.add.rectangle(exit.x, floorY - 3, exit.tolerance * 2 * this.pixelsPerMeter, 6, 0x4CAF50, 0.7));
+        band.setDepth(5);
+        const flag = this.track(this.scene.add.text(exit.x, floorY - 12, '🏁 Exit', {
+            fontSize: '12px',
+            color: '#A5D6A7',
+            fontStyle: 'bold'
+        }));
+        flag.setOrigin(0.5, 1);
+        flag.setDepth(5);
+        
+        this.loopSign = this.createSlotSign(this.config.track.loopX, () => this.chooseLoop());
+        this.brakeSign = this.createSlotSign((this.config.track.runoutX + this.config.track.endX) / 2, () => this.chooseBrake());
+        
+        this.chart = this.track(this.scene.add.graphics());
+        this.chart.setDepth(20);
+        this.chartLabels = ['PE', 'KE', 'Heat', 'Total'].map((name, index) => {
+            const label = this.track(this.scene.add.text(this.config.chart.x + index * 60 + 20, this.config.chart.y + 4, name, {
+                fontSize: '11px',
+                color: '#FFFFFF'
+            }));
+            label.setOrigin(0.5, 0);
+            label.setDepth(20);
+            return label;
+        });
+        this.chartValues = this.chartLabels.map(label => {
+            const value = this.track(this.scene.add.text(label.x, 0, '', {
+                fontSize: '10px',
+                color: '#E0E0E0'
+            }));
+            value.setOrigin(0.5, 1);
+            value.setDepth(20);
+            return value;
+        });
+        
+        this.createConsole(this.config.console, '🎢 Release Tower');
+        
+        this.buildTrack();
+        this.placeCart({ s: 0, velocity: 0, thermal: 0 });
+        this.drawEnergyChart({ s: 0, velocity: 0, thermal: 0 });
+    }
+    
+    /**
+     * Clickable sign above a slot in the track; shows the piece fitted there
+     */
+    createSlotSign(x, onClick) {
+        const sign = this.track(this.scene.add.text(x, this.config.track.floorY - 250, '', {
+            fontSize: '12px',
+            color: '#FFD700',
+            backgroundColor: '#000000',
+            padding: { x: 6, y: 3 },
+            align: 'center'
+        }));
+        sign.setOrigin(0.5);
+        sign.setDepth(20);
+        sign.setInteractive({ useHandCursor: true });
+        sign.on('pointerdown', () => {
+            if (!this.running) onClick();
+        });
+        return sign;
+    }
+    
+    async chooseLoop() {
+        const options = {};
+        this.config.loopRadii.forEach(radius => {
+            options[radius] = `Loop with r = ${radius} m (${(2 * radius).toFixed(1)} m tall)`;
+        });
+        
+        const radius = await this.promptChoice({
+            title: '🎢 Loop Segment',
+            html: '<p>At the top of the loop the track can only push down, so gravity alone must not be too much: v² ≥ g·r.</p>' +
+                  '<p>From energy: h ≥ 2r + r/2 = 2.5r without friction.</p>',
+            options: options
+        });
+        if (radius === null) return;
+        
+        this.loopRadius = parseFloat(radius);
+        this.buildTrack();
+    }
+    
+    async chooseBrake() {
+        const options = {};
+        this.config.brakes.forEach(key => {
+            const surface = this.scene.physicsUtils.getMaterial(key);
+            options[key] = `${surface.name} brakes (μ = ${surface.friction})`;
+        });
+        
+        const brake = await this.promptChoice({
+            title: '🎢 Brake Segment',
+            html: '<p>After the loop the cart runs onto brakes. Friction turns its kinetic energy into heat over a distance d = KE / (μ·m·g).</p>',
+            options: options
+        });
+        if (brake === null) return;
+        
+        this.brake = brake;
+        this.buildTrack();
+    }
+    
+    /**
+     * Lay the track out in meters from the level's pixel positions: drop, flat, loop, flat, brakes
+     */
+    buildTrack() {
+        const ppm = this.pixelsPerMeter;
+        const track = this.config.track;
+        const run = this.height * (this.config.dropSpread || 1);
+        const rampEnd = track.rampEndX / ppm;
+        
+        this.model = new EnergyTrackModel({ gravity: this.gravity, friction: this.config.trackFriction });
+        this.model.addDrop(rampEnd - run, this.height, run);
+        this.model.addFlat(track.loopX / ppm - rampEnd);
+        this.model.addLoop(this.loopRadius);
+        this.model.addFlat((track.runoutX - track.loopX) / ppm);
+        this.model.addFlat((track.endX - track.runoutX) / ppm, this.scene.physicsUtils.getMaterial(this.brake).friction);
+        this.model.build();
+        
+        this.drawTrack();
+        this.loopSign.setText(`🔁 Loop: r = ${this.loopRadius} m\n(click to change)`);
+        this.brakeSign.setText(`🛑 Brakes: ${this.scene.physicsUtils.getMaterial(this.brake).name}\n(click to change)`);
+        this.showTrackStatus();
+    }
+    
+    toScreen(point) {
+        return {
+            x: point.x * this.pixelsPerMeter,
+            y: this.config.track.floorY - point.y * this.pixelsPerMeter
+        };
+    }
+    
+    drawTrack() {
+        const graphics = this.trackGraphics;
+        const floorY = this.config.track.floorY;
+        const points = this.model.points;
+        const top = this.toScreen(points[0]);
+        
+        graphics.clear();
+        
+        // Release tower under the start of the drop
+        graphics.fillStyle(0x5D4037);
+        graphics.fillRect(top.x - 30, top.y, 30, floorY - top.y);
+        graphics.lineStyle(1, 0xFFE082, 0.8);
+        graphics.lineBetween(top.x - 36, top.y, top.x - 36, floorY);
+        
+        // Rails, with the brake section in its material's colour
+        const brakeColors = { heavy: 0x9E9E9E, default: 0xBCAAA4, slippery: 0x81D4FA, bouncy: 0xF48FB1 };
+        graphics.lineStyle(4, 0xB0BEC5);
+        graphics.strokePoints(points.map(point => this.toScreen(point)));
+        graphics.lineStyle(6, brakeColors[this.brake] || 0xBCAAA4);
+        graphics.lineBetween(this.config.track.runoutX, floorY, this.config.track.endX, floorY);
+        
+        // Buffer at the end of the brakes
+        graphics.fillStyle(0xFFB300);
+        graphics.fillRect(this.config.track.endX, floorY - 30, 8, 30);
+    }
+    
+    async onConsoleActivated() {
+        if (this.running || this.solved) return;
+        
+        const height = await this.promptValue({
+            title: '🎢 Release Height',
+            html: `<p>The cart starts at rest: all its energy is potential, mgh. It needs enough at the top of the <strong>${this.loopRadius} m</strong> loop to stay on the track,</p>` +
+                  `<p>then the ${this.scene.physicsUtils.getMaterial(this.brake).name.toLowerCase()} brakes must stop it at the exit. The rails have a little friction too (μ = ${this.config.trackFriction}).</p>`,
+            label: 'Release height (m)',
+            min: this.config.minHeight || 1,
+            max: this.config.maxHeight || 3.6,
+            step: 0.05
+        });
+        if (height === null) return;
+        
+        this.release(height);
+    }
+    
+    release(height) {
+        this.attempts++;
+        this.height = height;
+        this.buildTrack();
+        
+        this.state = { s: 0, velocity: 0, thermal: 0 };
+        this.startEnergy = this.getPotentialEnergy(this.model.getPoint(0));
+        this.cart.setAlpha(1);
+        this.running = true;
+        this.setInstruction(`🎢 Released from ${height} m!`, '#4A90E2');
+    }
+    
+    getPotentialEnergy(point) {
+        // PhysicsUtils measures height down from groundY, so flip the track's y for it
+        return this.scene.physicsUtils.calculatePotentialEnergy({
+            mass: this.config.cartMass,
+            position: { x: point.x, y: -point.y }
+        }, 0);
+    }
+    
+    getKineticEnergy(point, velocity) {
+        return this.scene.physicsUtils.calculateKineticEnergy({
+            mass: this.config.cartMass,
+            velocity: { x: velocity * point.tangent.x, y: velocity * point.tangent.y }
+        });
+    }
+    
+    update(time, delta) {
+        if (!this.running) return;
+        
+        const substeps = 8;
+        const dt = Math.min(delta, 50) / 1000 / substeps;
+        
+        for (let i = 0; i < substeps; i++) {
+            this.state = this.model.step(this.state, dt, this.config.cartMass);
+            const point = this.model.getPoint(this.state.s);
+            
+            if (this.state.fell) {
+                this.fallOff(point);
+                return;
+            }
+            
+            if (this.state.s >= this.model.length) {
+                this.finish(point, 'buffer');
+                return;
+            }
+            
+            if (this.state.velocity <= 0 && this.state.s > 0) {
+                // On level track friction has stopped it; anywhere else it's rolling back down
+                this.finish(point, Math.abs(point.tangent.y) < 1e-6 ? 'stopped' : 'rolledBack');
+                return;
+            }
+        }
+        
+        this.placeCart(this.state);
+        this.drawEnergyChart(this.state);
+    }
+    
+    placeCart(state) {
+        const point = this.model.getPoint(state.s);
+        const position = this.toScreen(point);
+        
+        // Ride on the track's surface, on the side the normal points to
+        this.cart.setPosition(position.x + point.normal.x * 9, position.y - point.normal.y * 9);
+        this.cart.setRotation(-Math.atan2(point.tangent.y, point.tangent.x));
+    }
+    
+    fallOff(point) {
+        this.running = false;
+        this.placeCart(this.state);
+        this.drawEnergyChart(this.state);
+        
+        const speed = this.state.velocity;
+        const needed = Math.sqrt(this.gravity * this.loopRadius);
+        this.scene.tweens.add({
+            targets: this.cart,
+            y: this.config.track.floorY - 10,
+            alpha: 0.4,
+            duration: 600,
+            ease: 'Quad.easeIn'
+        });
+        this.scene.cameras.main.shake(200, 0.005);
+        this.showResult(`The cart fell off the loop at ${point.y.toFixed(2)} m, moving ${speed.toFixed(2)} m/s.\nAt the top it needs v ≥ √(g·r) = ${needed.toFixed(2)} m/s - release it higher.`, false);
+    }
+    
+    finish(point, outcome) {
+        this.running = false;
+        this.state.velocity = Math.max(0, this.state.velocity);
+        this.placeCart(this.state);
+        this.drawEnergyChart(this.state);
+        
+        const exit = this.config.exit;
+        const miss = point.x - exit.x / this.pixelsPerMeter;
+        const heat = this.state.thermal;
+        
+        if (outcome === 'stopped' && Math.abs(miss) <= exit.tolerance) {
+            this.markSolved('Loop the Loop!', `Released from ${this.height} m: ${this.startEnergy.toFixed(0)} J of PE, all ${heat.toFixed(0)} J turned to heat by friction`);
+            this.showResult(`🏁 Stopped at the exit! ${this.startEnergy.toFixed(0)} J of potential energy became ${heat.toFixed(0)} J of heat.`, true);
+            this.setInstruction('🚪 Perfect run! Head for the exit.', '#4CAF50');
+            return;
+        }
+        
+        const messages = {
+            buffer: 'The cart slammed into the buffer - too much energy left for these brakes.',
+            rolledBack: `The cart ran out of speed ${point.y.toFixed(2)} m up and rolled back. Release it higher.`,
+            stopped: `The cart stopped ${Math.abs(miss).toFixed(2)} m ${miss > 0 ? 'past' : 'short of'} the exit.`
+        };
+        this.showResult(`${messages[outcome]}\nHeat from friction: ${heat.toFixed(0)} J of ${this.startEnergy.toFixed(0)} J.`, false);
+    }
+    
+    /**
+     * Bars for potential, kinetic and thermal energy, plus their total against the starting mgh
+     */
+    drawEnergyChart(state) {
+        const point = this.model.getPoint(state.s);
+        const potential = this.getPotentialEnergy(point);
+        const kinetic = this.getKineticEnergy(point, state.velocity);
+        const start = this.getPotentialEnergy(this.model.getPoint(0));
+        const values = [potential, kinetic, state.thermal, potential + kinetic + state.thermal];
+        const colors = [0x66BB6A, 0x42A5F5, 0xFF7043, 0xFFFFFF];
+        
+        const chart = this.config.chart;
+        const maxHeight = 110;
+        const scale = start > 0 ? maxHeight / start : 0;
+        
+        this.chart.clear();
+        this.chart.fillStyle(0x000000, 0.6);
+        this.chart.fillRect(chart.x - 10, chart.y - maxHeight - 30, 4 * 60 + 20, maxHeight + 52);
+        
+        values.forEach((value, index) => {
+            const x = chart.x + index * 60;
+            const height = Math.min(maxHeight * 1.1, value * scale);
+            this.chart.fillStyle(colors[index], index === 3 ? 0.5 : 0.9);
+            this.chart.fillRect(x + 4, chart.y - height, 32, height);
+            this.chartValues[index].setPosition(x + 20, chart.y - height - 2);
+            this.chartValues[index].setText(`${value.toFixed(0)} J`);
+        });
+        
+        // The energy it started with: the total bar should always reach this line
+        this.chart.lineStyle(1, 0xFFE082);
+        this.chart.lineBetween(chart.x, chart.y - maxHeight, chart.x + 4 * 60, chart.y - maxHeight);
+    }
+    
+    showTrackStatus() {
+        const brake = this.scene.physicsUtils.getMaterial(this.brake);
+        this.setStatus(
+            `Cart: ${this.config.cartMass} kg, release height ${this.height} m\n` +
+            `Loop: r = ${this.loopRadius} m, needs h ≥ 2.5r = ${(2.5 * this.loopRadius).toFixed(2)} m without friction\n` +
+            `Brakes: ${brake.name}, μ = ${brake.friction}; rails μ = ${this.config.trackFriction}\n` +
+            `Energy: mgh = ${(this.config.cartMass * this.gravity * this.height).toFixed(0)} J`
+        );
+    }
+}
+
+// Export for use in other modules
+window.EnergyTrackPuzzle = EnergyTrackPuzzle;
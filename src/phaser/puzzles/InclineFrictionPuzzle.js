@@ -0,0 +1,289 @@
+/**
+ * Incline Friction Puzzle - Slide a crate down a ramp so it stops on a target
+ * Pick the ramp's surface and angle: static friction μs·N decides whether it slips at all,
+ * kinetic friction μk·N slows it on the ramp and brings it to rest on the floor
+ */
+
+class InclineFrictionPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.material = config.materials[0];
+        this.angle = config.angle || 30;
+        this.sliding = false;
+        this.state = null;
+        this.onFloor = false;
+    }
+    
+    create() {
+        const ppm = this.pixelsPerMeter;
+        const ramp = this.config.ramp;
+        const target = this.config.target;
+        
+        this.rampGraphics = this.track(this.scene.add.graphics());
+        this.rampGraphics.setDepth(4);
+        
+        this.surfaceLabel = this.track(this.scene.add.text(0, 0, '', {
+            fontSize: '12px',
+            color: '#FFFFFF',
+            align: 'right'
+        }));
+        this.surfaceLabel.setOrigin(1, 0.5);
+        this.surfaceLabel.setDepth(5);
+        
+        // Target band on the floor, measured from the foot of the ramp
+        const targetX = ramp.footX + target.distance * ppm;
+        this.targetBand = this.track(this.scene.add.rectangle(targetX, ramp.floorY - 3, target.tolerance * 2 * ppm, 6, 0x4CAF50, 0.7));
+        this.targetBand.setDepth(4);
+        const flag = this.track(this.scene.add.text(targetX, ramp.floorY - 12, `🎯 ${target.distance} m`, {
+            fontSize: '12px',
+            color: '#A5D6A7',
+            fontStyle: 'bold'
+        }));
+        flag.setOrigin(0.5, 1);
+        flag.setDepth(5);
+        
+        this.crate = this.track(this.scene.add.rectangle(0, 0, 28, 28, 0x8D6E63));
+        this.crate.setStrokeStyle(2, 0x4E342E);
+        this.crate.setDepth(6);
+        
+        this.arrows = this.track(this.scene.add.graphics());
+        this.arrows.setDepth(7);
+        
+        this.createConsole(this.config.console, '📐 Ramp Controls');
+        
+        this.layoutRamp();
+        this.placeCrate({ position: 0, velocity: 0 }, false);
+        this.showForces(this.getRampModel().getForces(0));
+    }
+    
+    getRampModel() {
+        const surface = this.scene.physicsUtils.getMaterial(this.material);
+        return new InclineFrictionModel({
+            mass: this.config.crateMass,
+            angle: this.angle,
+            staticFriction: surface.staticFriction,
+            kineticFriction: surface.friction,
+            gravity: this.gravity
+        });
+    }
+    
+    getFloorModel() {
+        const floor = this.scene.physicsUtils.getMaterial(this.config.floorMaterial);
+        return new InclineFrictionModel({
+            mass: this.config.crateMass,
+            angle: 0,
+            staticFriction: floor.staticFriction,
+            kineticFriction: floor.friction,
+            gravity: this.gravity
+        });
+    }
+    
+    get radians() {
+        return Phaser.Math.DegToRad(this.angle);
+    }
+    
+    /**
+     * Redraw the ramp for the current angle; its foot stays put and its top moves
+     */
+    layoutRamp() {
+        const ppm = this.pixelsPerMeter;
+        const ramp = this.config.ramp;
+        this.topX = ramp.footX - ramp.length * Math.cos(this.radians) * ppm;
+        this.topY = ramp.floorY - ramp.length * Math.sin(this.radians) * ppm;
+        
+        const surface = this.scene.physicsUtils.getMaterial(this.material);
+        const colors = { slippery: 0x81D4FA, bouncy: 0xF48FB1, heavy: 0x9E9E9E, magnetic: 0x78909C };
+        
+        this.rampGraphics.clear();
+        this.rampGraphics.fillStyle(0x5D4037);
+        this.rampGraphics.fillTriangle(this.topX, this.topY, ramp.footX, ramp.floorY, this.topX, ramp.floorY);
+        this.rampGraphics.lineStyle(5, colors[this.material] || 0xBCAAA4);
+        this.rampGraphics.lineBetween(this.topX, this.topY, ramp.footX, ramp.floorY);
+        
+        this.surfaceLabel.setPosition(this.topX - 8, this.topY);
+        this.surfaceLabel.setText(`${surface.name}\n${this.angle}°`);
+    }
+    
+    /**
+     * Put the crate at a distance along the ramp, or past its foot on the floor
+     */
+    placeCrate(state, onFloor) {
+        const ppm = this.pixelsPerMeter;
+        const half = 14;
+        
+        if (onFloor) {
+            this.crate.setPosition(this.config.ramp.footX + state.position * ppm, this.config.ramp.floorY - half);
+            this.crate.setRotation(0);
+            return;
+        }
+        
+        // Sits on the slope: step along it, then out along the surface normal
+        const sin = Math.sin(this.radians);
+        const cos = Math.cos(this.radians);
+        this.crate.setPosition(
+            this.topX + state.position * cos * ppm + half * sin,
+            this.topY + state.position * sin * ppm - half * cos
+        );
+        this.crate.setRotation(this.radians);
+    }
+    
+    async onConsoleActivated() {
+        if (this.sliding || this.solved) return;
+        
+        const options = {};
+        this.config.materials.forEach(key => {
+            const surface = this.scene.physicsUtils.getMaterial(key);
+            options[key] = `${surface.name} (μs = ${surface.staticFriction}, μk = ${surface.friction})`;
+        });
+        
+        const floor = this.scene.physicsUtils.getMaterial(this.config.floorMaterial);
+        const material = await this.promptChoice({
+            title: '📐 Ramp Surface',
+            html: `<p>A <strong>${this.config.crateMass} kg</strong> crate starts at rest at the top of a <strong>${this.config.ramp.length} m</strong> ramp.</p>` +
+                  `<p>It has to stop <strong>${this.config.target.distance} m</strong> past the foot of the ramp, on a ${floor.name.toLowerCase()} floor (μk = ${floor.friction}).</p>`,
+            options: options
+        });
+        if (material === null) return;
+        
+        const angle = await this.promptValue({
+            title: '📐 Ramp Angle',
+            html: `<p>It only slips if mg·sinθ beats static friction μs·mg·cosθ.</p>` +
+                  `<p>Then kinetic friction slows it: a = g(sinθ - μk·cosθ) on the ramp, and a = μk·g on the floor.</p>`,
+            label: 'Ramp angle (°)',
+            min: this.config.minAngle || 10,
+            max: this.config.maxAngle || 60,
+            step: 1
+        });
+        if (angle === null) return;
+        
+        this.release(material, angle);
+    }
+    
+    release(material, angle) {
+        this.attempts++;
+        this.material = material;
+        this.angle = angle;
+        this.layoutRamp();
+        
+        this.state = { position: 0, velocity: 0 };
+        this.onFloor = false;
+        this.placeCrate(this.state, false);
+        
+        const model = this.getRampModel();
+        const forces = model.getForces(0);
+        this.showForces(forces);
+        
+        if (!model.willSlip()) {
+            this.showResult(`Static friction holds: mg·sinθ = ${forces.parallel.toFixed(0)} N ≤ μs·N = ${forces.maxStaticFriction.toFixed(0)} N. It never slips!`, false);
+            return;
+        }
+        
+        this.sliding = true;
+        this.setInstruction(`📦 Slipping! mg·sinθ = ${forces.parallel.toFixed(0)} N > μs·N = ${forces.maxStaticFriction.toFixed(0)} N`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        if (!this.sliding) return;
+        
+        const rampModel = this.getRampModel();
+        const floorModel = this.getFloorModel();
+        const substeps = 4;
+        const dt = delta / 1000 / substeps;
+        let forces;
+        
+        for (let i = 0; i < substeps; i++) {
+            const model = this.onFloor ? floorModel : rampModel;
+            const next = model.step(this.state, dt);
+            this.state = { position: next.position, velocity: next.velocity };
+            forces = next.forces;
+            
+            // Off the foot of the ramp: same speed, now along the floor
+            if (!this.onFloor && this.state.position >= this.config.ramp.length) {
+                this.onFloor = true;
+                this.state.position -= this.config.ramp.length;
+            }
+        }
+        
+        this.placeCrate(this.state, this.onFloor);
+        this.showForces(forces);
+        
+        if (this.onFloor && this.state.velocity === 0) {
+            this.sliding = false;
+            this.checkStop();
+        }
+    }
+    
+    checkStop() {
+        const target = this.config.target;
+        const distance = this.state.position;
+        const miss = distance - target.distance;
+        
+        // The closed-form answer the simulation should agree with
+        const speed = this.getRampModel().getSpeedAfter(this.config.ramp.length);
+        const predicted = this.getFloorModel().getStoppingDistance(speed);
+        
+        if (Math.abs(miss) <= target.tolerance) {
+            this.markSolved('Perfect Slide!', `Stopped ${distance.toFixed(2)} m out: v = ${speed.toFixed(2)} m/s at the foot, d = v²/(2μk·g) = ${predicted.toFixed(2)} m`);
+            this.showResult(`🎯 Stopped ${distance.toFixed(2)} m past the ramp - right on target!`, true);
+            this.setInstruction('🚪 Right on target! Head for the exit.', '#4CAF50');
+            return;
+        }
+        
+        this.showResult(`Stopped ${distance.toFixed(2)} m out - ${Math.abs(miss).toFixed(2)} m ${miss > 0 ? 'too far' : 'too short'}. v at the foot was ${speed.toFixed(2)} m/s.`, false);
+    }
+    
+    /**
+     * Force arrows on the crate and the same numbers in the HUD
+     */
+    showForces(forces) {
+        const scale = this.config.arrowScale || 0.25; // px per N
+        const onFloor = this.onFloor;
+        const angle = onFloor ? 0 : this.radians;
+        const sin = Math.sin(angle);
+        const cos = Math.cos(angle);
+        const x = this.crate.x;
+        const y = this.crate.y;
+        
+        this.arrows.clear();
+        
+        // Weight resolved along and into the surface
+        this.drawArrow(x, y, cos * forces.parallel * scale, sin * forces.parallel * scale, 0xFF9800);
+        this.drawArrow(x, y, -sin * forces.perpendicular * scale, cos * forces.perpendicular * scale, 0xFFB74D);
+        
+        // Normal force out of the surface and friction along it
+        this.drawArrow(x, y, sin * forces.normal * scale, -cos * forces.normal * scale, 0x42A5F5);
+        this.drawArrow(x, y, cos * forces.friction * scale, sin * forces.friction * scale, 0xEF5350);
+        
+        const surface = this.scene.physicsUtils.getMaterial(onFloor ? this.config.floorMaterial : this.material);
+        const distance = onFloor ? `${this.state.position.toFixed(2)} m past the ramp` : 'on the ramp';
+        this.setStatus(
+            `${surface.name}: μs = ${surface.staticFriction}, μk = ${surface.friction}, θ = ${onFloor ? 0 : this.angle}°\n` +
+            `🟠 mg·sinθ = ${forces.parallel.toFixed(0)} N, mg·cosθ = ${forces.perpendicular.toFixed(0)} N\n` +
+            `🔵 N = ${forces.normal.toFixed(0)} N\n` +
+            `🔴 f = ${Math.abs(forces.friction).toFixed(0)} N (${forces.frictionType}, max static ${forces.maxStaticFriction.toFixed(0)} N)\n` +
+            `v = ${this.state ? this.state.velocity.toFixed(2) : '0.00'} m/s, ${distance}`
+        );
+    }
+    
+    drawArrow(x, y, dx, dy, color) {
+        const length = Math.hypot(dx, dy);
+        if (length < 2) return;
+        
+        const ux = dx / length;
+        const uy = dy / length;
+        const tipX = x + dx;
+        const tipY = y + dy;
+        
+        this.arrows.lineStyle(3, color);
+        this.arrows.lineBetween(x, y, tipX, tipY);
+        this.arrows.fillStyle(color);
+        this.arrows.fillTriangle(
+            tipX, tipY,
+            tipX - ux * 8 - uy * 5, tipY - uy * 8 + ux * 5,
+            tipX - ux * 8 + uy * 5, tipY - uy * 8 - ux * 5
+        );
+    }
+}
+
+// Export for use in other modules
+window.InclineFrictionPuzzle = InclineFrictionPuzzle;
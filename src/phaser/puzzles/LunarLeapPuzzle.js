@@ -0,0 +1,127 @@
+/**
+ * Lunar Leap Puzzle - Level 2 (Moon)
+ * Pick the launch speed that carries the astronaut up to the ledge without hitting the ceiling
+ */
+
+class LunarLeapPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.launching = false;
+        this.launchY = 0;
+        this.hitCeiling = false;
+    }
+    
+    create() {
+        this.pad = this.scene.zones[this.config.launchPad];
+        this.ledge = this.scene.levelObjects[this.config.ledge];
+        this.hazard = this.scene.zones[this.config.hazard];
+        
+        if (!this.pad || !this.ledge) {
+            console.error('❌ Lunar Leap needs a launch pad zone and a ledge platform');
+            return;
+        }
+        
+        // Launch pad marking
+        const padMark = this.track(this.scene.add.rectangle(this.pad.x, this.pad.y + this.pad.height / 2 - 4, this.pad.width, 8, 0x2196F3));
+        padMark.setAlpha(0.7);
+        padMark.setDepth(4);
+        
+        this.createConsole(this.config.console, '🚀 Launch Console');
+        
+        // Ceiling spikes are a hazard zone drawn as a row of teeth
+        if (this.hazard) {
+            this.createSpikes(this.hazard);
+            this.scene.physics.add.overlap(this.scene.player, this.hazard, () => this.handleCeilingHit());
+        }
+        
+        this.setStatus(`Lunar gravity: ${this.gravity} m/s²\nLedge height: ${this.config.ledgeHeight} m`);
+    }
+    
+    createSpikes(zone) {
+        const spikes = this.track(this.scene.add.graphics());
+        const top = zone.y - zone.height / 2;
+        const left = zone.x - zone.width / 2;
+        
+        spikes.fillStyle(0x9E9E9E, 1);
+        for (let x = left; x < left + zone.width; x += 20) {
+            spikes.fillTriangle(x, top, x + 20, top, x + 10, top + zone.height);
+        }
+        spikes.setDepth(4);
+    }
+    
+    async onConsoleActivated() {
+        if (this.launching) return;
+        
+        if (!this.scene.physics.overlap(this.player, this.pad)) {
+            this.setInstruction('🚶 Stand on the blue launch pad first!', '#FFD700');
+            return;
+        }
+        
+        const speed = await this.promptValue({
+            title: '🚀 Launch Speed',
+            html: `<p>The ledge is <strong>${this.config.ledgeHeight} m</strong> above the pad and the ceiling is <strong>${this.config.ceilingHeight} m</strong> up.</p>` +
+                  `<p>On the Moon g = ${this.gravity} m/s². How fast should you launch straight up?</p>`,
+            label: 'Launch speed (m/s)',
+            min: this.config.minSpeed,
+            max: this.config.maxSpeed
+        });
+        
+        if (speed === null) return;
+        this.launch(speed);
+    }
+    
+    launch(speed) {
+        this.attempts++;
+        this.launchSpeed = speed;
+        this.launching = true;
+        this.launchY = this.player.y;
+        
+        // Straight up from the middle of the pad
+        this.scene.playerState.isPuzzleControlled = true;
+        this.player.setPosition(this.pad.x, this.player.y);
+        this.player.setVelocity(0, -speed * this.pixelsPerMeter);
+        
+        this.setInstruction(`🚀 Launched at ${speed} m/s...`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        if (!this.launching) {
+            if (!this.solved && this.ledge && this.isPlayerOn({ x: this.ledge.x, width: this.ledge.displayWidth })) {
+                this.markSolved('Lunar Leap!', 'v = √(2gh) got you onto the ledge');
+            }
+            return;
+        }
+        
+        // The apex is where vertical velocity reaches zero
+        if (this.player.body.velocity.y >= 0) {
+            this.launching = false;
+            this.scene.playerState.isPuzzleControlled = false;
+            
+            const apex = (this.launchY - this.player.y) / this.pixelsPerMeter;
+            const expected = (this.launchSpeed * this.launchSpeed) / (2 * this.gravity);
+            this.setStatus(`Apex: ${apex.toFixed(2)} m (v²/2g = ${expected.toFixed(2)} m)\nLedge height: ${this.config.ledgeHeight} m`);
+            
+            if (apex >= this.config.ledgeHeight) {
+                this.setInstruction('⬅️➡️ Steer onto the ledge now!', '#4CAF50');
+            } else {
+                this.showResult(`Too low! You reached ${apex.toFixed(2)} m of ${this.config.ledgeHeight} m.\nHint: h = v² / (2g)`, false);
+            }
+        }
+    }
+    
+    handleCeilingHit() {
+        if (this.hitCeiling) return;
+        this.hitCeiling = true;
+        
+        this.launching = false;
+        this.showResult(`Ouch! ${this.launchSpeed} m/s sent you into the ceiling spikes.\nTry a smaller launch speed.`, false);
+        this.resetPlayer(this.scene.levelData.player);
+        
+        this.scene.time.delayedCall(500, () => {
+            this.hitCeiling = false;
+        });
+    }
+}
+
+// Export for use in other modules
+window.LunarLeapPuzzle = LunarLeapPuzzle;
@@ -0,0 +1,123 @@
+/**
+ * Magnetic Lift Puzzle - Set an electromagnet's current so it floats a magnetised platform up to a ledge
+ * The platform's north pole faces the coil's north pole, so they repel. The coil's pole strength N·I·A/L
+ * grows with the current, and the platform rises until the push falls to the weight of it and its rider
+ */
+
+class MagneticLiftPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.statusText = '';
+    }
+    
+    create() {
+        // Guide rails hold it over the coil; eddy currents in them damp its bobbing
+        const platform = this.platform;
+        platform.body.setDamping(true);
+        platform.body.setDrag(1, this.config.railDamping || 0.05);
+        platform.body.setMaxVelocity(0, (this.config.railSpeed || 2) * this.pixelsPerMeter);
+        
+        const rails = this.track(this.scene.add.graphics());
+        rails.setDepth(2);
+        rails.lineStyle(3, 0x78909C, 0.8);
+        const railTop = this.config.railTop;
+        const halfWidth = platform.displayWidth / 2 + 4;
+        rails.lineBetween(platform.x - halfWidth, railTop, platform.x - halfWidth, platform.y + platform.displayHeight / 2);
+        rails.lineBetween(platform.x + halfWidth, railTop, platform.x + halfWidth, platform.y + platform.displayHeight / 2);
+        
+        this.createConsole(this.config.console, '🧲 Coil Controls');
+        this.showLiftStatus();
+    }
+    
+    get platform() {
+        return this.scene.levelObjects[this.config.platform];
+    }
+    
+    get coil() {
+        return this.scene.magneticField.getMagnet(this.config.magnet);
+    }
+    
+    /**
+     * Weight the coil has to hold up with the player aboard (N)
+     */
+    get loadWeight() {
+        return (this.platform.magneticProperties.mass + this.scene.playerMass) * this.gravity;
+    }
+    
+    /**
+     * Upward push per amp of coil current with the platform's top level with the ledge
+     * (the force is proportional to the current at any fixed height)
+     */
+    getLiftPerAmp() {
+        const ppm = this.pixelsPerMeter;
+        const coil = this.coil;
+        const platform = this.platform;
+        const magnet = platform.magneticProperties.magnet;
+        
+        const model = new MagneticFieldModel();
+        model.addMagnet(Object.assign({}, coil.source, { strength: this.scene.magneticField.getCoilStrengthPerAmp(coil) }));
+        const source = model.addMagnet({
+            x: platform.x / ppm,
+            y: (this.config.ledgeY + platform.displayHeight / 2) / ppm,
+            angle: magnet.angle,
+            length: magnet.length || platform.displayHeight / ppm,
+            strength: magnet.strength
+        });
+        return -model.getMagnetForce(source).y;
+    }
+    
+    async onConsoleActivated() {
+        if (this.solved) return;
+        
+        const coil = this.coil.config;
+        const perAmp = this.getLiftPerAmp();
+        const current = await this.promptValue({
+            title: '🧲 Coil Current',
+            html: `<p>The coil has <strong>${coil.turns}</strong> turns of area <strong>${coil.area} m²</strong> over <strong>${coil.length} m</strong>, so its poles have a strength of N·I·A/L = ${this.scene.magneticField.getCoilStrengthPerAmp(this.coil).toFixed(0)} A·m for every amp.</p>` +
+                  `<p>With the platform level with the ledge, each amp pushes it up with <strong>${perAmp.toFixed(2)} N</strong>. The platform is ${this.platform.magneticProperties.mass} kg and you are ${this.scene.playerMass} kg.</p>` +
+                  '<p>Stand on the platform before you switch on!</p>',
+            label: 'Current (A)',
+            min: this.config.minCurrent || 0,
+            max: this.config.maxCurrent || 400,
+            step: 1
+        });
+        if (current === null) return;
+        
+        this.attempts++;
+        this.scene.magneticField.setCurrent(this.config.magnet, current);
+        this.setInstruction(`🧲 Coil ramping up to ${current} A...`, '#4FC3F7');
+    }
+    
+    update(time, delta) {
+        if (!this.solved && this.isPlayerOn(this.config.ledge)) {
+            const current = this.coil.current;
+            this.markSolved('Magnetic Levitation', `${current} A in the coil held ${this.loadWeight.toFixed(0)} N up by repulsion alone`);
+            this.showResult(`🧲 Made it! Like poles repel: ${current} A gave the platform a push equal to its weight and yours.`, true);
+            this.setInstruction('🚪 Head for the exit!', '#4CAF50');
+        }
+        
+        this.showLiftStatus();
+    }
+    
+    showLiftStatus() {
+        const ppm = this.pixelsPerMeter;
+        const platform = this.platform;
+        const force = this.scene.magneticField.getForce(platform);
+        const load = platform.magneticProperties.mass + this.scene.getRiderMass(platform);
+        const height = (this.config.floorY - (platform.y + platform.displayHeight / 2)) / ppm;
+        
+        const text = `Coil current: ${this.coil.actualCurrent.toFixed(0)} A (set ${this.coil.current} A)\n` +
+                     `Magnetic push: ${(-force.y).toFixed(0)} N\n` +
+                     `Weight on it: ${(load * this.gravity).toFixed(0)} N (${load} kg)\n` +
+                     `Platform height: ${Math.max(0, height).toFixed(2)} m`;
+        
+        // Only touch the HUD when the numbers change
+        if (text !== this.statusText) {
+            this.statusText = text;
+            this.setStatus(text);
+        }
+    }
+}
+
+// Export for use in other modules
+window.MagneticLiftPuzzle = MagneticLiftPuzzle;
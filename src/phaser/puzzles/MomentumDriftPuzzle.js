@@ -0,0 +1,126 @@
+/**
+ * Momentum Drift Puzzle - Level 3 (Space Station)
+ * Throw the toolbox to drift to the hatch: fast enough to beat the oxygen timer, slow enough to dock
+ */
+
+class MomentumDriftPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.drifting = false;
+        this.oxygenLeft = config.oxygenTime;
+        this.driftSpeed = 0;
+        this.toolbox = null;
+    }
+    
+    create() {
+        this.hatch = this.scene.zones[this.config.hatch];
+        
+        if (!this.hatch) {
+            console.error('❌ Momentum Drift needs a hatch zone');
+            return;
+        }
+        
+        // Hatch frame so the target is visible
+        const frame = this.track(this.scene.add.rectangle(this.hatch.x, this.hatch.y, this.hatch.width, this.hatch.height));
+        frame.setStrokeStyle(3, 0x4CAF50, 0.8);
+        frame.setDepth(4);
+        
+        // Gap between the astronaut's spawn point and the hatch opening
+        const spawn = this.scene.levelData.player;
+        this.distance = (this.hatch.x - this.hatch.width / 2 - spawn.x - this.player.displayWidth / 2) / this.pixelsPerMeter;
+        
+        this.createConsole(this.config.console, '🧰 Throw Toolbox');
+        this.scene.physics.add.overlap(this.scene.player, this.hatch, () => this.handleDocking());
+        
+        this.setStatus(this.formatStatus());
+    }
+    
+    formatStatus() {
+        return `🫁 Oxygen: ${this.oxygenLeft.toFixed(1)} s\n` +
+               `Drift speed: ${this.driftSpeed.toFixed(2)} m/s (dock ≤ ${this.config.maxDockingSpeed} m/s)`;
+    }
+    
+    async onConsoleActivated() {
+        if (this.drifting || this.solved) return;
+        
+        const throwSpeed = await this.promptValue({
+            title: '🧰 Throw the Toolbox',
+            html: `<p>You (${this.config.astronautMass} kg) are floating with a ${this.config.toolboxMass} kg toolbox.</p>` +
+                  `<p>The hatch is <strong>${this.distance.toFixed(1)} m</strong> away and you have <strong>${this.config.oxygenTime} s</strong> of oxygen.</p>` +
+                  `<p>Arrive slower than ${this.config.maxDockingSpeed} m/s or you'll bounce off!</p>`,
+            label: 'Throw speed backwards (m/s)',
+            min: this.config.minSpeed,
+            max: this.config.maxSpeed
+        });
+        
+        if (throwSpeed === null) return;
+        this.throwToolbox(throwSpeed);
+    }
+    
+    throwToolbox(throwSpeed) {
+        this.attempts++;
+        
+        // Conservation of momentum: m_tool × v_tool = m_astronaut × v_astronaut
+        this.driftSpeed = (this.config.toolboxMass * throwSpeed) / this.config.astronautMass;
+        this.throwSpeed = throwSpeed;
+        this.drifting = true;
+        this.oxygenLeft = this.config.oxygenTime;
+        
+        this.scene.playerState.isPuzzleControlled = true;
+        this.player.setDragX(0);
+        this.player.setVelocity(this.driftSpeed * this.pixelsPerMeter, 0);
+        
+        // The toolbox flies the other way
+        this.toolbox = this.track(this.scene.add.rectangle(this.player.x - 20, this.player.y, 20, 14, 0xFF9800));
+        this.toolbox.setStrokeStyle(2, 0xE65100);
+        this.toolbox.setDepth(9);
+        
+        this.setInstruction(`🧰 Toolbox thrown at ${throwSpeed} m/s → you drift at ${this.driftSpeed.toFixed(2)} m/s`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        if (this.toolbox && this.toolbox.active) {
+            this.toolbox.x -= this.throwSpeed * this.pixelsPerMeter * (delta / 1000);
+            this.toolbox.rotation -= 0.05;
+            
+            if (this.toolbox.x < -20) {
+                this.toolbox.destroy();
+                this.toolbox = null;
+            }
+        }
+        
+        if (!this.drifting) return;
+        
+        this.oxygenLeft = Math.max(0, this.oxygenLeft - delta / 1000);
+        this.setStatus(this.formatStatus());
+        
+        if (this.oxygenLeft <= 0) {
+            this.fail(`Out of oxygen! Drifting at ${this.driftSpeed.toFixed(2)} m/s was too slow.\nThrow the toolbox harder.`);
+        }
+    }
+    
+    handleDocking() {
+        if (!this.drifting) return;
+        
+        if (this.driftSpeed > this.config.maxDockingSpeed) {
+            this.fail(`Bounced off the hatch at ${this.driftSpeed.toFixed(2)} m/s!\nDock below ${this.config.maxDockingSpeed} m/s.`);
+            return;
+        }
+        
+        // Docked - hold the astronaut at the hatch
+        this.drifting = false;
+        this.player.setVelocity(0, 0);
+        this.markSolved('Docked!', `p = mv: ${this.config.toolboxMass} kg × ${this.throwSpeed} m/s = ${this.config.astronautMass} kg × ${this.driftSpeed.toFixed(2)} m/s`);
+    }
+    
+    fail(message) {
+        this.drifting = false;
+        this.oxygenLeft = this.config.oxygenTime;
+        this.showResult(message, false);
+        this.resetPlayer(this.scene.levelData.player);
+        this.setStatus(this.formatStatus());
+    }
+}
+
+// Export for use in other modules
+window.MomentumDriftPuzzle = MomentumDriftPuzzle;
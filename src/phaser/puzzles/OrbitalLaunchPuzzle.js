@@ -0,0 +1,337 @@
+/**
+ * Orbital Launch Puzzle - Launch a probe from the station into orbit around a planet, or slingshot it to a relay
+ * Planet, moons and probe all pull on each other (OrbitalModel, with the level's own G). The probe's predicted
+ * path is redrawn as it flies, and the HUD shows its orbit's eccentricity and period around the planet.
+ * Completing the set number of laps without crashing or leaving the screen, or reaching the relay, solves it
+ */
+
+class OrbitalLaunchPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.views = {};
+        this.probe = null;
+        this.inFlight = false;
+        this.trailPoints = [];
+        this.sweptAngle = 0;
+        this.lastAngle = 0;
+        this.lastPrediction = -Infinity;
+        this.statusText = '';
+    }
+    
+    create() {
+        const ppm = this.pixelsPerMeter;
+        this.model = new OrbitalModel(this.scene.physicsUtils, { G: this.config.G });
+        
+        // Bodies with an "orbit" start on a circular orbit round that body, anticlockwise on screen
+        this.config.bodies.forEach(config => {
+            const body = this.model.addBody({
+                id: config.id,
+                x: config.x / ppm,
+                y: config.y / ppm,
+                mass: config.mass,
+                radius: config.radius / ppm,
+                fixed: config.fixed === true
+            });
+            
+            if (config.orbit) {
+                const central = this.model.getBody(config.orbit);
+                const rx = body.position.x - central.position.x;
+                const ry = body.position.y - central.position.y;
+                const distance = Math.hypot(rx, ry);
+                const speed = this.model.getCircularSpeed(central, distance);
+                body.velocity.x = central.velocity.x + ry / distance * speed;
+                body.velocity.y = central.velocity.y - rx / distance * speed;
+            }
+            
+            this.createBodyView(config);
+        });
+        
+        const launcher = this.config.launcher;
+        const pad = this.track(this.scene.add.rectangle(launcher.x, launcher.y, 14, 34, 0x546E7A));
+        pad.setStrokeStyle(2, 0x90A4AE);
+        pad.setDepth(6);
+        
+        if (this.config.target) {
+            const target = this.config.target;
+            const beacon = this.track(this.scene.add.circle(target.x, target.y, target.radius));
+            beacon.setStrokeStyle(2, 0x66BB6A, 0.9);
+            beacon.setDepth(5);
+            const label = this.track(this.scene.add.text(target.x, target.y - target.radius - 6, '📡 Relay', {
+                fontSize: '12px',
+                color: '#A5D6A7'
+            }));
+            label.setOrigin(0.5, 1);
+            label.setDepth(12);
+        }
+        
+        this.prediction = this.track(this.scene.add.graphics());
+        this.prediction.setDepth(7);
+        this.trail = this.track(this.scene.add.graphics());
+        this.trail.setDepth(8);
+        
+        this.createConsole(this.config.console, '🛰️ Launch Control');
+        this.showOrbitStatus();
+    }
+    
+    get central() {
+        return this.model.getBody(this.config.central);
+    }
+    
+    get centralName() {
+        return this.config.bodies.find(body => body.id === this.config.central).name;
+    }
+    
+    get laps() {
+        return this.config.laps || 1;
+    }
+    
+    createBodyView(config) {
+        const color = Phaser.Display.Color.HexStringToColor(config.color || '#90A4AE').color;
+        const circle = this.track(this.scene.add.circle(config.x, config.y, config.radius, color));
+        circle.setStrokeStyle(2, 0xFFFFFF, 0.3);
+        circle.setDepth(5);
+        
+        const label = this.track(this.scene.add.text(config.x, config.y + config.radius + 4, `${config.name} · ${config.mass} kg`, {
+            fontSize: '11px',
+            color: '#E0E0E0'
+        }));
+        label.setOrigin(0.5, 0);
+        label.setDepth(12);
+        
+        this.views[config.id] = { circle: circle, label: label, radius: config.radius };
+    }
+    
+    async onConsoleActivated() {
+        if (this.solved) return;
+        
+        const ppm = this.pixelsPerMeter;
+        const central = this.central;
+        const launcher = this.config.launcher;
+        const distance = Math.hypot(launcher.x / ppm - central.position.x, launcher.y / ppm - central.position.y);
+        const mu = this.model.G * central.mass;
+        
+        const speed = await this.promptValue({
+            title: '🛰️ Launch Speed',
+            html: `<p>${this.centralName} has a mass of <strong>${central.mass} kg</strong> and here G = <strong>${this.model.G} N·m²/kg²</strong>, so GM = ${mu.toFixed(1)} m³/s². The pad is <strong>${distance.toFixed(2)} m</strong> from its centre.</p>` +
+                  `<p>A circular orbit needs v = √(GM/r), launched at right angles to the planet; at √2 times that speed the probe escapes. Complete ${this.laps} laps, or swing round the planet to the relay.</p>`,
+            label: 'Launch speed (m/s)',
+            min: this.config.minSpeed || 0.5,
+            max: this.config.maxSpeed || 6,
+            step: 0.01
+        });
+        if (speed === null) return;
+        
+        const angle = await this.promptValue({
+            title: '🛰️ Launch Direction',
+            html: '<p>0° fires to the right, 90° straight up, 180° to the left and -90° straight down.</p>',
+            label: 'Direction (°)',
+            min: -180,
+            max: 180,
+            step: 1
+        });
+        if (angle === null) return;
+        
+        this.launch(speed, angle);
+    }
+    
+    /**
+     * Put a fresh probe on the pad moving at the chosen velocity, replacing the last one
+     */
+    launch(speed, angle) {
+        const ppm = this.pixelsPerMeter;
+        const launcher = this.config.launcher;
+        const radians = Phaser.Math.DegToRad(angle);
+        
+        this.attempts++;
+        this.model.removeBody('probe');
+        this.probe = this.model.addBody({
+            id: 'probe',
+            x: launcher.x / ppm,
+            y: launcher.y / ppm,
+            vx: speed * Math.cos(radians),
+            vy: -speed * Math.sin(radians),
+            mass: this.config.probeMass || 50,
+            radius: (this.config.probeRadius || 6) / ppm
+        });
+        this.shot = { speed: speed, angle: angle };
+        this.inFlight = true;
+        this.sweptAngle = 0;
+        this.lastAngle = this.getAngleAroundCentral();
+        this.trailPoints = [{ x: launcher.x, y: launcher.y }];
+        this.lastPrediction = -Infinity;
+        
+        if (!this.views.probe) {
+            const circle = this.track(this.scene.add.circle(launcher.x, launcher.y, this.config.probeRadius || 6, 0xFFFFFF));
+            circle.setStrokeStyle(2, 0x4FC3F7);
+            circle.setDepth(9);
+            this.views.probe = { circle: circle, label: null, radius: 0 };
+        }
+        
+        this.setInstruction(`🛰️ Probe away at ${speed} m/s, ${angle}°!`, '#4FC3F7');
+    }
+    
+    getAngleAroundCentral() {
+        const central = this.central;
+        return Math.atan2(this.probe.position.y - central.position.y, this.probe.position.x - central.position.x);
+    }
+    
+    update(time, delta) {
+        const ppm = this.pixelsPerMeter;
+        const substeps = 4;
+        const dt = Math.min(delta, 50) / 1000 / substeps;
+        
+        for (let i = 0; i < substeps; i++) {
+            const collisions = this.model.step(dt);
+            if (!this.inFlight) continue;
+            
+            const hit = collisions.find(pair => pair.includes(this.probe));
+            if (hit) {
+                this.crash(hit.find(body => body !== this.probe));
+                break;
+            }
+            
+            // Laps count the angle swept round the planet, either way round
+            const angle = this.getAngleAroundCentral();
+            this.sweptAngle += Phaser.Math.Angle.Wrap(angle - this.lastAngle);
+            this.lastAngle = angle;
+        }
+        
+        this.model.bodies.forEach(body => {
+            const view = this.views[body.id];
+            if (!view) return;
+            
+            view.circle.setPosition(body.position.x * ppm, body.position.y * ppm);
+            if (view.label) {
+                view.label.setPosition(body.position.x * ppm, body.position.y * ppm + view.radius + 4);
+            }
+        });
+        
+        if (this.inFlight) {
+            this.updateFlight(time);
+        }
+        
+        this.showOrbitStatus();
+    }
+    
+    updateFlight(time) {
+        const ppm = this.pixelsPerMeter;
+        const position = { x: this.probe.position.x * ppm, y: this.probe.position.y * ppm };
+        this.trailPoints.push(position);
+        
+        this.trail.clear();
+        this.trail.lineStyle(2, 0x4FC3F7, 0.8);
+        this.trail.strokePoints(this.trailPoints);
+        
+        const target = this.config.target;
+        if (target && Phaser.Math.Distance.Between(position.x, position.y, target.x, target.y) <= target.radius) {
+            this.finish('Gravity Slingshot', `The probe swung round ${this.centralName} to the relay at ${this.shot.speed} m/s, ${this.shot.angle}°`,
+                `📡 Relay reached! ${this.centralName}'s pull bent the probe's path round to the beacon.`);
+            return;
+        }
+        
+        if (Math.abs(this.sweptAngle) >= 2 * Math.PI * this.laps) {
+            const orbit = this.model.getOrbit(this.probe, this.central);
+            this.finish('Stable Orbit', `${this.laps} laps with e = ${orbit.eccentricity.toFixed(2)} and a period of ${orbit.period.toFixed(1)} s`,
+                `🛰️ Stable orbit! e = ${orbit.eccentricity.toFixed(2)}, T = 2π√(a³/GM) = ${orbit.period.toFixed(1)} s.`);
+            return;
+        }
+        
+        if (!this.isOnScreen(position)) {
+            this.lose();
+            return;
+        }
+        
+        // The prediction moves with the moons; four redraws a second keeps up with it
+        if (time - this.lastPrediction > 250) {
+            this.lastPrediction = time;
+            this.drawPrediction();
+        }
+    }
+    
+    isOnScreen(position) {
+        return position.x >= 0 && position.x <= this.scene.gameWidth && position.y >= 0 && position.y <= this.scene.gameHeight;
+    }
+    
+    /**
+     * Dotted path the probe will follow if nothing changes, stopping where it would crash or leave the screen
+     */
+    drawPrediction() {
+        const ppm = this.pixelsPerMeter;
+        const prediction = this.model.predict('probe', {
+            time: this.config.predictionTime || 12,
+            stop: position => !this.isOnScreen({ x: position.x * ppm, y: position.y * ppm })
+        });
+        
+        this.prediction.clear();
+        this.prediction.fillStyle(prediction.collided ? 0xEF5350 : 0xB3E5FC, 0.7);
+        prediction.points.forEach((point, index) => {
+            if (index % 4 !== 0) return;
+            this.prediction.fillCircle(point.x * ppm, point.y * ppm, 1.5);
+        });
+    }
+    
+    finish(title, description, message) {
+        this.inFlight = false;
+        this.prediction.clear();
+        this.markSolved(title, description);
+        this.showResult(message, true);
+        this.setInstruction('🎉 Mission complete - the probe is on station!', '#4CAF50');
+    }
+    
+    crash(body) {
+        const name = this.config.bodies.find(config => config.id === body.id).name;
+        const orbit = this.model.getOrbit(this.probe, this.central);
+        this.endFlight();
+        this.scene.cameras.main.shake(200, 0.005);
+        
+        const hint = orbit.bound && body === this.central
+            ? `Its lowest point was ${orbit.periapsis.toFixed(2)} m from the centre - launch faster or more sideways.`
+            : 'Time the launch so the moon is out of the way, or change the direction.';
+        this.showResult(`💥 The probe hit ${name}! ${hint}`, false);
+    }
+    
+    lose() {
+        const orbit = this.model.getOrbit(this.probe, this.central);
+        this.endFlight();
+        
+        const reason = orbit.bound
+            ? `Its orbit reached ${orbit.apoapsis.toFixed(2)} m from ${this.centralName} - too big for the screen. Launch a little slower.`
+            : `It was going fast enough to escape: v²/2 ≥ GM/r. Launch slower to stay bound.`;
+        this.showResult(`🌌 The probe drifted off into space. ${reason}`, false);
+    }
+    
+    endFlight() {
+        this.inFlight = false;
+        this.model.removeBody('probe');
+        this.prediction.clear();
+        if (this.views.probe) {
+            this.views.probe.circle.destroy();
+            delete this.views.probe;
+        }
+    }
+    
+    showOrbitStatus() {
+        const central = this.central;
+        let text = `G = ${this.model.G} N·m²/kg², ${this.centralName}: ${central.mass} kg`;
+        
+        if (this.inFlight) {
+            const orbit = this.model.getOrbit(this.probe, central);
+            const speed = Math.hypot(this.probe.velocity.x, this.probe.velocity.y);
+            const distance = this.scene.physicsUtils.calculateDistance(this.probe, central);
+            text += `\nProbe: ${speed.toFixed(2)} m/s, ${distance.toFixed(2)} m out\n` +
+                    (orbit.bound
+                        ? `Orbit: e = ${orbit.eccentricity.toFixed(2)}, period ${orbit.period.toFixed(1)} s`
+                        : `Orbit: escaping (e = ${orbit.eccentricity.toFixed(2)})`) +
+                    `\nLaps: ${(Math.abs(this.sweptAngle) / (2 * Math.PI)).toFixed(1)} / ${this.laps}`;
+        }
+        
+        // Only touch the HUD when the numbers change
+        if (text !== this.statusText) {
+            this.statusText = text;
+            this.setStatus(text);
+        }
+    }
+}
+
+// Export for use in other modules
+window.OrbitalLaunchPuzzle = OrbitalLaunchPuzzle;
@@ -0,0 +1,112 @@
+/**
+ * Pendulum Period Puzzle - Cut the rope to the length that makes a clock pendulum tick at a set period
+ * The bob swings under the level's gravity and times itself, so the answer from T = 2π√(L/g)
+ * is checked against the period the pendulum actually measures
+ */
+
+class PendulumPeriodPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.pendulum = null;
+        this.timing = false;
+        this.statusText = '';
+    }
+    
+    /**
+     * The rope swings under the gravity at its pivot
+     */
+    get anchor() {
+        return this.config.pendulum.pivot;
+    }
+    
+    create() {
+        this.pendulum = new Pendulum(this.scene, this.config.pendulum);
+        this.pendulum.create();
+        
+        this.createConsole(this.config.console, '🕰️ Clock Rope');
+        this.showPeriodStatus();
+    }
+    
+    async onConsoleActivated() {
+        if (this.solved) return;
+        
+        const length = await this.promptValue({
+            title: '🕰️ Rope Length',
+            html: `<p>The clock's lock only opens for a pendulum with a period of <strong>${this.config.targetPeriod} s</strong>.</p>` +
+                  `<p>Here g = ${this.gravity} m/s². For small swings T = 2π√(L/g), and the ${this.pendulum.bobMass} kg bob's mass doesn't matter.</p>`,
+            label: 'Rope length (m)',
+            min: this.config.minLength || 0.2,
+            max: this.config.maxLength || 4,
+            step: 0.01
+        });
+        if (length === null) return;
+        
+        this.attempts++;
+        this.timing = true;
+        this.pendulum.setLength(length);
+        this.setInstruction(`🕰️ Rope cut to ${length} m - timing the swing...`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        this.pendulum.update(time, delta);
+        this.showPeriodStatus();
+        
+        const measured = this.pendulum.getMeasuredPeriod();
+        if (this.timing && measured !== null) {
+            this.timing = false;
+            this.checkPeriod(measured);
+        }
+    }
+    
+    checkPeriod(measured) {
+        const target = this.config.targetPeriod;
+        const predicted = this.pendulum.getPredictedPeriod();
+        const miss = measured - target;
+        
+        if (Math.abs(miss) <= (this.config.tolerance || 0.15)) {
+            this.markSolved('Clockwork!', `L = ${this.pendulum.length} m swings with T = ${measured.toFixed(2)} s (2π√(L/g) = ${predicted.toFixed(2)} s)`);
+            this.showResult(`🕰️ Tick... tock! T = ${measured.toFixed(2)} s - the lock clicks open.`, true);
+            this.setInstruction('🚪 The clock lock is open! Head for the exit.', '#4CAF50');
+            return;
+        }
+        
+        const hint = miss > 0 ? 'Too slow: shorten the rope' : 'Too fast: lengthen the rope';
+        this.showResult(`${hint}. Measured T = ${measured.toFixed(2)} s, the lock needs ${target} s.\nHint: L = g·(T / 2π)²`, false);
+    }
+    
+    /**
+     * The same rope's period in every environment, to show it's gravity that sets the pace
+     */
+    showPeriodStatus() {
+        const length = this.pendulum.length;
+        const measured = this.pendulum.getMeasuredPeriod();
+        const environments = this.scene.physicsUtils.environments;
+        const elsewhere = ['earth', 'moon', 'jupiter']
+            .filter(key => environments[key].gravity !== this.gravity)
+            .map(key => `${environments[key].name} ${(2 * Math.PI * Math.sqrt(length / environments[key].gravity)).toFixed(2)} s`)
+            .join(', ');
+        
+        const text =
+            `Target period: ${this.config.targetPeriod} s, g = ${this.gravity} m/s²\n` +
+            `Rope: L = ${length} m, bob ${this.pendulum.bobMass} kg\n` +
+            `T measured: ${measured === null ? 'timing...' : `${measured.toFixed(2)} s`} (2π√(L/g) = ${this.pendulum.getPredictedPeriod().toFixed(2)} s)\n` +
+            `Same rope elsewhere: ${elsewhere}`;
+        
+        // Only tell the HUD when something changed
+        if (text !== this.statusText) {
+            this.statusText = text;
+            this.setStatus(text);
+        }
+    }
+    
+    destroy() {
+        if (this.pendulum) {
+            this.pendulum.destroy();
+            this.pendulum = null;
+        }
+        super.destroy();
+    }
+}
+
+// Export for use in other modules
+window.PendulumPeriodPuzzle = PendulumPeriodPuzzle;
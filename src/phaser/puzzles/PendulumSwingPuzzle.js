@@ -0,0 +1,157 @@
+/**
+ * Pendulum Swing Puzzle - Ride a swinging bob across a gap too wide to jump
+ * Walk into the bob to grab it, then let go with W / ↑; you fly off with the bob's speed v = L·ω
+ * along the swing, so the moment you let go decides where you land
+ */
+
+class PendulumSwingPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.pendulum = null;
+        this.holding = false;
+        this.flying = false;
+        this.regrabTime = 0;
+    }
+    
+    /**
+     * The rope swings under the gravity at its pivot
+     */
+    get anchor() {
+        return this.config.pendulum.pivot;
+    }
+    
+    create() {
+        this.pendulum = new Pendulum(this.scene, this.config.pendulum);
+        this.pendulum.create();
+        
+        this.target = this.scene.levelObjects[this.config.target];
+        this.hangOffset = this.config.hangOffset || 24;
+        
+        this.showSwingStatus();
+    }
+    
+    update(time, delta) {
+        this.pendulum.update(time, delta);
+        
+        // A fall hands the player back to the level; start over from the spawn point
+        if (this.scene.respawning) {
+            if (this.holding || this.flying) {
+                this.holding = false;
+                this.flying = false;
+                this.player.body.maxVelocity.copy(this.maxVelocity);
+                this.showResult(this.missMessage(), false);
+            }
+            return;
+        }
+        
+        if (this.holding) {
+            this.hang();
+            if (Phaser.Input.Keyboard.JustDown(this.scene.cursors.up) || Phaser.Input.Keyboard.JustDown(this.scene.wasd.W)) {
+                this.letGo();
+            }
+        } else if (this.flying) {
+            this.checkLanding();
+        } else if (time > this.regrabTime && this.canGrab()) {
+            this.grab();
+        }
+        
+        this.showSwingStatus();
+    }
+    
+    canGrab() {
+        const bob = this.pendulum.getBobPosition();
+        const reach = this.config.grabRadius || 40;
+        return Phaser.Math.Distance.Between(bob.x, bob.y, this.player.x, this.player.y - this.hangOffset) <= reach;
+    }
+    
+    grab() {
+        this.attempts++;
+        this.holding = true;
+        
+        // Released players can fly faster than they can run
+        this.maxVelocity = this.player.body.maxVelocity.clone();
+        this.scene.playerState.isPuzzleControlled = true;
+        this.player.body.setAllowGravity(false);
+        this.hang();
+        
+        this.setInstruction('🪢 Holding on! Press W / ↑ to let go.', '#4A90E2');
+    }
+    
+    /**
+     * Keep the player hanging under the bob
+     */
+    hang() {
+        const bob = this.pendulum.getBobPosition();
+        this.player.body.reset(bob.x, bob.y + this.hangOffset);
+    }
+    
+    letGo() {
+        const velocity = this.pendulum.getBobVelocity();
+        this.holding = false;
+        this.flying = true;
+        this.letGoAt = {
+            angle: Phaser.Math.RadToDeg(this.pendulum.model.angle),
+            speed: this.pendulum.model.getBobSpeed()
+        };
+        
+        this.player.body.setAllowGravity(true);
+        this.player.body.setMaxVelocity(2000, 2000);
+        this.player.setVelocity(velocity.x, velocity.y);
+        
+        this.setInstruction(`🪂 Let go at ${this.letGoAt.angle.toFixed(0)}° and ${this.letGoAt.speed.toFixed(2)} m/s!`, '#4A90E2');
+    }
+    
+    checkLanding() {
+        const body = this.player.body;
+        if (!body.blocked.down && !body.touching.down) return;
+        
+        this.flying = false;
+        body.maxVelocity.copy(this.maxVelocity);
+        this.scene.playerState.isPuzzleControlled = false;
+        if (this.solved) return;
+        
+        if (this.target && this.isPlayerOn({ x: this.target.x, width: this.target.displayWidth })) {
+            const { angle, speed } = this.letGoAt;
+            this.markSolved('Perfect Swing!', `Let go at ${angle.toFixed(0)}° with v = L·ω = ${speed.toFixed(2)} m/s`);
+            this.showResult(`🪢 Made it across! You let go at ${angle.toFixed(0)}° moving ${speed.toFixed(2)} m/s.`, true);
+            this.setInstruction('🚪 Across the gap! Head for the exit.', '#4CAF50');
+            return;
+        }
+        
+        // Landed back where they started: let them walk off before the bob grabs them again
+        this.regrabTime = this.scene.time.now + 1500;
+        this.showResult(this.missMessage(), false);
+    }
+    
+    missMessage() {
+        if (!this.letGoAt) {
+            return 'You slipped off the rope! Grab the bob and let go on the forward swing.';
+        }
+        
+        const { angle, speed } = this.letGoAt;
+        return `Let go at ${angle.toFixed(0)}° moving ${speed.toFixed(2)} m/s - not far enough.\n` +
+               'Hint: let go on the forward swing, while you still have speed and are rising.';
+    }
+    
+    showSwingStatus() {
+        const model = this.pendulum.model;
+        const measured = model.measuredPeriod;
+        this.setStatus(
+            `Rope: L = ${model.length} m, bob ${this.pendulum.bobMass} kg, g = ${this.gravity} m/s²\n` +
+            `T measured: ${measured === null ? 'timing...' : `${measured.toFixed(2)} s`} (2π√(L/g) = ${model.getSmallAnglePeriod().toFixed(2)} s)\n` +
+            `Bob: ${Phaser.Math.RadToDeg(model.angle).toFixed(0)}°, v = L·ω = ${model.getBobSpeed().toFixed(2)} m/s` +
+            (this.holding ? `\nYour ${this.scene.playerMass} kg on the rope doesn't change T - mass cancels out!` : '')
+        );
+    }
+    
+    destroy() {
+        if (this.pendulum) {
+            this.pendulum.destroy();
+            this.pendulum = null;
+        }
+        super.destroy();
+    }
+}
+
+// Export for use in other modules
+window.PendulumSwingPuzzle = PendulumSwingPuzzle;
@@ -0,0 +1,121 @@
+/**
+ * Pressure Plate Puzzle - Level 4 (Jupiter)
+ * Choose a crate mass whose weight (W = mg) lands inside the plate's force window
+ */
+
+class PressurePlatePuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.crate = null;
+        this.crateMass = 0;
+        this.weighing = false;
+        this.gateOpen = false;
+    }
+    
+    create() {
+        const plate = this.config.plate;
+        const gate = this.config.gate;
+        
+        // Pressure plate sunk into the floor
+        this.plate = this.track(this.scene.add.rectangle(plate.x, plate.y, plate.width, 10, 0xFFC107));
+        this.plate.setStrokeStyle(2, 0xFF8F00);
+        this.plate.setDepth(4);
+        
+        // Heavy gate blocking the way to the exit
+        this.gate = this.track(this.scene.add.rectangle(gate.x, gate.y, gate.width, gate.height, 0x607D8B));
+        this.gate.setStrokeStyle(3, 0x37474F);
+        this.gate.setDepth(5);
+        this.scene.physics.add.existing(this.gate, true);
+        this.scene.physics.add.collider(this.scene.player, this.gate);
+        
+        this.createConsole(this.config.console, '📦 Cargo Console');
+        
+        this.setStatus(`Plate reading: 0 N\nOpens between ${this.config.minForce} N and ${this.config.maxForce} N`);
+    }
+    
+    async onConsoleActivated() {
+        if (this.weighing || this.gateOpen) return;
+        
+        const mass = await this.promptValue({
+            title: '📦 Drop a Crate',
+            html: `<p>The plate opens the gate for a weight between <strong>${this.config.minForce} N</strong> and <strong>${this.config.maxForce} N</strong>.</p>` +
+                  `<p>Heavier than that and it cracks. Jupiter's gravity is ${this.gravity} m/s².</p>`,
+            label: 'Crate mass (kg)',
+            min: this.config.minMass,
+            max: this.config.maxMass
+        });
+        
+        if (mass === null) return;
+        this.dropCrate(mass);
+    }
+    
+    dropCrate(mass) {
+        this.attempts++;
+        this.weighing = true;
+        this.crateMass = mass;
+        
+        if (this.crate) {
+            this.crate.destroy();
+        }
+        
+        // Bigger crates for bigger masses, purely visual
+        const size = 24 + Math.min(mass, 40) * 0.6;
+        this.crate = this.track(this.scene.add.rectangle(this.plate.x, this.config.dropHeight, size, size, 0x8D6E63));
+        this.crate.setStrokeStyle(2, 0x4E342E);
+        this.crate.setDepth(6);
+        this.scene.physics.add.existing(this.crate);
+        this.crate.body.mass = mass;
+        this.scene.physics.add.collider(this.crate, this.scene.platforms);
+        
+        this.setInstruction(`📦 Dropping a ${mass} kg crate...`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        if (!this.weighing || !this.crate) return;
+        
+        if (this.crate.body.blocked.down || this.crate.body.touching.down) {
+            this.weighing = false;
+            this.weighCrate();
+        }
+    }
+    
+    weighCrate() {
+        // Plate reads the crate's weight: W = mg
+        const weight = this.crateMass * this.gravity;
+        this.setStatus(`Plate reading: ${weight.toFixed(0)} N\nOpens between ${this.config.minForce} N and ${this.config.maxForce} N`);
+        
+        if (weight > this.config.maxForce) {
+            this.plate.setFillStyle(0x795548);
+            this.scene.cameras.main.shake(300, 0.01);
+            this.showResult(`Crack! ${this.crateMass} kg × ${this.gravity} m/s² = ${weight.toFixed(0)} N is too heavy.`, false);
+            this.scene.time.delayedCall(1500, () => this.plate.setFillStyle(0xFFC107));
+            return;
+        }
+        
+        if (weight < this.config.minForce) {
+            this.showResult(`Only ${weight.toFixed(0)} N - the plate needs at least ${this.config.minForce} N.`, false);
+            return;
+        }
+        
+        this.openGate();
+        this.markSolved('Gate Open!', `W = mg = ${this.crateMass} kg × ${this.gravity} m/s² = ${weight.toFixed(0)} N`);
+    }
+    
+    openGate() {
+        this.gateOpen = true;
+        this.gate.body.enable = false;
+        
+        this.scene.tweens.add({
+            targets: this.gate,
+            y: this.gate.y - this.gate.height,
+            alpha: 0.3,
+            duration: 1200,
+            ease: 'Power2'
+        });
+        
+        this.setInstruction('🚪 The gate is open! Walk to the exit.', '#4CAF50');
+    }
+}
+
+// Export for use in other modules
+window.PressurePlatePuzzle = PressurePlatePuzzle;
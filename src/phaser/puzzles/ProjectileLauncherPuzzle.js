@@ -0,0 +1,257 @@
+/**
+ * Projectile Launcher Puzzle - Fire a ball across the cave onto a target
+ * Set the launch angle and speed (or a spring launcher's compression); works under any environment's gravity.
+ * With air drag configured, each shot is drawn next to the ideal parabola it would have followed in a vacuum
+ */
+
+class ProjectileLauncherPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.inFlight = false;
+        this.ball = null;
+        this.state = null;
+        this.shot = null;
+        this.trailPoints = [];
+    }
+    
+    create() {
+        const cannon = this.config.cannon;
+        const target = this.config.target;
+        
+        // Barrel pivots about its breech; rotated to the chosen angle before each shot
+        this.barrel = this.track(this.scene.add.container(cannon.x, cannon.y));
+        this.barrel.setDepth(6);
+        const tube = this.scene.add.rectangle(0, 0, 50, 16, 0x455A64).setOrigin(0, 0.5);
+        tube.setStrokeStyle(2, 0x263238);
+        const muzzle = this.scene.add.rectangle(50, 0, 6, 20, 0x37474F).setOrigin(0.5);
+        this.barrel.add([tube, muzzle]);
+        this.barrel.setAngle(-(this.config.angle || 45));
+        
+        const wheel = this.track(this.scene.add.circle(cannon.x, cannon.y + 8, 12, 0x5D4037));
+        wheel.setStrokeStyle(3, 0x3E2723);
+        wheel.setDepth(7);
+        
+        // Bullseye target
+        this.targetRect = new Phaser.Geom.Rectangle(target.x - target.width / 2, target.y - target.height / 2, target.width, target.height);
+        const board = this.track(this.scene.add.rectangle(target.x, target.y, target.width, target.height, 0xFFFFFF));
+        board.setStrokeStyle(3, 0xC62828);
+        board.setDepth(5);
+        const ring = this.track(this.scene.add.ellipse(target.x, target.y, target.width * 0.6, target.height * 0.6, 0xE53935));
+        ring.setDepth(5);
+        const centre = this.track(this.scene.add.circle(target.x, target.y, 4, 0xFFFFFF));
+        centre.setDepth(5);
+        
+        this.trail = this.track(this.scene.add.graphics());
+        this.trail.setDepth(8);
+        this.ghost = this.track(this.scene.add.graphics());
+        this.ghost.setDepth(8);
+        
+        this.createConsole(this.config.console, '🎯 Launcher');
+        
+        const distance = (target.x - cannon.x) / this.pixelsPerMeter;
+        const height = (cannon.y - target.y) / this.pixelsPerMeter;
+        this.setStatus(
+            `Gravity: ${this.gravity} m/s²${this.config.drag ? `, air drag k = ${this.config.drag} /m` : ''}\n` +
+            `Target: ${distance.toFixed(1)} m away, ${height.toFixed(1)} m up`
+        );
+    }
+    
+    get isSpringLauncher() {
+        return this.config.launcher && this.config.launcher.type === 'spring';
+    }
+    
+    async onConsoleActivated() {
+        if (this.inFlight) return;
+        
+        const target = this.config.target;
+        const distance = (target.x - this.config.cannon.x) / this.pixelsPerMeter;
+        const height = (this.config.cannon.y - target.y) / this.pixelsPerMeter;
+        const dragNote = this.config.drag
+            ? `<p>Air drag slows the ball (a = k·v², k = ${this.config.drag} /m), so it falls short of the ideal parabola.</p>`
+            : '';
+        
+        const angle = await this.promptValue({
+            title: '🎯 Launch Angle',
+            html: `<p>The target is <strong>${distance.toFixed(1)} m</strong> away and <strong>${height.toFixed(1)} m</strong> above the muzzle. g = ${this.gravity} m/s².</p>` + dragNote,
+            label: 'Angle above horizontal (°)',
+            min: this.config.minAngle || 5,
+            max: this.config.maxAngle || 85,
+            step: 1
+        });
+        if (angle === null) return;
+        
+        const speed = this.isSpringLauncher ? await this.promptSpringSpeed() : await this.promptValue({
+            title: '🎯 Launch Speed',
+            html: `<p>Ideal range on level ground: R = v²·sin(2θ) / g. Peak height: H = v²·sin²θ / (2g).</p>`,
+            label: 'Launch speed (m/s)',
+            min: this.config.minSpeed || 1,
+            max: this.config.maxSpeed || 25
+        });
+        if (speed === null) return;
+        
+        this.fire(angle, speed);
+    }
+    
+    /**
+     * Spring launchers take a compression instead: ½kx² = ½mv² → v = x·√(k/m)
+     */
+    async promptSpringSpeed() {
+        const launcher = this.config.launcher;
+        const compression = await this.promptValue({
+            title: '🌀 Spring Compression',
+            html: `<p>The launcher's spring has <strong>k = ${launcher.k} N/m</strong> and fires a <strong>${launcher.mass} kg</strong> ball.</p>` +
+                  `<p>Its stored energy ½kx² becomes the ball's kinetic energy ½mv².</p>`,
+            label: 'Compression (m)',
+            min: launcher.minCompression || 0.05,
+            max: launcher.maxCompression || 0.5,
+            step: 0.01
+        });
+        
+        return compression === null ? null : compression * Math.sqrt(launcher.k / launcher.mass);
+    }
+    
+    fire(angle, speed) {
+        this.attempts++;
+        this.inFlight = true;
+        this.shot = { angle: angle, speed: speed };
+        
+        this.model = new ProjectileModel({ gravity: this.gravity, drag: this.config.drag || 0 });
+        this.state = this.model.launch(speed, angle);
+        this.peakHeight = 0;
+        
+        this.barrel.setAngle(-angle);
+        this.trail.clear();
+        this.ghost.clear();
+        this.trailPoints = [];
+        
+        if (this.ball) {
+            this.ball.destroy();
+        }
+        this.ball = this.track(this.scene.add.circle(this.config.cannon.x, this.config.cannon.y, 7, 0x212121));
+        this.ball.setStrokeStyle(2, 0x9E9E9E);
+        this.ball.setDepth(9);
+        
+        this.scene.cameras.main.shake(150, 0.004);
+        this.scene.dustParticles.explode(8, this.config.cannon.x + 50 * Math.cos(Phaser.Math.DegToRad(angle)), this.config.cannon.y - 50 * Math.sin(Phaser.Math.DegToRad(angle)));
+        this.setInstruction(`🎯 Fired at ${angle}° and ${speed.toFixed(1)} m/s!`, '#4A90E2');
+    }
+    
+    toScreen(point) {
+        return {
+            x: this.config.cannon.x + point.x * this.pixelsPerMeter,
+            y: this.config.cannon.y - point.y * this.pixelsPerMeter
+        };
+    }
+    
+    update(time, delta) {
+        if (!this.inFlight) return;
+        
+        const substeps = 4;
+        const dt = delta / 1000 / substeps;
+        
+        for (let i = 0; i < substeps; i++) {
+            this.state = this.model.step(this.state, dt);
+            this.peakHeight = Math.max(this.peakHeight, this.state.y);
+            
+            const position = this.toScreen(this.state);
+            this.trailPoints.push(position);
+            
+            if (Phaser.Geom.Rectangle.Contains(this.targetRect, position.x, position.y)) {
+                this.land(position, true);
+                return;
+            }
+            
+            if (this.hitsScenery(position)) {
+                this.land(position, false);
+                return;
+            }
+        }
+        
+        const position = this.toScreen(this.state);
+        this.ball.setPosition(position.x, position.y);
+        this.drawTrail();
+    }
+    
+    /**
+     * Platforms, the ceiling and the edges of the world stop the ball
+     */
+    hitsScenery(position) {
+        const ceilingY = this.config.ceilingY || 0;
+        if (position.y < ceilingY || position.y > this.scene.gameHeight ||
+            position.x < 0 || position.x > this.scene.gameWidth) {
+            return true;
+        }
+        
+        return this.scene.platforms.getChildren().some(platform => platform.getBounds().contains(position.x, position.y));
+    }
+    
+    drawTrail() {
+        this.trail.clear();
+        this.trail.lineStyle(2, 0xFFC107, 0.9);
+        this.trail.strokePoints(this.trailPoints);
+    }
+    
+    land(position, hit) {
+        this.inFlight = false;
+        this.ball.setPosition(position.x, position.y);
+        this.drawTrail();
+        this.scene.dustParticles.explode(10, position.x, position.y);
+        
+        const { angle, speed } = this.shot;
+        const flight = this.model.simulateFlight(speed, angle);
+        const ideal = new ProjectileModel({ gravity: this.gravity }).getIdealFlight(speed, angle);
+        
+        // Compare against the vacuum parabola when drag is on
+        if (this.config.drag) {
+            this.drawIdealPath(speed, angle);
+        }
+        
+        this.setStatus(this.formatFlightStats(flight, ideal));
+        
+        if (hit) {
+            this.scene.cameras.main.shake(200, 0.006);
+            this.markSolved('Bullseye!', `${angle}° at ${speed.toFixed(1)} m/s - peak ${this.peakHeight.toFixed(2)} m`);
+            this.showResult(`🎯 Direct hit! Peak height ${this.peakHeight.toFixed(2)} m.`, true);
+            this.setInstruction('🚪 Target hit! Head for the exit.', '#4CAF50');
+            return;
+        }
+        
+        const distance = (position.x - this.config.cannon.x) / this.pixelsPerMeter;
+        const targetDistance = (this.config.target.x - this.config.cannon.x) / this.pixelsPerMeter;
+        const hint = distance < targetDistance ? 'Too short' : 'Too far';
+        this.showResult(`${hint}: the ball came down ${distance.toFixed(1)} m out. The target is ${targetDistance.toFixed(1)} m away.`, false);
+    }
+    
+    drawIdealPath(speed, angle) {
+        const ideal = new ProjectileModel({ gravity: this.gravity }).simulateFlight(speed, angle, { maxTime: 10 });
+        
+        this.ghost.clear();
+        this.ghost.fillStyle(0x80DEEA, 0.8);
+        ideal.points.forEach((point, index) => {
+            // Dotted line: every few samples
+            if (index % 12 !== 0) return;
+            
+            const position = this.toScreen(point);
+            this.ghost.fillCircle(position.x, position.y, 2);
+        });
+    }
+    
+    formatFlightStats(flight, ideal) {
+        const format = value => isFinite(value) ? `${value.toFixed(2)} m` : '∞ (no gravity)';
+        const { angle, speed } = this.shot;
+        
+        if (!this.config.drag) {
+            return `Launch: ${angle}° at ${speed.toFixed(1)} m/s\n` +
+                   `Range: ${format(ideal.range)} (v²·sin2θ / g)\n` +
+                   `Peak height: ${format(ideal.peakHeight)} (v²·sin²θ / 2g)`;
+        }
+        
+        return `Launch: ${angle}° at ${speed.toFixed(1)} m/s, drag k = ${this.config.drag} /m\n` +
+               `Range: ${format(flight.range)} (ideal ${format(ideal.range)})\n` +
+               `Peak height: ${format(flight.peakHeight)} (ideal ${format(ideal.peakHeight)})\n` +
+               '🟡 real path  🔵 ideal path';
+    }
+}
+
+// Export for use in other modules
+window.ProjectileLauncherPuzzle = ProjectileLauncherPuzzle;
@@ -0,0 +1,200 @@
+/**
+ * Spring Launcher Puzzle - Squeeze a spring launcher just enough to throw the player and their pack up to a ledge
+ * The spring's stored energy ½kx² becomes potential energy mgh at the top of the throw, so x = √(2mgh/k).
+ * A second copy of the same spring hangs as a spring scale: the pack's mass isn't marked, but its weight
+ * in this gravity is what the scale reads once the hook settles, m = W/g
+ */
+
+class SpringLauncherPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.armed = false;
+        this.flight = null;
+        this.lastRise = null;
+        this.statusText = '';
+    }
+    
+    create() {
+        const spring = this.config.spring;
+        this.launcher = new Spring(this.scene, Object.assign({}, spring, this.config.launcher, { mode: 'launcher' }));
+        this.launcher.create();
+        this.scale = new Spring(this.scene, Object.assign({}, spring, this.config.scale, { mode: 'scale' }));
+        this.scale.create();
+        this.scale.hang(this.pack);
+        
+        // Clicking the scale changes what hangs on it
+        const scale = this.config.scale;
+        const hitArea = this.track(this.scene.add.rectangle(scale.x, scale.y + 50, 60, 110));
+        hitArea.setInteractive({ useHandCursor: true });
+        hitArea.on('pointerdown', () => this.chooseLoad());
+        
+        // Dashed guide at the ledge's height
+        const ledge = this.config.ledge;
+        const guide = this.track(this.scene.add.graphics());
+        guide.setDepth(3);
+        guide.lineStyle(1, 0xFFE082, 0.6);
+        for (let x = this.config.launcher.x - 40; x < ledge.x - ledge.width / 2; x += 12) {
+            guide.lineBetween(x, ledge.y, x + 6, ledge.y);
+        }
+        const guideLabel = this.track(this.scene.add.text(this.config.launcher.x - 44, ledge.y, `${this.ledgeHeight.toFixed(2)} m`, {
+            fontSize: '11px',
+            color: '#FFE082'
+        }));
+        guideLabel.setOrigin(1, 0.5);
+        guideLabel.setDepth(12);
+        
+        this.createConsole(this.config.console, '🌀 Launcher Controls');
+        this.showSpringStatus();
+    }
+    
+    /**
+     * The load the player takes up with them; its mass is only found by weighing it
+     */
+    get pack() {
+        return this.config.loads.find(load => load.carried);
+    }
+    
+    get launchMass() {
+        return this.scene.playerMass + this.pack.mass;
+    }
+    
+    /**
+     * Height of the ledge above the launcher's pad (m)
+     */
+    get ledgeHeight() {
+        return (this.config.launcher.y - this.config.ledge.y) / this.pixelsPerMeter;
+    }
+    
+    get localGravity() {
+        return this.launcher.gravity;
+    }
+    
+    async chooseLoad() {
+        const options = { none: 'Nothing' };
+        this.config.loads.forEach((load, index) => {
+            options[index] = load.carried ? `${load.name} (not marked)` : `${load.name} (${load.mass} kg)`;
+        });
+        
+        const choice = await this.promptChoice({
+            title: '⚖️ Spring Scale',
+            html: `<p>The scale's dial reads the pull of its spring, kx, in newtons. Once the hook settles that equals the weight mg of whatever hangs on it.</p>` +
+                  `<p>The same load weighs less on the Moon and more on Jupiter; its mass doesn't change.</p>`,
+            options: options
+        });
+        if (choice === null) return;
+        
+        this.scale.hang(choice === 'none' ? null : this.config.loads[choice]);
+    }
+    
+    async onConsoleActivated() {
+        if (this.solved || this.flight) return;
+        
+        const compression = await this.promptValue({
+            title: '🌀 Squeeze the Spring',
+            html: `<p>The launcher spring has <strong>k = ${this.launcher.k} N/m</strong> and a rest length of ${this.launcher.restLength} m. The ledge is <strong>${this.ledgeHeight.toFixed(2)} m</strong> up and g = ${this.localGravity} m/s².</p>` +
+                  `<p>You are ${this.scene.playerMass} kg, and the ${this.pack.name.toLowerCase()} goes up with you - weigh it on the scale first. At the top of the throw ½kx² = mgh.</p>`,
+            label: 'Compression (m)',
+            min: 0.01,
+            max: Number(this.launcher.maxCompression.toFixed(2)),
+            step: 0.001
+        });
+        if (compression === null) return;
+        
+        this.launcher.setCompression(compression);
+        this.armed = true;
+        this.setInstruction(`🌀 Spring squeezed ${compression} m - step onto the pad to launch!`, '#4A90E2');
+    }
+    
+    update(time, delta) {
+        this.scale.update(time, delta);
+        
+        if (this.armed && this.launcher.isPlayerOnPad()) {
+            this.launch();
+        } else if (this.flight) {
+            this.updateFlight();
+        }
+        
+        this.showSpringStatus();
+    }
+    
+    /**
+     * Spring back to its rest length, throwing the player from floor level at v = x·√(k/m)
+     */
+    launch() {
+        const ppm = this.pixelsPerMeter;
+        const player = this.player;
+        const compression = this.launcher.release();
+        const speed = this.launcher.model.getLaunchSpeed(compression, this.launchMass);
+        
+        this.attempts++;
+        this.armed = false;
+        player.body.reset(player.x, this.config.launcher.y - player.body.height / 2);
+        player.setVelocityY(-speed * ppm);
+        this.flight = {
+            compression: compression,
+            startBottom: player.body.bottom,
+            highestBottom: player.body.bottom,
+            airborne: false
+        };
+        
+        this.setInstruction(`🌀 Launched at ${speed.toFixed(1)} m/s!`, '#4A90E2');
+    }
+    
+    updateFlight() {
+        const player = this.player;
+        const flight = this.flight;
+        const grounded = player.body.blocked.down || player.body.touching.down;
+        
+        flight.highestBottom = Math.min(flight.highestBottom, player.body.bottom);
+        if (!grounded) {
+            flight.airborne = true;
+            return;
+        }
+        if (!flight.airborne) return;
+        
+        // Landed: on the ledge, or back down by the launcher
+        this.flight = null;
+        const rise = (flight.startBottom - flight.highestBottom) / this.pixelsPerMeter;
+        const predicted = this.launcher.model.getLaunchHeight(flight.compression, this.launchMass, this.localGravity);
+        this.lastRise = rise;
+        
+        if (this.isPlayerOn(this.config.ledge)) {
+            this.markSolved('Spring Loaded', `${flight.compression} m of squeeze stored ${this.launcher.model.getStoredEnergy(flight.compression).toFixed(0)} J, enough to lift ${this.launchMass} kg ${this.ledgeHeight.toFixed(2)} m`);
+            this.showResult(`🌀 Up you go! ½kx² = mgh lifted you and the pack ${rise.toFixed(2)} m.`, true);
+            this.setInstruction('🚪 Head for the exit!', '#4CAF50');
+            return;
+        }
+        
+        const hint = rise < this.ledgeHeight
+            ? `You needed ${this.ledgeHeight.toFixed(2)} m. Did you count the pack's mass, m = W/g?`
+            : 'You went high enough - steer onto the ledge at the top of the throw.';
+        this.showResult(`You rose ${rise.toFixed(2)} m (½kx²/mg = ${predicted.toFixed(2)} m). ${hint}`, false);
+    }
+    
+    showSpringStatus() {
+        const load = this.scale.load;
+        const energy = this.launcher.model.getStoredEnergy(this.launcher.compression);
+        let text = `Spring: k = ${this.launcher.k} N/m, rest length ${this.launcher.restLength} m\n` +
+                   `Scale: ${load ? load.name : 'empty'} → ${this.scale.reading.toFixed(0)} N (g = ${this.localGravity} m/s²)\n` +
+                   `Launcher: squeezed ${this.launcher.compression.toFixed(3)} m, ½kx² = ${energy.toFixed(0)} J\n` +
+                   `Ledge: ${this.ledgeHeight.toFixed(2)} m up`;
+        if (this.lastRise !== null) {
+            text += `\nLast launch rose ${this.lastRise.toFixed(2)} m`;
+        }
+        
+        // Only touch the HUD when the numbers change
+        if (text !== this.statusText) {
+            this.statusText = text;
+            this.setStatus(text);
+        }
+    }
+    
+    destroy() {
+        this.launcher.destroy();
+        this.scale.destroy();
+        super.destroy();
+    }
+}
+
+// Export for use in other modules
+window.SpringLauncherPuzzle = SpringLauncherPuzzle;
@@ -0,0 +1,167 @@
+/**
+ * Vector Boss Puzzle - Final showdown in Dr. Vector's lab
+ * Topple his machine by pushing high enough: it tips over its edge once F·h > Mg·(b/2)
+ */
+
+class VectorBossPuzzle extends BasePuzzle {
+    constructor(scene, config) {
+        super(scene, config);
+        this.pushing = false;
+        this.toppled = false;
+    }
+    
+    create() {
+        const machine = this.config.machine;
+        const ppm = this.pixelsPerMeter;
+        const width = machine.width * ppm;
+        const height = machine.height * ppm;
+        
+        // The machine tips about its far bottom edge, so that edge is the container's origin
+        this.pivotX = machine.x + width / 2;
+        this.machine = this.track(this.scene.add.container(this.pivotX, machine.floorY));
+        this.machine.setDepth(6);
+        
+        const casing = this.scene.add.rectangle(-width, -height, width, height, 0x37474F).setOrigin(0);
+        casing.setStrokeStyle(3, 0x263238);
+        
+        const coil = this.scene.add.ellipse(-width / 2, -height - 12, width * 0.8, 24, 0x7E57C2);
+        coil.setStrokeStyle(2, 0xB39DDB);
+        
+        const screen = this.scene.add.rectangle(-width / 2, -height * 0.7, width * 0.6, 30, 0x76FF03, 0.6);
+        
+        const label = this.scene.add.text(-width / 2, -height * 0.45, 'GRAVITY\nINVERTER', {
+            fontSize: '10px',
+            color: '#FFD700',
+            fontStyle: 'bold',
+            align: 'center'
+        });
+        label.setOrigin(0.5);
+        
+        this.machine.add([casing, coil, screen, label]);
+        
+        // Height marks every half meter on the side the player pushes
+        for (let h = 0.5; h <= machine.height; h += 0.5) {
+            const y = -h * ppm;
+            this.machine.add(this.scene.add.rectangle(-width, y, 10, 2, 0xFFFFFF).setOrigin(0, 0.5));
+            this.machine.add(this.scene.add.text(-width - 6, y, `${h} m`, {
+                fontSize: '10px',
+                color: '#FFFFFF'
+            }).setOrigin(1, 0.5));
+        }
+        
+        // Solid until it falls over
+        this.blocker = this.track(this.scene.add.zone(machine.x, machine.floorY - height / 2, width, height));
+        this.scene.physics.add.existing(this.blocker, true);
+        this.scene.physics.add.collider(this.player, this.blocker);
+        
+        this.createConsole(this.config.console, '🔧 Push Harness');
+        
+        this.setStatus(
+            `Machine: ${machine.mass} kg, base ${machine.width} m, height ${machine.height} m\n` +
+            `Your push: ${this.config.pushForce} N (horizontal)\n` +
+            'Tips over when F·h > Mg·(b/2)'
+        );
+    }
+    
+    async onConsoleActivated() {
+        if (this.pushing || this.toppled) return;
+        
+        const machine = this.config.machine;
+        const pushHeight = await this.promptValue({
+            title: '🔧 Topple the Machine',
+            html: `<p>Dr. Vector's Gravity Inverter has a mass of <strong>${machine.mass} kg</strong> and a base <strong>${machine.width} m</strong> wide.</p>` +
+                  `<p>You can push with <strong>${this.config.pushForce} N</strong>. Its weight acts at the centre, ${machine.width / 2} m from the tipping edge.</p>` +
+                  `<p>How high up must you push so your torque beats the weight's torque? (g = ${this.gravity} m/s²)</p>`,
+            label: 'Push height above the floor (m)',
+            min: 0.1,
+            max: machine.height
+        });
+        
+        if (pushHeight === null) return;
+        this.push(pushHeight);
+    }
+    
+    push(pushHeight) {
+        this.attempts++;
+        this.pushing = true;
+        
+        const machine = this.config.machine;
+        const force = this.config.pushForce;
+        
+        // Torques about the tipping edge: the push tips it, the weight holds it down
+        const appliedTorque = force * pushHeight;
+        const restoringTorque = machine.mass * this.gravity * machine.width / 2;
+        
+        this.showPushArrow(pushHeight);
+        
+        if (appliedTorque <= restoringTorque) {
+            this.rockBack(appliedTorque / restoringTorque);
+            this.showResult(`τ = F·h = ${force} N × ${pushHeight} m = ${appliedTorque.toFixed(0)} N·m, but Mg·(b/2) = ${restoringTorque.toFixed(0)} N·m holds it down.`, false);
+            return;
+        }
+        
+        this.topple();
+        this.markSolved('Machine Toppled!', `τ = ${appliedTorque.toFixed(0)} N·m > Mg·(b/2) = ${restoringTorque.toFixed(0)} N·m`);
+    }
+    
+    showPushArrow(pushHeight) {
+        const machine = this.config.machine;
+        const x = machine.x - machine.width * this.pixelsPerMeter / 2;
+        const y = machine.floorY - pushHeight * this.pixelsPerMeter;
+        
+        const arrow = this.track(this.scene.add.graphics());
+        arrow.setDepth(7);
+        arrow.lineStyle(4, 0xFF5722);
+        arrow.lineBetween(x - 60, y, x - 8, y);
+        arrow.fillStyle(0xFF5722);
+        arrow.fillTriangle(x - 2, y, x - 14, y - 8, x - 14, y + 8);
+        
+        this.scene.tweens.add({
+            targets: arrow,
+            alpha: 0,
+            delay: 1200,
+            duration: 400,
+            onComplete: () => arrow.destroy()
+        });
+    }
+    
+    rockBack(fraction) {
+        // Not enough torque: it lifts a little and settles back onto its base
+        this.scene.tweens.add({
+            targets: this.machine,
+            angle: 6 * fraction,
+            duration: 250,
+            yoyo: true,
+            ease: 'Sine.easeOut',
+            onComplete: () => {
+                this.pushing = false;
+            }
+        });
+    }
+    
+    topple() {
+        this.toppled = true;
+        this.blocker.body.enable = false;
+        
+        this.scene.tweens.add({
+            targets: this.machine,
+            angle: 90,
+            duration: 1200,
+            ease: 'Quad.easeIn',
+            onComplete: () => {
+                this.scene.cameras.main.shake(400, 0.015);
+                this.scene.dustParticles.explode(20, this.pivotX + this.config.machine.height * this.pixelsPerMeter / 2, this.config.machine.floorY);
+                this.setInstruction('💎 The Gravity Inverter is down! Grab the artifact at the exit.', '#4CAF50');
+            }
+        });
+        
+        // Dr. Vector loses his perch
+        const vector = this.scene.vector;
+        if (vector) {
+            vector.defeat(this.config.vectorLanding, this.config.vectorExit, 'Nooo! Foiled by a lever arm!');
+        }
+    }
+}
+
+// Export for use in other modules
+window.VectorBossPuzzle = VectorBossPuzzle;
@@ -0,0 +1,789 @@
+/**
+ * Boot Scene - Generates every procedural texture and animation and loads the level data
+ * Runs once per game; all other scenes reuse what it creates
+ */
+
+class BootScene extends Phaser.Scene {
+    constructor(manager) {
+        super({ key: 'BootScene' });
+        this.manager = manager;
+    }
+    
+    preload() {
+        console.log('📦 Loading enhanced game assets...');
+        
+        // Procedural textures live in the game-wide texture manager, so they are only generated once
+        if (typeof CharacterAssets !== 'undefined') {
+            this.characterAssets = new CharacterAssets(this);
+            this.characterAssets.createAllCharacterAssets();
+        } else {
+            // Fallback to basic sprites
+            this.createCharacterSprites();
+        }
+        
+        // Create level assets
+        this.createLevelAssets();
+        
+        // Create particle effects
+        this.createParticleAssets();
+        
+        // Load UI assets
+        this.createUIAssets();
+        
+        // Queue level data files
+        this.loadLevelData();
+        
+        console.log('✅ All enhanced assets loaded');
+    }
+    
+    loadLevelData() {
+        // The manifest lists every level file; each one is queued as soon as the manifest arrives
+        this.load.json('levelManifest', this.manager.levelManifestPath);
+        
+        this.load.once('filecomplete-json-levelManifest', (key, type, manifest) => {
+            (manifest.levels || []).forEach(entry => {
+                this.load.json(entry.key, entry.file);
+            });
+        });
+    }
+    
+    createCharacterSprites() {
+        // Create high-quality protagonist sprites using Phaser graphics
+        const graphics = this.add.graphics();
+        
+        // Protagonist idle sprite - CoolMathGames style
+        this.createProtagonistIdleSprite(graphics);
+        
+        // Protagonist walking animation frames
+        for (let i = 0; i < 8; i++) {
+            this.createProtagonistWalkFrame(graphics, i);
+        }
+        
+        // Protagonist jumping sprite
+        this.createProtagonistJumpSprite(graphics);
+        
+        // Protagonist climbing sprite  
+        this.createProtagonistClimbSprite(graphics);
+        
+        console.log('🎨 Character sprites created');
+    }
+    
+    createProtagonistIdleSprite(graphics) {
+        const rt = this.add.renderTexture(0, 0, 48, 64);
+        graphics.clear();
+        
+        // Character design - modern adventurer style
+        const colors = {
+            skin: 0xFFDBAC,
+            hair: 0x8B4513,
+            shirt: 0x4A90E2,
+            pants: 0x2D3748,
+            shoes: 0x654321,
+            belt: 0x8B4513,
+            outline: 0x2C3E50
+        };
+        
+        // Draw character body (centered at 24, 32)
+        graphics.lineStyle(2, colors.outline);
+        
+        // Head (circular with proper proportions)
+        graphics.fillStyle(colors.skin);
+        graphics.fillCircle(24, 16, 8);
+        graphics.strokeCircle(24, 16, 8);
+        
+        // Hair (modern style)
+        graphics.fillStyle(colors.hair);
+        graphics.fillEllipse(24, 12, 14, 8);
+        
+        // Eyes (expressive and detailed)
+        graphics.fillStyle(0x333333);
+        graphics.fillCircle(21, 14, 1.5);
+        graphics.fillCircle(27, 14, 1.5);
+        
+        // Eyebrows
+        graphics.lineStyle(1, 0x654321);
+        graphics.lineBetween(19, 12, 23, 11);
+        graphics.lineBetween(25, 11, 29, 12);
+        
+        // Mouth (slight smile)
+        graphics.arc(24, 17, 3, 0, Math.PI, false);
+        graphics.strokePath();
+        
+        // Body/Torso (shirt with details)
+        graphics.lineStyle(2, colors.outline);
+        graphics.fillStyle(colors.shirt);
+        graphics.fillRoundedRect(16, 24, 16, 20, 2);
+        graphics.strokeRoundedRect(16, 24, 16, 20, 2);
+        
+        // Shirt collar and buttons
+        graphics.fillStyle(colors.outline);
+        graphics.fillCircle(24, 28, 1);
+        graphics.fillCircle(24, 34, 1);
+        graphics.fillCircle(24, 40, 1);
+        
+        // Arms (realistic proportions)
+        graphics.fillStyle(colors.skin);
+        graphics.fillRoundedRect(12, 26, 4, 16, 2); // Left arm
+        graphics.fillRoundedRect(32, 26, 4, 16, 2); // Right arm
+        graphics.strokeRoundedRect(12, 26, 4, 16, 2);
+        graphics.strokeRoundedRect(32, 26, 4, 16, 2);
+        
+        // Hands
+        graphics.fillCircle(14, 42, 2);
+        graphics.fillCircle(34, 42, 2);
+        graphics.strokeCircle(14, 42, 2);
+        graphics.strokeCircle(34, 42, 2);
+        
+        // Legs (pants with belt)
+        graphics.fillStyle(colors.belt);
+        graphics.fillRoundedRect(17, 44, 14, 3, 1); // Belt
+        graphics.strokeRoundedRect(17, 44, 14, 3, 1);
+        
+        graphics.fillStyle(colors.pants);
+        graphics.fillRoundedRect(18, 44, 5, 16, 2); // Left leg
+        graphics.fillRoundedRect(25, 44, 5, 16, 2); // Right leg
+        graphics.strokeRoundedRect(18, 44, 5, 16, 2);
+        graphics.strokeRoundedRect(25, 44, 5, 16, 2);
+        
+        // Shoes (detailed with laces)
+        graphics.fillStyle(colors.shoes);
+        graphics.fillRoundedRect(16, 60, 7, 4, 1); // Left shoe
+        graphics.fillRoundedRect(25, 60, 7, 4, 1); // Right shoe
+        graphics.strokeRoundedRect(16, 60, 7, 4, 1);
+        graphics.strokeRoundedRect(25, 60, 7, 4, 1);
+        
+        // Shoe laces
+        graphics.lineStyle(1, 0xFFFFFF);
+        graphics.lineBetween(17, 61, 22, 61);
+        graphics.lineBetween(26, 61, 31, 61);
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture('protagonist_idle');
+        
+        graphics.clear();
+        rt.destroy();
+    }
+    
+    createProtagonistWalkFrame(graphics, frameIndex) {
+        const rt = this.add.renderTexture(0, 0, 48, 64);
+        graphics.clear();
+        
+        const colors = {
+            skin: 0xFFDBAC,
+            hair: 0x8B4513,
+            shirt: 0x4A90E2,
+            pants: 0x2D3748,
+            shoes: 0x654321,
+            belt: 0x8B4513,
+            outline: 0x2C3E50
+        };
+        
+        // Walking animation calculations
+        const walkCycle = frameIndex / 8 * Math.PI * 2;
+        const armSwing = Math.sin(walkCycle) * 8;
+        const legSwing = Math.sin(walkCycle + Math.PI) * 6;
+        const bodyBob = Math.sin(walkCycle * 2) * 1;
+        
+        const centerY = 32 + bodyBob;
+        
+        graphics.lineStyle(2, colors.outline);
+        
+        // Head (with slight bob)
+        graphics.fillStyle(colors.skin);
+        graphics.fillCircle(24, 16 + bodyBob, 8);
+        graphics.strokeCircle(24, 16 + bodyBob, 8);
+        
+        // Hair
+        graphics.fillStyle(colors.hair);
+        graphics.fillEllipse(24, 12 + bodyBob, 14, 8);
+        
+        // Eyes
+        graphics.fillStyle(0x333333);
+        graphics.fillCircle(21, 14 + bodyBob, 1.5);
+        graphics.fillCircle(27, 14 + bodyBob, 1.5);
+        
+        // Body
+        graphics.fillStyle(colors.shirt);
+        graphics.fillRoundedRect(16, 24 + bodyBob, 16, 20, 2);
+        graphics.strokeRoundedRect(16, 24 + bodyBob, 16, 20, 2);
+        
+        // Animated arms
+        const leftArmX = 12 + armSwing * 0.3;
+        const rightArmX = 32 - armSwing * 0.3;
+        
+        graphics.fillStyle(colors.skin);
+        graphics.fillRoundedRect(leftArmX, 26 + bodyBob, 4, 16, 2);
+        graphics.fillRoundedRect(rightArmX, 26 + bodyBob, 4, 16, 2);
+        graphics.strokeRoundedRect(leftArmX, 26 + bodyBob, 4, 16, 2);
+        graphics.strokeRoundedRect(rightArmX, 26 + bodyBob, 4, 16, 2);
+        
+        // Animated legs
+        const leftLegX = 18 + legSwing * 0.4;
+        const rightLegX = 25 - legSwing * 0.4;
+        
+        graphics.fillStyle(colors.pants);
+        graphics.fillRoundedRect(leftLegX, 44 + bodyBob, 5, 16, 2);
+        graphics.fillRoundedRect(rightLegX, 44 + bodyBob, 5, 16, 2);
+        graphics.strokeRoundedRect(leftLegX, 44 + bodyBob, 5, 16, 2);
+        graphics.strokeRoundedRect(rightLegX, 44 + bodyBob, 5, 16, 2);
+        
+        // Animated shoes
+        graphics.fillStyle(colors.shoes);
+        graphics.fillRoundedRect(leftLegX - 2, 60 + bodyBob, 7, 4, 1);
+        graphics.fillRoundedRect(rightLegX - 2, 60 + bodyBob, 7, 4, 1);
+        graphics.strokeRoundedRect(leftLegX - 2, 60 + bodyBob, 7, 4, 1);
+        graphics.strokeRoundedRect(rightLegX - 2, 60 + bodyBob, 7, 4, 1);
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture(`protagonist_walk_${frameIndex}`);
+        
+        graphics.clear();
+        rt.destroy();
+    }
+    
+    createProtagonistJumpSprite(graphics) {
+        const rt = this.add.renderTexture(0, 0, 48, 64);
+        graphics.clear();
+        
+        const colors = {
+            skin: 0xFFDBAC,
+            hair: 0x8B4513,
+            shirt: 0x4A90E2,
+            pants: 0x2D3748,
+            shoes: 0x654321,
+            outline: 0x2C3E50
+        };
+        
+        graphics.lineStyle(2, colors.outline);
+        
+        // Head
+        graphics.fillStyle(colors.skin);
+        graphics.fillCircle(24, 16, 8);
+        graphics.strokeCircle(24, 16, 8);
+        
+        // Hair
+        graphics.fillStyle(colors.hair);
+        graphics.fillEllipse(24, 12, 14, 8);
+        
+        // Eyes (focused expression)
+        graphics.fillStyle(0x333333);
+        graphics.fillCircle(21, 14, 1.5);
+        graphics.fillCircle(27, 14, 1.5);
+        
+        // Body
+        graphics.fillStyle(colors.shirt);
+        graphics.fillRoundedRect(16, 24, 16, 20, 2);
+        graphics.strokeRoundedRect(16, 24, 16, 20, 2);
+        
+        // Arms raised for jumping
+        graphics.fillStyle(colors.skin);
+        graphics.fillRoundedRect(8, 22, 4, 16, 2); // Left arm up
+        graphics.fillRoundedRect(36, 22, 4, 16, 2); // Right arm up
+        graphics.strokeRoundedRect(8, 22, 4, 16, 2);
+        graphics.strokeRoundedRect(36, 22, 4, 16, 2);
+        
+        // Legs tucked up
+        graphics.fillStyle(colors.pants);
+        graphics.fillRoundedRect(18, 40, 5, 12, 2); // Left leg
+        graphics.fillRoundedRect(25, 40, 5, 12, 2); // Right leg
+        graphics.strokeRoundedRect(18, 40, 5, 12, 2);
+        graphics.strokeRoundedRect(25, 40, 5, 12, 2);
+        
+        // Shoes
+        graphics.fillStyle(colors.shoes);
+        graphics.fillRoundedRect(16, 52, 7, 4, 1);
+        graphics.fillRoundedRect(25, 52, 7, 4, 1);
+        graphics.strokeRoundedRect(16, 52, 7, 4, 1);
+        graphics.strokeRoundedRect(25, 52, 7, 4, 1);
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture('protagonist_jump');
+        
+        graphics.clear();
+        rt.destroy();
+    }
+    
+    createProtagonistClimbSprite(graphics) {
+        const rt = this.add.renderTexture(0, 0, 48, 64);
+        graphics.clear();
+        
+        const colors = {
+            skin: 0xFFDBAC,
+            hair: 0x8B4513,
+            shirt: 0x4A90E2,
+            pants: 0x2D3748,
+            shoes: 0x654321,
+            outline: 0x2C3E50
+        };
+        
+        graphics.lineStyle(2, colors.outline);
+        
+        // Head (looking up)
+        graphics.fillStyle(colors.skin);
+        graphics.fillCircle(24, 18, 8);
+        graphics.strokeCircle(24, 18, 8);
+        
+        // Hair
+        graphics.fillStyle(colors.hair);
+        graphics.fillEllipse(24, 14, 14, 8);
+        
+        // Eyes looking up
+        graphics.fillStyle(0x333333);
+        graphics.fillCircle(21, 16, 1.5);
+        graphics.fillCircle(27, 16, 1.5);
+        
+        // Body (leaning forward)
+        graphics.fillStyle(colors.shirt);
+        graphics.fillRoundedRect(14, 26, 16, 18, 2);
+        graphics.strokeRoundedRect(14, 26, 16, 18, 2);
+        
+        // Arms reaching up
+        graphics.fillStyle(colors.skin);
+        graphics.fillRoundedRect(10, 18, 4, 18, 2); // Left arm
+        graphics.fillRoundedRect(34, 18, 4, 18, 2); // Right arm
+        graphics.strokeRoundedRect(10, 18, 4, 18, 2);
+        graphics.strokeRoundedRect(34, 18, 4, 18, 2);
+        
+        // Legs (climbing position)
+        graphics.fillStyle(colors.pants);
+        graphics.fillRoundedRect(16, 44, 5, 16, 2);
+        graphics.fillRoundedRect(27, 44, 5, 16, 2);
+        graphics.strokeRoundedRect(16, 44, 5, 16, 2);
+        graphics.strokeRoundedRect(27, 44, 5, 16, 2);
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture('protagonist_climb');
+        
+        graphics.clear();
+        rt.destroy();
+    }
+    
+    createLevelAssets() {
+        const graphics = this.add.graphics();
+        
+        // Stone platform texture
+        this.createStonePlatformTexture(graphics);
+        
+        // Wood platform texture  
+        this.createWoodPlatformTexture(graphics);
+        
+        // Cave wall textures
+        this.createCaveWallTexture(graphics);
+        
+        // Rope/Chain texture for zipline
+        this.createRopeTexture(graphics);
+        
+        // Torch flame animation
+        this.createTorchTexture(graphics);
+        
+        console.log('🏞️ Level assets created');
+    }
+    
+    createStonePlatformTexture(graphics) {
+        const rt = this.add.renderTexture(0, 0, 128, 32);
+        graphics.clear();
+        
+        // Base stone color
+        graphics.fillStyle(0x666666);
+        graphics.fillRect(0, 0, 128, 32);
+        
+        // Stone texture details
+        graphics.fillStyle(0x555555);
+        for (let i = 0; i < 8; i++) {
+            const x = i * 16;
+            graphics.fillRect(x, 0, 14, 32);
+            graphics.fillRect(x + 2, 2, 10, 28);
+        }
+        
+        // Highlight edges
+        graphics.lineStyle(2, 0x888888);
+        graphics.lineBetween(0, 0, 128, 0); // Top edge
+        graphics.lineBetween(0, 0, 0, 32);  // Left edge
+        
+        // Shadow edges
+        graphics.lineStyle(2, 0x444444);
+        graphics.lineBetween(0, 32, 128, 32); // Bottom edge
+        graphics.lineBetween(128, 0, 128, 32); // Right edge
+        
+        // Moss details for cave atmosphere
+        graphics.fillStyle(0x4CAF50);
+        graphics.fillCircle(20, 4, 3);
+        graphics.fillCircle(45, 6, 2);
+        graphics.fillCircle(80, 3, 4);
+        graphics.fillCircle(110, 5, 3);
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture('stone_platform');
+        graphics.clear();
+        rt.destroy();
+    }
+    
+    createWoodPlatformTexture(graphics) {
+        const rt = this.add.renderTexture(0, 0, 128, 16);
+        graphics.clear();
+        
+        // Wood base
+        graphics.fillStyle(0x8B4513);
+        graphics.fillRect(0, 0, 128, 16);
+        
+        // Wood grain
+        graphics.lineStyle(1, 0x654321);
+        for (let i = 0; i < 5; i++) {
+            const y = 3 + i * 2;
+            graphics.lineBetween(0, y, 128, y);
+        }
+        
+        // Wood planks
+        graphics.lineStyle(2, 0x5D4037);
+        graphics.lineBetween(32, 0, 32, 16);
+        graphics.lineBetween(64, 0, 64, 16);
+        graphics.lineBetween(96, 0, 96, 16);
+        
+        // Metal reinforcements
+        graphics.fillStyle(0x757575);
+        graphics.fillRect(30, 2, 4, 12);
+        graphics.fillRect(62, 2, 4, 12);
+        graphics.fillRect(94, 2, 4, 12);
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture('wood_platform');
+        graphics.clear();
+        rt.destroy();
+    }
+    
+    createCaveWallTexture(graphics) {
+        const rt = this.add.renderTexture(0, 0, 64, 64);
+        graphics.clear();
+        
+        // Cave wall base
+        graphics.fillStyle(0x2C2C2C);
+        graphics.fillRect(0, 0, 64, 64);
+        
+        // Rock texture
+        graphics.fillStyle(0x3E3E3E);
+        for (let i = 0; i < 8; i++) {
+            for (let j = 0; j < 8; j++) {
+                if (Math.random() > 0.6) {
+                    graphics.fillCircle(i * 8 + 4, j * 8 + 4, 2 + Math.random() * 2);
+                }
+            }
+        }
+        
+        // Darker crevices
+        graphics.fillStyle(0x1A1A1A);
+        for (let i = 0; i < 12; i++) {
+            const x = Math.random() * 64;
+            const y = Math.random() * 64;
+            graphics.fillCircle(x, y, 1);
+        }
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture('cave_wall');
+        graphics.clear();
+        rt.destroy();
+    }
+    
+    createRopeTexture(graphics) {
+        const rt = this.add.renderTexture(0, 0, 8, 32);
+        graphics.clear();
+        
+        // Rope strands
+        graphics.fillStyle(0x8B4513);
+        graphics.fillRect(2, 0, 4, 32);
+        
+        // Rope texture
+        graphics.lineStyle(1, 0x654321);
+        for (let i = 0; i < 16; i++) {
+            const y = i * 2;
+            graphics.lineBetween(1, y, 7, y + 1);
+        }
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture('rope');
+        graphics.clear();
+        rt.destroy();
+    }
+    
+    createTorchTexture(graphics) {
+        // Torch base
+        const rt = this.add.renderTexture(0, 0, 16, 32);
+        graphics.clear();
+        
+        // Torch handle
+        graphics.fillStyle(0x8B4513);
+        graphics.fillRect(6, 8, 4, 24);
+        
+        // Torch head
+        graphics.fillStyle(0x654321);
+        graphics.fillCircle(8, 8, 6);
+        
+        rt.draw(graphics, 0, 0);
+        rt.saveTexture('torch');
+        graphics.clear();
+        rt.destroy();
+        
+        // Flame animation frames
+        for (let i = 0; i < 4; i++) {
+            const flameRt = this.add.renderTexture(0, 0, 16, 20);
+            graphics.clear();
+            
+            const flameHeight = 12 + Math.sin(i * Math.PI / 2) * 3;
+            const flameWidth = 8 + Math.cos(i * Math.PI / 2) * 2;
+            
+            // Flame colors
+            graphics.fillStyle(0xFF4500); // Red-orange
+            graphics.fillEllipse(8, 10, flameWidth, flameHeight);
+            
+            graphics.fillStyle(0xFFA500); // Orange
+            graphics.fillEllipse(8, 8, flameWidth * 0.7, flameHeight * 0.7);
+            
+            graphics.fillStyle(0xFFFF00); // Yellow core
+            graphics.fillEllipse(8, 6, flameWidth * 0.4, flameHeight * 0.4);
+            
+            flameRt.draw(graphics, 0, 0);
+            flameRt.saveTexture(`flame_${i}`);
+            graphics.clear();
+            flameRt.destroy();
+        }
+    }
+    
+    createParticleAssets() {
+        const graphics = this.add.graphics();
+        
+        // Dust particle
+        const dustRt = this.add.renderTexture(0, 0, 4, 4);
+        graphics.clear();
+        graphics.fillStyle(0xDDDDDD);
+        graphics.fillCircle(2, 2, 2);
+        dustRt.draw(graphics, 0, 0);
+        dustRt.saveTexture('dust_particle');
+        graphics.clear();
+        dustRt.destroy();
+        
+        // Spark particle
+        const sparkRt = this.add.renderTexture(0, 0, 6, 6);
+        graphics.clear();
+        graphics.fillStyle(0xFFDD44);
+        graphics.fillCircle(3, 3, 3);
+        graphics.fillStyle(0xFFFFFF);
+        graphics.fillCircle(3, 3, 1);
+        sparkRt.draw(graphics, 0, 0);
+        sparkRt.saveTexture('spark_particle');
+        graphics.clear();
+        sparkRt.destroy();
+        
+        console.log('✨ Particle assets created');
+    }
+    
+    createUIAssets() {
+        const graphics = this.add.graphics();
+        
+        // UI button
+        const buttonRt = this.add.renderTexture(0, 0, 120, 40);
+        graphics.clear();
+        graphics.fillStyle(0x4A90E2);
+        graphics.fillRoundedRect(0, 0, 120, 40, 8);
+        graphics.lineStyle(2, 0x357ABD);
+        graphics.strokeRoundedRect(0, 0, 120, 40, 8);
+        buttonRt.draw(graphics, 0, 0);
+        buttonRt.saveTexture('ui_button');
+        graphics.clear();
+        buttonRt.destroy();
+        
+        console.log('🎨 UI assets created');
+    }
+    
+    create() {
+        // Animations are global too, so every level scene can play them
+        this.createAnimations();
+        
+        this.manager.isBooted = true;
+        this.scene.stop();
+        console.log('✅ Boot complete');
+        
+        // Jump straight into a level if one was requested while booting
+        if (this.manager.pendingLevelKey) {
+            this.manager.startLevel(this.manager.pendingLevelKey);
+        } else {
+            this.manager.showMenu();
+        }
+    }
+    
+    createAnimations() {
+        // Enhanced idle animation (breathing effect)
+        this.anims.create({
+            key: 'idle',
+            frames: [
+                { key: 'protagonist_idle_0' },
+                { key: 'protagonist_idle_1' },
+                { key: 'protagonist_idle_2' },
+                { key: 'protagonist_idle_3' },
+                { key: 'protagonist_idle_4' },
+                { key: 'protagonist_idle_5' }
+            ],
+            frameRate: 2,
+            repeat: -1
+        });
+        
+        // Enhanced walking animation (more frames for smoother motion)
+        this.anims.create({
+            key: 'walk',
+            frames: [
+                { key: 'protagonist_walk_0' },
+                { key: 'protagonist_walk_1' },
+                { key: 'protagonist_walk_2' },
+                { key: 'protagonist_walk_3' },
+                { key: 'protagonist_walk_4' },
+                { key: 'protagonist_walk_5' },
+                { key: 'protagonist_walk_6' },
+                { key: 'protagonist_walk_7' },
+                { key: 'protagonist_walk_8' },
+                { key: 'protagonist_walk_9' },
+                { key: 'protagonist_walk_10' },
+                { key: 'protagonist_walk_11' }
+            ],
+            frameRate: 15,
+            repeat: -1
+        });
+        
+        // Enhanced jumping animation (multiple phases)
+        this.anims.create({
+            key: 'jump',
+            frames: [
+                { key: 'protagonist_jump_0' },
+                { key: 'protagonist_jump_1' },
+                { key: 'protagonist_jump_2' },
+                { key: 'protagonist_jump_3' }
+            ],
+            frameRate: 10,
+            repeat: 0
+        });
+        
+        // Running animation
+        this.anims.create({
+            key: 'run',
+            frames: [
+                { key: 'protagonist_run_0' },
+                { key: 'protagonist_run_1' },
+                { key: 'protagonist_run_2' },
+                { key: 'protagonist_run_3' },
+                { key: 'protagonist_run_4' },
+                { key: 'protagonist_run_5' },
+                { key: 'protagonist_run_6' },
+                { key: 'protagonist_run_7' }
+            ],
+            frameRate: 18,
+            repeat: -1
+        });
+        
+        // Climbing animation
+        this.anims.create({
+            key: 'climb',
+            frames: [
+                { key: 'protagonist_climb_0' },
+                { key: 'protagonist_climb_1' },
+                { key: 'protagonist_climb_2' },
+                { key: 'protagonist_climb_3' },
+                { key: 'protagonist_climb_4' },
+                { key: 'protagonist_climb_5' }
+            ],
+            frameRate: 8,
+            repeat: -1
+        });
+        
+        // Interaction animation
+        this.anims.create({
+            key: 'interact',
+            frames: [
+                { key: 'protagonist_interact_0' },
+                { key: 'protagonist_interact_1' },
+                { key: 'protagonist_interact_2' },
+                { key: 'protagonist_interact_3' },
+                { key: 'protagonist_interact_4' },
+                { key: 'protagonist_interact_5' },
+                { key: 'protagonist_interact_6' },
+                { key: 'protagonist_interact_7' }
+            ],
+            frameRate: 10,
+            repeat: 0
+        });
+        
+        // Celebration animation
+        this.anims.create({
+            key: 'celebrate',
+            frames: [
+                { key: 'protagonist_celebrate_0' },
+                { key: 'protagonist_celebrate_1' },
+                { key: 'protagonist_celebrate_2' },
+                { key: 'protagonist_celebrate_3' },
+                { key: 'protagonist_celebrate_4' },
+                { key: 'protagonist_celebrate_5' },
+                { key: 'protagonist_celebrate_6' },
+                { key: 'protagonist_celebrate_7' },
+                { key: 'protagonist_celebrate_8' },
+                { key: 'protagonist_celebrate_9' }
+            ],
+            frameRate: 12,
+            repeat: 2
+        });
+        
+        // Dr. Vector animations
+        this.anims.create({
+            key: 'vector_idle',
+            frames: [
+                { key: 'vector_idle_0' },
+                { key: 'vector_idle_1' },
+                { key: 'vector_idle_2' },
+                { key: 'vector_idle_3' }
+            ],
+            frameRate: 2,
+            repeat: -1
+        });
+        
+        this.anims.create({
+            key: 'vector_run',
+            frames: [
+                { key: 'vector_run_0' },
+                { key: 'vector_run_1' },
+                { key: 'vector_run_2' },
+                { key: 'vector_run_3' },
+                { key: 'vector_run_4' },
+                { key: 'vector_run_5' }
+            ],
+            frameRate: 12,
+            repeat: -1
+        });
+        
+        this.anims.create({
+            key: 'vector_taunt',
+            frames: [
+                { key: 'vector_taunt_0' },
+                { key: 'vector_taunt_1' },
+                { key: 'vector_taunt_2' },
+                { key: 'vector_taunt_3' }
+            ],
+            frameRate: 8,
+            repeat: 2
+        });
+        
+        // Enhanced torch flame animation
+        this.anims.create({
+            key: 'torch_flame',
+            frames: [
+                { key: 'enhanced_torch_flame_0' },
+                { key: 'enhanced_torch_flame_1' },
+                { key: 'enhanced_torch_flame_2' },
+                { key: 'enhanced_torch_flame_3' },
+                { key: 'enhanced_torch_flame_4' },
+                { key: 'enhanced_torch_flame_5' }
+            ],
+            frameRate: 12,
+            repeat: -1
+        });
+        
+        console.log('🎭 Enhanced animations created');
+    }
+}
+
+// Export for use in other modules
+window.BootScene = BootScene;
@@ -0,0 +1,340 @@
+/**
+ * HUD Scene - Overlay drawn above the level: physics readouts, instructions and messages
+ * Launched by LevelScene; listens to the level's events instead of sharing its state
+ */
+
+class HUDScene extends Phaser.Scene {
+    constructor(manager) {
+        super({ key: 'HUDScene' });
+        this.manager = manager;
+        
+        // Game dimensions
+        this.gameWidth = manager.gameWidth;
+        this.gameHeight = manager.gameHeight;
+    }
+    
+    create() {
+        this.level = this.scene.get('LevelScene');
+        this.lastVelocityX = 0;
+        const levelData = this.level.levelData;
+        
+        // UI background
+        this.uiBackground = this.add.rectangle(this.gameWidth - 150, 65, 280, 130, 0x000000);
+        this.uiBackground.setAlpha(0.7);
+        this.uiBackground.setStrokeStyle(2, 0x4A90E2);
+        
+        // Physics data display
+        this.velocityText = this.add.text(this.gameWidth - 270, 20, 'Velocity: 0.0 m/s', {
+            fontSize: '14px',
+            color: '#4A90E2'
+        });
+        
+        this.forceText = this.add.text(this.gameWidth - 270, 40, 'Force: 0.0 N', {
+            fontSize: '14px',
+            color: '#4A90E2'
+        });
+        
+        this.energyText = this.add.text(this.gameWidth - 270, 60, 'Energy: 0.0 J', {
+            fontSize: '14px',
+            color: '#4A90E2'
+        });
+        
+        // Environment gravity for the current level
+        const physicsUtils = this.level.physicsUtils;
+        const environment = physicsUtils.environments[levelData.environment];
+        this.gravityText = this.add.text(this.gameWidth - 270, 80,
+            `Gravity: ${physicsUtils.getCurrentGravity().toFixed(1)} m/s² (${environment.name})`, {
+            fontSize: '14px',
+            color: environment.color
+        });
+        
+        // Falls this level
+        this.deathText = this.add.text(this.gameWidth - 270, 100, `Falls: ${this.level.deaths}`, {
+            fontSize: '14px',
+            color: '#FF8A80'
+        });
+        
+        // Instructions
+        this.instructionText = this.add.text(20, this.gameHeight - 60, this.level.instruction.text, {
+            fontSize: '16px',
+            color: '#FFFFFF',
+            backgroundColor: '#000000',
+            padding: { x: 10, y: 5 }
+        });
+        this.instructionText.setColor(this.level.instruction.color);
+        
+        // Puzzle readout (timers, sensor readings...) below the physics data
+        this.statusText = this.add.text(this.gameWidth - 20, 140, this.level.puzzleStatus, {
+            fontSize: '14px',
+            color: '#E8F4FD',
+            backgroundColor: '#000000',
+            padding: { x: 8, y: 6 },
+            align: 'right'
+        });
+        this.statusText.setOrigin(1, 0);
+        this.statusText.setVisible(this.level.puzzleStatus !== '');
+        
+        // Nearest simple machine's parameters and mechanical advantage, above the instructions
+        this.machineText = this.add.text(20, this.gameHeight - 70, this.level.machineReadout, {
+            fontSize: '13px',
+            color: '#FFE082',
+            backgroundColor: '#000000',
+            padding: { x: 8, y: 6 }
+        });
+        this.machineText.setOrigin(0, 1);
+        this.machineText.setVisible(this.level.machineReadout !== '');
+        
+        // Momentum and kinetic energy before and after each impact, in columns
+        this.collisionText = this.add.text(20, 20, this.level.collisionReport, {
+            fontSize: '12px',
+            fontFamily: 'monospace',
+            color: '#B2EBF2',
+            backgroundColor: '#000000',
+            padding: { x: 8, y: 6 }
+        });
+        this.collisionText.setAlpha(0.85);
+        this.collisionText.setVisible(this.level.collisionReport !== '');
+        
+        // Replay viewer button, shown once an attempt has been recorded
+        this.replayButton = this.add.text(this.gameWidth - 20, this.gameHeight - 40, '', {
+            fontSize: '14px',
+            color: '#FFFFFF',
+            backgroundColor: '#7B1FA2',
+            padding: { x: 10, y: 6 },
+            fontStyle: 'bold'
+        });
+        this.replayButton.setOrigin(1, 0.5);
+        this.replayButton.setInteractive({ useHandCursor: true });
+        this.replayButton.on('pointerdown', () => this.level.openReplay());
+        this.setReplayCount(this.level.attemptRecorder.getAttempts().length);
+        
+        // Listen for messages from the level
+        const levelEvents = this.level.events;
+        levelEvents.on('hud-instruction', this.setInstruction, this);
+        levelEvents.on('hud-status', this.setPuzzleStatus, this);
+        levelEvents.on('hud-result', this.showResultMessage, this);
+        levelEvents.on('hud-achievement', this.showAchievement, this);
+        levelEvents.on('hud-replays', this.setReplayCount, this);
+        levelEvents.on('hud-deaths', this.setDeathCount, this);
+        levelEvents.on('hud-machine', this.setMachineReadout, this);
+        levelEvents.on('hud-collision', this.setCollisionReport, this);
+        
+        this.events.once('shutdown', () => {
+            levelEvents.off('hud-instruction', this.setInstruction, this);
+            levelEvents.off('hud-status', this.setPuzzleStatus, this);
+            levelEvents.off('hud-result', this.showResultMessage, this);
+            levelEvents.off('hud-achievement', this.showAchievement, this);
+            levelEvents.off('hud-replays', this.setReplayCount, this);
+            levelEvents.off('hud-deaths', this.setDeathCount, this);
+            levelEvents.off('hud-machine', this.setMachineReadout, this);
+            levelEvents.off('hud-collision', this.setCollisionReport, this);
+        });
+        
+        this.showWelcomeMessage();
+        
+        console.log('🎨 Game UI created');
+    }
+    
+    update() {
+        const player = this.level.player;
+        if (!player || !player.body) return;
+        
+        const velocity = player.body.velocity;
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+        const speedMS = (speed / this.level.pixelsPerMeter); // Convert to m/s
+        
+        this.velocityText.setText(`Velocity: ${speedMS.toFixed(1)} m/s`);
+        
+        // Calculate approximate force (F = ma)
+        const acceleration = Math.abs(velocity.x - (this.lastVelocityX || 0));
+        const force = acceleration * this.level.playerMass;
+        this.forceText.setText(`Force: ${force.toFixed(1)} N`);
+        this.lastVelocityX = velocity.x;
+        
+        // Calculate kinetic energy (KE = 0.5mv²)
+        const kineticEnergy = 0.5 * this.level.playerMass * speedMS * speedMS;
+        this.energyText.setText(`Energy: ${kineticEnergy.toFixed(1)} J`);
+    }
+    
+    setInstruction(text, color = '#FFFFFF') {
+        this.instructionText.setText(text);
+        this.instructionText.setColor(color);
+    }
+    
+    setPuzzleStatus(text) {
+        this.statusText.setText(text);
+        this.statusText.setVisible(text !== '');
+    }
+    
+    setMachineReadout(text) {
+        this.machineText.setText(text);
+        this.machineText.setVisible(text !== '');
+    }
+    
+    setCollisionReport(text) {
+        this.collisionText.setText(text);
+        this.collisionText.setVisible(text !== '');
+    }
+    
+    setDeathCount(deaths) {
+        this.deathText.setText(`Falls: ${deaths}`);
+    }
+    
+    setReplayCount(count) {
+        this.replayButton.setText(`🎬 Replays (${count})`);
+        this.replayButton.setVisible(count > 0);
+    }
+    
+    showWelcomeMessage() {
+        const welcome = this.add.text(this.gameWidth/2, 100, this.level.getLevelMessage('welcome'), {
+            fontSize: '20px',
+            color: '#4A90E2',
+            align: 'center',
+            fontStyle: 'bold'
+        });
+        welcome.setOrigin(0.5);
+        welcome.setDepth(30);
+        welcome.setAlpha(0);
+        
+        // Animate in
+        this.tweens.add({
+            targets: welcome,
+            alpha: 1,
+            y: 80,
+            duration: 1000,
+            ease: 'Back.easeOut'
+        });
+        
+        // Fade out after 4 seconds
+        this.time.delayedCall(4000, () => {
+            this.tweens.add({
+                targets: welcome,
+                alpha: 0,
+                y: 60,
+                duration: 800,
+                onComplete: () => welcome.destroy()
+            });
+        });
+    }
+    
+    showResultMessage(message, success, color) {
+        // Enhanced result message with professional styling
+        const messageBox = this.add.image(this.gameWidth/2, 180, 'professional_panel');
+        messageBox.setScale(1.2, 0.8);
+        messageBox.setDepth(40);
+        messageBox.setAlpha(0);
+        
+        const resultText = this.add.text(this.gameWidth/2, 180, message, {
+            fontSize: '16px',
+            color: color,
+            align: 'center',
+            fontStyle: 'bold',
+            wordWrap: { width: 400 }
+        });
+        resultText.setOrigin(0.5);
+        resultText.setDepth(41);
+        resultText.setAlpha(0);
+        
+        // Icon based on result
+        const icon = success ? '🎉' : '🔄';
+        const iconText = this.add.text(this.gameWidth/2 - 150, 160, icon, {
+            fontSize: '24px'
+        });
+        iconText.setDepth(41);
+        iconText.setAlpha(0);
+        
+        // Animate in
+        this.tweens.add({
+            targets: [messageBox, resultText, iconText],
+            alpha: 1,
+            duration: 400,
+            ease: 'Back.easeOut'
+        });
+        
+        if (success) {
+            // Success particles
+            this.add.particles(this.gameWidth/2, 180, 'enhanced_spark_particle', {
+                speed: { min: 50, max: 150 },
+                scale: { start: 0.3, end: 0.1 },
+                alpha: { start: 1, end: 0 },
+                lifespan: 1000,
+                quantity: 15,
+                emitZone: { type: 'edge', source: new Phaser.Geom.Circle(0, 0, 100), quantity: 15 }
+            });
+        }
+        
+        // Fade out after reading time
+        this.time.delayedCall(4000, () => {
+            this.tweens.add({
+                targets: [messageBox, resultText, iconText],
+                alpha: 0,
+                y: '+=20',
+                duration: 500,
+                ease: 'Power2.easeIn',
+                onComplete: () => {
+                    messageBox.destroy();
+                    resultText.destroy();
+                    iconText.destroy();
+                }
+            });
+        });
+    }
+    
+    showAchievement(title, description) {
+        const achievement = this.add.image(this.gameWidth - 20, 50, 'professional_panel');
+        achievement.setScale(0.8, 0.6);
+        achievement.setOrigin(1, 0);
+        achievement.setDepth(45);
+        achievement.setAlpha(0);
+        
+        const achievementTitle = this.add.text(this.gameWidth - 150, 40, `🏆 ${title}`, {
+            fontSize: '14px',
+            color: '#FFD700',
+            fontStyle: 'bold'
+        });
+        achievementTitle.setOrigin(0, 0);
+        achievementTitle.setDepth(46);
+        achievementTitle.setAlpha(0);
+        
+        const achievementDesc = this.add.text(this.gameWidth - 150, 58, description, {
+            fontSize: '11px',
+            color: '#FFFFFF',
+            wordWrap: { width: 180 }
+        });
+        achievementDesc.setOrigin(0, 0);
+        achievementDesc.setDepth(46);
+        achievementDesc.setAlpha(0);
+        
+        // Slide in from right
+        achievement.setX(this.gameWidth + 200);
+        achievementTitle.setX(this.gameWidth + 50);
+        achievementDesc.setX(this.gameWidth + 50);
+        
+        this.tweens.add({
+            targets: [achievement, achievementTitle, achievementDesc],
+            x: '-=220',
+            alpha: 1,
+            duration: 600,
+            ease: 'Back.easeOut'
+        });
+        
+        // Auto-hide after 4 seconds
+        this.time.delayedCall(4000, () => {
+            this.tweens.add({
+                targets: [achievement, achievementTitle, achievementDesc],
+                x: '+=220',
+                alpha: 0,
+                duration: 400,
+                ease: 'Power2.easeIn',
+                onComplete: () => {
+                    achievement.destroy();
+                    achievementTitle.destroy();
+                    achievementDesc.destroy();
+                }
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+window.HUDScene = HUDScene;
@@ -0,0 +1,76 @@
+/**
+ * Menu Scene - In-game level select listing every level in the manifest
+ * Shown after boot and whenever the adventure returns to the menu
+ */
+
+class MenuScene extends Phaser.Scene {
+    constructor(manager) {
+        super({ key: 'MenuScene' });
+        this.manager = manager;
+        
+        // Game dimensions
+        this.gameWidth = manager.gameWidth;
+        this.gameHeight = manager.gameHeight;
+    }
+    
+    create() {
+        this.cameras.main.setBackgroundColor('#0a0a0a');
+        
+        const title = this.add.text(this.gameWidth/2, 120, '🧪 Physics Adventure', {
+            fontSize: '40px',
+            color: '#4A90E2',
+            fontStyle: 'bold'
+        });
+        title.setOrigin(0.5);
+        
+        const subtitle = this.add.text(this.gameWidth/2, 170, 'Choose a level', {
+            fontSize: '18px',
+            color: '#AAAAAA'
+        });
+        subtitle.setOrigin(0.5);
+        
+        // One button per level, in manifest order; columns of six side by side, narrowed to fit the screen
+        const manifest = this.cache.json.get('levelManifest');
+        const rows = 6;
+        const columns = Math.ceil(manifest.levels.length / rows);
+        const columnWidth = Math.min(420, (this.gameWidth - 40) / columns);
+        manifest.levels.forEach((entry, index) => {
+            const level = this.cache.json.get(entry.key);
+            if (!level) return;
+            
+            const column = Math.floor(index / rows);
+            const x = this.gameWidth/2 + (column - (columns - 1) / 2) * columnWidth;
+            this.createLevelButton(x, this.gameHeight/2 - 80 + (index % rows) * 70, level, columnWidth - 36);
+        });
+        
+        console.log('📋 Level select ready');
+    }
+    
+    createLevelButton(x, y, level, width = 384) {
+        const button = this.add.image(x, y, 'professional_button');
+        button.setScale(width / button.width, 1.1);
+        button.setInteractive({ useHandCursor: true });
+        
+        const label = this.add.text(x, y, `${this.manager.getLevelLabel(level.key)}: ${level.name || level.key}`, {
+            fontSize: '16px',
+            color: '#FFFFFF',
+            fontStyle: 'bold'
+        });
+        label.setOrigin(0.5);
+        
+        button.on('pointerover', () => {
+            button.setTint(0xAADDFF);
+        });
+        
+        button.on('pointerout', () => {
+            button.clearTint();
+        });
+        
+        button.on('pointerdown', () => {
+            this.manager.advanceToLevel(level.key);
+        });
+    }
+}
+
+// Export for use in other modules
+window.MenuScene = MenuScene;
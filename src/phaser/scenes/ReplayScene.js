@@ -0,0 +1,316 @@
+/**
+ * Replay Scene - Scrub through recorded attempts and compare two of them
+ * Launched by LevelScene.openReplay with { recorder, textures }; the level stays paused underneath
+ */
+
+class ReplayScene extends Phaser.Scene {
+    constructor(manager) {
+        super({ key: 'ReplayScene' });
+        this.manager = manager;
+        
+        // Game dimensions
+        this.gameWidth = manager.gameWidth;
+        this.gameHeight = manager.gameHeight;
+        
+        // Timeline bar
+        this.timelineLeft = 200;
+        this.timelineRight = 1000;
+    }
+    
+    init(data) {
+        this.recorder = data.recorder;
+        this.ghostTextures = data.textures;
+        this.playhead = 0;
+        this.playing = true;
+        this.scrubbing = false;
+        this.markerLabels = [];
+        
+        // Attempt A is the latest; B (the comparison) starts on the one before it
+        const count = this.recorder.getAttempts().length;
+        this.tracks = [
+            { name: 'A', color: 0x00E5FF, textColor: '#00E5FF', attemptIndex: count - 1 },
+            { name: 'B', color: 0xFF4081, textColor: '#FF4081', attemptIndex: count > 1 ? count - 2 : null }
+        ];
+    }
+    
+    create() {
+        // Dim the paused level so the ghosts stand out
+        const overlay = this.add.rectangle(this.gameWidth/2, this.gameHeight/2, this.gameWidth, this.gameHeight, 0x000000);
+        overlay.setAlpha(0.35);
+        
+        const title = this.add.text(this.gameWidth/2, 30, '🎬 Attempt Replay', {
+            fontSize: '22px',
+            color: '#4A90E2',
+            fontStyle: 'bold'
+        });
+        title.setOrigin(0.5);
+        
+        // Ghost bodies and side-by-side readouts for each track
+        this.tracks.forEach((track, index) => {
+            track.platformGhost = this.add.image(0, 0, this.ghostTextures.platform);
+            track.platformGhost.setTint(track.color);
+            track.platformGhost.setAlpha(0.75);
+            
+            track.playerGhost = this.add.image(0, 0, 'protagonist_idle_0');
+            track.playerGhost.setTint(track.color);
+            track.playerGhost.setAlpha(0.75);
+            
+            track.readout = this.add.text(20 + index * 310, 60, '', {
+                fontSize: '13px',
+                color: track.textColor,
+                backgroundColor: '#000000',
+                padding: { x: 10, y: 8 },
+                lineSpacing: 4
+            });
+            track.readout.setAlpha(0.9);
+        });
+        
+        this.createControls();
+        this.selectionChanged();
+        
+        console.log('🎬 Replay viewer opened');
+    }
+    
+    createControls() {
+        const panelY = this.gameHeight - 70;
+        
+        const panel = this.add.rectangle(this.gameWidth/2, panelY, this.gameWidth, 140, 0x0F172A);
+        panel.setAlpha(0.9);
+        panel.setStrokeStyle(2, 0x4A90E2);
+        
+        // Timeline: click or drag anywhere along it to scrub
+        this.timelineY = this.gameHeight - 55;
+        this.timeline = this.add.graphics();
+        
+        const scrubZone = this.add.zone(this.gameWidth/2, this.timelineY, this.timelineRight - this.timelineLeft + 20, 60);
+        scrubZone.setInteractive({ useHandCursor: true });
+        scrubZone.on('pointerdown', (pointer) => {
+            this.scrubbing = true;
+            this.playing = false;
+            this.seekToPointer(pointer);
+        });
+        
+        this.input.on('pointermove', (pointer) => {
+            if (this.scrubbing) {
+                this.seekToPointer(pointer);
+            }
+        });
+        
+        this.input.on('pointerup', () => {
+            this.scrubbing = false;
+        });
+        
+        this.handle = this.add.circle(this.timelineLeft, this.timelineY, 9, 0xFFFFFF);
+        this.handle.setStrokeStyle(2, 0x4A90E2);
+        
+        this.timeText = this.add.text(this.timelineRight, this.gameHeight - 115, '', {
+            fontSize: '13px',
+            color: '#FFFFFF'
+        });
+        this.timeText.setOrigin(1, 0.5);
+        
+        // Play / pause
+        this.playButton = this.createButton(100, this.timelineY, '⏸ Pause', () => {
+            if (this.playhead >= this.getDuration()) {
+                this.playhead = 0;
+            }
+            this.playing = !this.playing;
+        });
+        
+        // Attempt selectors (tap to cycle)
+        this.tracks.forEach((track, index) => {
+            track.selector = this.createButton(this.timelineLeft + 60 + index * 170, this.gameHeight - 115, '', () => {
+                this.cycleAttempt(track);
+            });
+            track.selector.setColor(track.textColor);
+        });
+        
+        this.createButton(1100, this.timelineY, '✖ Close', () => this.closeReplay());
+        
+        // Keyboard: space plays, arrows step, escape closes
+        this.input.keyboard.on('keydown-SPACE', () => {
+            this.playing = !this.playing;
+        });
+        this.input.keyboard.on('keydown-LEFT', () => this.step(-0.1));
+        this.input.keyboard.on('keydown-RIGHT', () => this.step(0.1));
+        this.input.keyboard.on('keydown-ESC', () => this.closeReplay());
+    }
+    
+    createButton(x, y, label, onClick) {
+        const button = this.add.text(x, y, label, {
+            fontSize: '14px',
+            color: '#FFFFFF',
+            backgroundColor: '#1E3A8A',
+            padding: { x: 10, y: 6 },
+            fontStyle: 'bold'
+        });
+        button.setOrigin(0.5);
+        button.setInteractive({ useHandCursor: true });
+        button.on('pointerover', () => button.setBackgroundColor('#3B82F6'));
+        button.on('pointerout', () => button.setBackgroundColor('#1E3A8A'));
+        button.on('pointerdown', onClick);
+        return button;
+    }
+    
+    getAttempt(track) {
+        return track.attemptIndex === null ? null : this.recorder.getAttempts()[track.attemptIndex];
+    }
+    
+    getDuration() {
+        // Long enough for the longer of the two attempts
+        const durations = this.tracks
+            .map(track => this.getAttempt(track))
+            .filter(attempt => attempt)
+            .map(attempt => attempt.duration);
+        return Math.max(0.1, ...durations);
+    }
+    
+    cycleAttempt(track) {
+        const count = this.recorder.getAttempts().length;
+        
+        if (track.name === 'A') {
+            track.attemptIndex = (track.attemptIndex + 1) % count;
+        } else {
+            // The comparison track can also be switched off
+            track.attemptIndex = track.attemptIndex === null ? 0
+                : track.attemptIndex + 1 < count ? track.attemptIndex + 1 : null;
+        }
+        
+        this.selectionChanged();
+    }
+    
+    selectionChanged() {
+        this.tracks.forEach(track => {
+            const attempt = this.getAttempt(track);
+            track.selector.setText(attempt ? `${track.name}: Attempt #${attempt.id} ⟳` : `${track.name}: Off ⟳`);
+        });
+        
+        this.playhead = Math.min(this.playhead, this.getDuration());
+        this.drawTimeline();
+        this.showPlayhead();
+    }
+    
+    drawTimeline() {
+        const graphics = this.timeline;
+        const duration = this.getDuration();
+        graphics.clear();
+        
+        this.markerLabels.forEach(label => label.destroy());
+        this.markerLabels = [];
+        
+        graphics.lineStyle(4, 0x475569);
+        graphics.lineBetween(this.timelineLeft, this.timelineY, this.timelineRight, this.timelineY);
+        
+        // Time markers: track A above the bar, track B below it
+        this.tracks.forEach((track, index) => {
+            const attempt = this.getAttempt(track);
+            if (!attempt) return;
+            
+            const direction = index === 0 ? -1 : 1;
+            
+            attempt.markers.forEach((marker, markerIndex) => {
+                const x = this.timeToX(marker.t, duration);
+                
+                graphics.lineStyle(2, track.color);
+                graphics.lineBetween(x, this.timelineY, x, this.timelineY + direction * 12);
+                
+                // Alternate label heights so close markers stay readable
+                const labelY = this.timelineY + direction * (18 + (markerIndex % 2) * 12);
+                const label = this.add.text(x, labelY, marker.label, {
+                    fontSize: '10px',
+                    color: track.textColor
+                });
+                label.setOrigin(0.5);
+                this.markerLabels.push(label);
+            });
+        });
+        
+        this.children.bringToTop(this.handle);
+    }
+    
+    timeToX(t, duration) {
+        return this.timelineLeft + (t / duration) * (this.timelineRight - this.timelineLeft);
+    }
+    
+    seekToPointer(pointer) {
+        const fraction = Phaser.Math.Clamp((pointer.x - this.timelineLeft) / (this.timelineRight - this.timelineLeft), 0, 1);
+        this.playhead = fraction * this.getDuration();
+        this.showPlayhead();
+    }
+    
+    step(seconds) {
+        this.playing = false;
+        this.playhead = Phaser.Math.Clamp(this.playhead + seconds, 0, this.getDuration());
+        this.showPlayhead();
+    }
+    
+    update(time, delta) {
+        if (!this.playing) {
+            this.playButton.setText('▶ Play');
+            return;
+        }
+        
+        this.playButton.setText('⏸ Pause');
+        this.playhead += delta / 1000;
+        
+        if (this.playhead >= this.getDuration()) {
+            this.playhead = this.getDuration();
+            this.playing = false;
+        }
+        
+        this.showPlayhead();
+    }
+    
+    showPlayhead() {
+        const duration = this.getDuration();
+        
+        this.tracks.forEach(track => {
+            const attempt = this.getAttempt(track);
+            track.platformGhost.setVisible(!!attempt);
+            track.playerGhost.setVisible(!!attempt);
+            track.readout.setVisible(!!attempt);
+            if (!attempt) return;
+            
+            // Each attempt holds its last frame once it has ended
+            const t = Math.min(this.playhead, attempt.duration);
+            const bodies = this.recorder.getFrameAt(attempt, t).bodies;
+            
+            track.platformGhost.setPosition(bodies.platform.x, bodies.platform.y);
+            track.platformGhost.setScale(bodies.platform.scaleX, bodies.platform.scaleY);
+            track.platformGhost.setRotation(bodies.platform.rotation);
+            track.playerGhost.setPosition(bodies.player.x, bodies.player.y);
+            track.playerGhost.setTexture(bodies.player.texture);
+            track.playerGhost.setFlipX(bodies.player.flipX);
+            
+            track.readout.setText(this.formatReadout(track, attempt, t, bodies));
+        });
+        
+        this.handle.setPosition(this.timeToX(this.playhead, duration), this.timelineY);
+        this.timeText.setText(`t = ${this.playhead.toFixed(2)} s / ${duration.toFixed(2)} s`);
+    }
+    
+    formatReadout(track, attempt, t, bodies) {
+        const inputs = attempt.inputs;
+        const result = attempt.result;
+        const outcome = !result ? 'Result: –'
+            : result.success ? `Result: ✅ ${result.offset.toFixed(2)} m from target`
+            : `Result: ❌ ${result.offset.toFixed(2)} m off target`;
+        
+        return [
+            `${track.name} · Attempt #${attempt.id}`,
+            `Push: ${inputs.force} N for ${inputs.duration} s (J = ${(inputs.force * inputs.duration).toFixed(1)} N·s)`,
+            `t = ${t.toFixed(2)} s`,
+            `x = ${bodies.platform.position.toFixed(2)} m   v = ${bodies.platform.velocity.toFixed(2)} m/s`,
+            outcome
+        ].join('\n');
+    }
+    
+    closeReplay() {
+        this.scene.resume('LevelScene');
+        this.scene.stop();
+        console.log('🎬 Replay viewer closed');
+    }
+}
+
+// Export for use in other modules
+window.ReplayScene = ReplayScene;
@@ -0,0 +1,111 @@
+/**
+ * Results Scene - Level complete dialog shown over the finished level
+ * Started by PhaserGameManager.showResults with { levelData, stats, nextLevelKey }
+ */
+
+class ResultsScene extends Phaser.Scene {
+    constructor(manager) {
+        super({ key: 'ResultsScene' });
+        this.manager = manager;
+        
+        // Game dimensions
+        this.gameWidth = manager.gameWidth;
+        this.gameHeight = manager.gameHeight;
+    }
+    
+    init(data) {
+        this.levelData = data.levelData;
+        this.stats = data.stats;
+        this.nextLevelKey = data.nextLevelKey;
+    }
+    
+    create() {
+        // Dim the level behind the dialog
+        const overlay = this.add.rectangle(this.gameWidth/2, this.gameHeight/2, this.gameWidth, this.gameHeight, 0x000000);
+        overlay.setAlpha(0.4);
+        
+        // Professional completion dialog
+        const completionBg = this.add.image(this.gameWidth/2, this.gameHeight/2, 'professional_panel');
+        completionBg.setScale(2, 1.8);
+        completionBg.setDepth(60);
+        
+        const title = this.add.text(this.gameWidth/2, this.gameHeight/2 - 80, 
+            '🎉 Level Complete! 🎉', {
+            fontSize: '28px',
+            color: '#4CAF50',
+            fontStyle: 'bold'
+        });
+        title.setOrigin(0.5);
+        title.setDepth(61);
+        
+        const nextLevelKey = this.nextLevelKey;
+        const stats = this.stats;
+        const message = this.add.text(this.gameWidth/2, this.gameHeight/2 - 20,
+            'Excellent work, scientist!\n\n' +
+            'You successfully applied the principles of physics\n' +
+            `to solve the ${this.levelData.name}.\n\n` +
+            '📊 Physics concepts mastered:\n' +
+            this.levelData.concepts.map(concept => `• ${concept}`).join('\n') + '\n\n' +
+            `⭐ Score: ${stats.score}   💀 Falls: ${stats.deaths}   🔁 Attempts: ${stats.attempts}\n\n` +
+            (nextLevelKey
+                ? 'Dr. Vector has fled deeper into the cave...\nYour physics adventure continues!'
+                : 'Dr. Vector has nowhere left to run.\nThe laws of physics are safe again!'), {
+            fontSize: '14px',
+            color: '#FFFFFF',
+            align: 'center',
+            lineSpacing: 8
+        });
+        message.setOrigin(0.5);
+        message.setDepth(61);
+        
+        // Continue button
+        const continueBtn = this.add.image(this.gameWidth/2, this.gameHeight/2 + 120, 'professional_button');
+        continueBtn.setInteractive();
+        continueBtn.setDepth(61);
+        
+        const continueText = this.add.text(this.gameWidth/2, this.gameHeight/2 + 120, 
+            nextLevelKey ? 'Continue Adventure →' : 'Return to Menu', {
+            fontSize: '16px',
+            color: '#FFFFFF',
+            fontStyle: 'bold'
+        });
+        continueText.setOrigin(0.5);
+        continueText.setDepth(62);
+        
+        continueBtn.on('pointerover', () => {
+            continueBtn.setTint(0xAADDFF);
+        });
+        
+        continueBtn.on('pointerout', () => {
+            continueBtn.clearTint();
+        });
+        
+        continueBtn.on('pointerdown', () => {
+            // Continue to next level, or back to the menu after the final one
+            if (nextLevelKey) {
+                this.manager.advanceToLevel(nextLevelKey);
+            } else {
+                this.manager.finishAdventure();
+            }
+        });
+        
+        // Animate dialog entrance
+        [completionBg, title, message, continueBtn, continueText].forEach((element, index) => {
+            element.setAlpha(0);
+            element.setScale(element.scaleX * 0.8, element.scaleY * 0.8);
+            
+            this.tweens.add({
+                targets: element,
+                alpha: 1,
+                scaleX: element.scaleX / 0.8,
+                scaleY: element.scaleY / 0.8,
+                duration: 500,
+                delay: index * 100,
+                ease: 'Back.easeOut'
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+window.ResultsScene = ResultsScene;
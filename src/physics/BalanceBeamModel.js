@@ -0,0 +1,136 @@
+/**
+ * Balance Beam Model - A rigid beam turning about a pivot, tipped by the torques of the loads on it: τ = m·g·d
+ * d is each load's lever arm, its horizontal distance from the pivot. When the pivot sits a height h above the
+ * beam (like a kitchen balance) a tilted beam's centre of mass swings out to the low side of the pivot and pulls
+ * it back level, so a balanced load rests level and an unbalanced one settles at a tilt; with h = 0 (a seesaw)
+ * any net torque tips the beam all the way to its stops.
+ * Positions are measured along the beam from the pivot (positive to the right); angles are positive when the right end goes down.
+ */
+
+class BalanceBeamModel {
+    constructor({ length, beamMass = 10, pivotHeight = 0, maxTilt = 20, damping = 3, gravity = 9.8 }) {
+        this.length = length;
+        this.beamMass = beamMass;
+        this.pivotHeight = pivotHeight;
+        this.maxTilt = maxTilt * Math.PI / 180;
+        this.damping = damping;
+        this.gravity = gravity;
+        this.loads = [];
+        this.angle = 0;
+        this.angularVelocity = 0;
+    }
+    
+    /**
+     * Put a load { id, mass, position } on the beam and return it
+     */
+    addLoad({ id, mass, position }) {
+        const load = { id: id, mass: mass, position: position };
+        this.loads.push(load);
+        return load;
+    }
+    
+    removeLoad(id) {
+        this.loads = this.loads.filter(load => load.id !== id);
+    }
+    
+    getLoadAt(position) {
+        return this.loads.find(load => Math.abs(load.position - position) < 1e-6) || null;
+    }
+    
+    /**
+     * Lever arm of a point on the beam at this tilt: its horizontal distance from the pivot,
+     * d·cos θ - h·sin θ (m, positive to the right)
+     */
+    getLeverArm(position, angle = this.angle) {
+        return position * Math.cos(angle) - this.pivotHeight * Math.sin(angle);
+    }
+    
+    /**
+     * Torque of one load about the pivot, τ = m·g·d (N·m, positive tips the right end down)
+     */
+    getTorque(load, angle = this.angle) {
+        return load.mass * this.gravity * this.getLeverArm(load.position, angle);
+    }
+    
+    /**
+     * Sum of every load's torque and the beam's own weight hanging below the pivot
+     */
+    getNetTorque(angle = this.angle) {
+        const beam = this.getTorque({ mass: this.beamMass, position: 0 }, angle);
+        return this.loads.reduce((sum, load) => sum + this.getTorque(load, angle), beam);
+    }
+    
+    /**
+     * Torques tipping each side down, ignoring the beam's own weight (N·m)
+     */
+    getSideTorques(angle = this.angle) {
+        const sides = { left: 0, right: 0 };
+        this.loads.forEach(load => {
+            const torque = this.getTorque(load, angle);
+            if (torque < 0) {
+                sides.left -= torque;
+            } else {
+                sides.right += torque;
+            }
+        });
+        return sides;
+    }
+    
+    getTotalMass() {
+        return this.loads.reduce((sum, load) => sum + load.mass, this.beamMass);
+    }
+    
+    /**
+     * Centre of mass of the beam and its loads along the beam from the pivot (m)
+     */
+    getCentreOfMass() {
+        const moment = this.loads.reduce((sum, load) => sum + load.mass * load.position, 0);
+        return moment / this.getTotalMass();
+    }
+    
+    /**
+     * Rotational inertia about the pivot: a uniform beam ML²/12 plus every point mass m·r²
+     */
+    getMomentOfInertia() {
+        const h = this.pivotHeight;
+        const beam = this.beamMass * (this.length * this.length / 12 + h * h);
+        return this.loads.reduce((sum, load) => sum + load.mass * (load.position * load.position + h * h), beam);
+    }
+    
+    /**
+     * Whether the loads' torques cancel when the beam is level
+     */
+    isBalanced(tolerance = 1e-6) {
+        return Math.abs(this.getNetTorque(0)) <= tolerance;
+    }
+    
+    /**
+     * Advance by dt seconds: I·θ'' = Στ - b·θ'. The stops take the beam's motion when it hits them
+     */
+    step(dt, substeps = 4) {
+        const h = dt / substeps;
+        const inertia = this.getMomentOfInertia();
+        
+        for (let i = 0; i < substeps; i++) {
+            const angularAcceleration = this.getNetTorque() / inertia - this.damping * this.angularVelocity;
+            this.angularVelocity += angularAcceleration * h;
+            this.angle += this.angularVelocity * h;
+            
+            if (Math.abs(this.angle) >= this.maxTilt) {
+                this.angle = Math.sign(this.angle) * this.maxTilt;
+                this.angularVelocity = 0;
+            }
+        }
+    }
+    
+    /**
+     * Resting against the stop on one side ('left' or 'right')
+     */
+    isTipped(side) {
+        const sign = side === 'left' ? -1 : 1;
+        return this.angle * sign >= this.maxTilt - 1e-6;
+    }
+}
+
+// Export for use in other modules
+window.BalanceBeamModel = BalanceBeamModel;
@@ -0,0 +1,121 @@
+/**
+ * Circular Motion Model - Anything moving in a circle needs a net pull toward the centre, F = mv²/r = mω²r
+ * Nothing supplies that pull by itself: on a turntable it comes from friction and a tether, and in a
+ * vertical loop from the track's normal force together with whatever share of the weight points inward.
+ * When the forces available can't add up to mv²/r the rider leaves the circle along its tangent.
+ */
+
+class CircularMotionModel {
+    constructor({ gravity = 9.8 } = {}) {
+        this.gravity = gravity;
+    }
+    
+    /**
+     * Net force toward the centre needed to keep a mass on a circle: F = mv²/r
+     */
+    getCentripetalForce(mass, speed, radius) {
+        return mass * speed * speed / radius;
+    }
+    
+    getSpeed(angularVelocity, radius) {
+        return angularVelocity * radius;
+    }
+    
+    getAngularVelocity(rpm) {
+        return rpm * 2 * Math.PI / 60;
+    }
+    
+    getRpm(angularVelocity) {
+        return angularVelocity * 60 / (2 * Math.PI);
+    }
+    
+    /**
+     * Forces holding a rider on a turntable spinning at ω: static friction grips first, up to μmg,
+     * and a tether takes up the rest until it reaches its breaking tension
+     */
+    getTurntableForces(mass, radius, angularVelocity, mu, tetherStrength = 0) {
+        const required = mass * angularVelocity * angularVelocity * radius;
+        const friction = Math.min(required, mu * mass * this.gravity);
+        const tension = required - friction;
+        
+        return {
+            required: required,
+            friction: friction,
+            maxFriction: mu * mass * this.gravity,
+            tension: tension,
+            tetherStrength: tetherStrength,
+            holds: tension <= tetherStrength
+        };
+    }
+    
+    /**
+     * Fastest a turntable can spin before its rider slips: mω²r = μmg + T, so ω = √((μmg + T) / (m·r))
+     */
+    getMaxAngularVelocity(mass, radius, mu, tetherStrength = 0) {
+        return Math.sqrt((mu * mass * this.gravity + tetherStrength) / (mass * radius));
+    }
+    
+    /**
+     * Speed at an angle θ round a vertical loop (θ = 0 at the bottom) from the speed at the bottom,
+     * by energy: v² = v₀² - 2gr(1 - cos θ); null where the cart can't get that high
+     */
+    getLoopSpeed(bottomSpeed, radius, angle) {
+        const squared = bottomSpeed * bottomSpeed - 2 * this.gravity * radius * (1 - Math.cos(angle));
+        return squared >= 0 ? Math.sqrt(squared) : null;
+    }
+    
+    /**
+     * Forces on a cart inside a vertical loop: gravity's share toward the centre is -mg·cos θ
+     * (away at the bottom, inward at the top) and the track pushes N = mv²/r + mg·cos θ.
+     * The track can only push, so a negative N means the cart has come away from it
+     */
+    getLoopForces(mass, speed, radius, angle) {
+        const required = this.getCentripetalForce(mass, speed, radius);
+        const gravity = -mass * this.gravity * Math.cos(angle);
+        
+        return {
+            required: required,
+            gravity: gravity,
+            normal: required - gravity,
+            onTrack: required - gravity >= 0
+        };
+    }
+    
+    /**
+     * Slowest a cart can be at the top of a loop and stay on it, when gravity alone is the pull: v = √(gr)
+     */
+    getMinTopSpeed(radius) {
+        return Math.sqrt(this.gravity * radius);
+    }
+    
+    /**
+     * Slowest a cart can enter a loop at the bottom and get round: v = √(5gr)
+     */
+    getMinEntrySpeed(radius) {
+        return Math.sqrt(5 * this.gravity * radius);
+    }
+    
+    /**
+     * Advance a cart going round a loop by dt seconds. Only gravity's tangential share -g·sin θ changes
+     * its speed; the normal force just turns it. Returns the new { angle, speed, normal } (normal per kg)
+     */
+    stepLoop(state, dt, radius, substeps = 8) {
+        const h = dt / substeps;
+        let angle = state.angle;
+        let speed = state.speed;
+        
+        for (let i = 0; i < substeps; i++) {
+            speed -= this.gravity * Math.sin(angle) * h;
+            angle += speed / radius * h;
+        }
+        
+        return {
+            angle: angle,
+            speed: speed,
+            normal: speed * speed / radius + this.gravity * Math.cos(angle)
+        };
+    }
+}
+
+// Export for use in other modules
+window.CircularMotionModel = CircularMotionModel;
@@ -0,0 +1,154 @@
+/**
+ * Energy Track Model - A cart rolling along a track built from drops, flats and vertical loops
+ * The track is sampled every few centimetres; the cart moves along it with a = -g·sinθ - μ·N/m, where the
+ * normal force N/m = g·cosθ + v²/r also has to hold it on the inside of a loop. Work done by friction is kept
+ * as thermal energy so PE + KE + thermal stays equal to the energy the cart started with.
+ * x runs to the right and y up from the floor.
+ */
+
+class EnergyTrackModel {
+    constructor({ gravity = 9.8, friction = 0.02, spacing = 0.02 }) {
+        this.gravity = gravity;
+        this.friction = friction;
+        this.spacing = spacing;
+        this.points = [];
+    }
+    
+    get length() {
+        return this.points.length > 0 ? this.points[this.points.length - 1].s : 0;
+    }
+    
+    get end() {
+        return this.points[this.points.length - 1];
+    }
+    
+    /**
+     * Append a point; arc length is measured along the track
+     */
+    addPoint(x, y, friction) {
+        const last = this.end;
+        const s = last ? last.s + Math.hypot(x - last.x, y - last.y) : 0;
+        if (last && s === last.s) return;
+        
+        this.points.push({ x: x, y: y, s: s, friction: friction });
+    }
+    
+    /**
+     * Curved drop from a height down to the floor over a horizontal run, steepest at the top:
+     * y = h·(1 - sin(π/2·u)), which meets the floor level and tangent
+     */
+    addDrop(x, height, run) {
+        const steps = Math.ceil(Math.hypot(height, run) * 1.6 / this.spacing);
+        for (let i = 0; i <= steps; i++) {
+            const u = i / steps;
+            this.addPoint(x + u * run, height * (1 - Math.sin(Math.PI / 2 * u)), this.friction);
+        }
+        return this;
+    }
+    
+    addFlat(length, friction = this.friction) {
+        const start = this.end;
+        const steps = Math.ceil(length / this.spacing);
+        for (let i = 1; i <= steps; i++) {
+            this.addPoint(start.x + length * i / steps, start.y, friction);
+        }
+        return this;
+    }
+    
+    /**
+     * Full vertical loop ridden on the inside, entered and left at its bottom
+     */
+    addLoop(radius) {
+        const start = this.end;
+        const steps = Math.ceil(2 * Math.PI * radius / this.spacing);
+        for (let i = 1; i <= steps; i++) {
+            const angle = -Math.PI / 2 + 2 * Math.PI * i / steps;
+            this.addPoint(start.x + radius * Math.cos(angle), start.y + radius + radius * Math.sin(angle), this.friction);
+        }
+        return this;
+    }
+    
+    /**
+     * Tangent, normal (left of travel) and curvature toward the normal at every point
+     */
+    build() {
+        const points = this.points;
+        points.forEach((point, index) => {
+            const previous = points[Math.max(0, index - 1)];
+            const next = points[Math.min(points.length - 1, index + 1)];
+            const length = Math.hypot(next.x - previous.x, next.y - previous.y) || 1;
+            point.tangent = { x: (next.x - previous.x) / length, y: (next.y - previous.y) / length };
+            point.normal = { x: -point.tangent.y, y: point.tangent.x };
+        });
+        
+        points.forEach((point, index) => {
+            const previous = points[Math.max(0, index - 1)];
+            const next = points[Math.min(points.length - 1, index + 1)];
+            let turn = Math.atan2(next.tangent.y, next.tangent.x) - Math.atan2(previous.tangent.y, previous.tangent.x);
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+            point.curvature = next.s > previous.s ? turn / (next.s - previous.s) : 0;
+        });
+        
+        return this;
+    }
+    
+    /**
+     * Last track sample at or before an arc length (binary search)
+     */
+    getPoint(s) {
+        const points = this.points;
+        let low = 0;
+        let high = points.length - 1;
+        
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (points[middle].s <= s) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return points[low];
+    }
+    
+    /**
+     * Normal force per unit mass that keeps the cart on the track; negative means it falls off
+     */
+    getNormalAcceleration(point, velocity) {
+        return this.gravity * point.normal.y + velocity * velocity * point.curvature;
+    }
+    
+    /**
+     * Advance a { s, velocity, thermal } state by dt seconds (velocity along the track, forwards)
+     * Friction can bring the cart to rest but never push it backwards
+     */
+    step(state, dt, mass) {
+        const point = this.getPoint(state.s);
+        const normal = this.getNormalAcceleration(point, state.velocity);
+        
+        if (normal < 0) {
+            return Object.assign({}, state, { normal: normal, fell: true });
+        }
+        
+        const friction = point.friction * normal;
+        const gravity = -this.gravity * point.tangent.y;
+        let velocity = state.velocity + (gravity - Math.sign(state.velocity) * friction) * dt;
+        
+        // Friction alone can't reverse the cart: on level track it just stops
+        if (state.velocity > 0 && velocity < 0 && gravity >= 0) {
+            velocity = 0;
+        }
+        
+        const distance = (state.velocity + velocity) / 2 * dt;
+        return {
+            s: state.s + distance,
+            velocity: velocity,
+            thermal: state.thermal + friction * Math.abs(distance) * mass,
+            normal: normal,
+            fell: false
+        };
+    }
+}
+
+// Export for use in other modules
+window.EnergyTrackModel = EnergyTrackModel;
@@ -0,0 +1,115 @@
+/**
+ * Force Motion Model - One-dimensional motion of a body pushed by a constant force
+ * The force acts for a time interval, then rolling friction brings the body to rest.
+ */
+
+class ForceMotionModel {
+    constructor({ mass, rollingFriction = 0, gravity = 9.8 }) {
+        this.mass = mass;
+        this.rollingFriction = rollingFriction;
+        this.gravity = gravity;
+    }
+    
+    /**
+     * Rolling friction force f = μr·m·g (N)
+     */
+    getFrictionForce() {
+        return this.rollingFriction * this.mass * this.gravity;
+    }
+    
+    /**
+     * Acceleration while the force is applied: a = (F - f) / m
+     * A force smaller than friction does not move the body at all
+     */
+    getPushAcceleration(force) {
+        return Math.max(0, force - this.getFrictionForce()) / this.mass;
+    }
+    
+    /**
+     * Deceleration once the force stops: a = f / m = μr·g
+     */
+    getCoastDeceleration() {
+        return this.rollingFriction * this.gravity;
+    }
+    
+    /**
+     * Closed-form outcome of pushing with a force for a duration
+     */
+    predict(force, duration) {
+        const acceleration = this.getPushAcceleration(force);
+        const deceleration = this.getCoastDeceleration();
+        
+        // Push phase: v = at, d = ½at²
+        const peakVelocity = acceleration * duration;
+        const pushDistance = 0.5 * acceleration * duration * duration;
+        
+        // Coast phase: v² = 2ad until friction stops the body
+        const coastDistance = deceleration > 0 ? (peakVelocity * peakVelocity) / (2 * deceleration) : Infinity;
+        const coastTime = deceleration > 0 ? peakVelocity / deceleration : Infinity;
+        
+        return {
+            force: force,
+            duration: duration,
+            impulse: force * duration,
+            frictionForce: this.getFrictionForce(),
+            acceleration: acceleration,
+            deceleration: deceleration,
+            peakVelocity: peakVelocity,
+            pushDistance: pushDistance,
+            coastDistance: coastDistance,
+            stoppingDistance: pushDistance + coastDistance,
+            totalTime: duration + coastTime
+        };
+    }
+    
+    /**
+     * Force needed for a push of the given duration to stop after a distance (m)
+     * Solves d = ½at² + (at)² / (2μr·g) for a, then F = ma + f
+     */
+    getForceForDistance(distance, duration) {
+        const deceleration = this.getCoastDeceleration();
+        const pushTerm = 0.5 * duration * duration;
+        let acceleration;
+        
+        if (deceleration > 0) {
+            const coastTerm = (duration * duration) / (2 * deceleration);
+            acceleration = (-pushTerm + Math.sqrt(pushTerm * pushTerm + 4 * coastTerm * distance)) / (2 * coastTerm);
+        } else {
+            acceleration = distance / pushTerm;
+        }
+        
+        return this.mass * acceleration + this.getFrictionForce();
+    }
+    
+    /**
+     * Position (m) and velocity (m/s) a time t after the push starts
+     * Uses the same equations as predict(), so the simulation lands exactly where the math says
+     */
+    stateAt(force, duration, t) {
+        const acceleration = this.getPushAcceleration(force);
+        
+        if (t <= duration) {
+            return {
+                position: 0.5 * acceleration * t * t,
+                velocity: acceleration * t,
+                phase: 'push'
+            };
+        }
+        
+        const deceleration = this.getCoastDeceleration();
+        const peakVelocity = acceleration * duration;
+        const pushDistance = 0.5 * acceleration * duration * duration;
+        const stopTime = deceleration > 0 ? peakVelocity / deceleration : Infinity;
+        const coastTime = Math.min(t - duration, stopTime);
+        const velocity = peakVelocity - deceleration * coastTime;
+        
+        return {
+            position: pushDistance + peakVelocity * coastTime - 0.5 * deceleration * coastTime * coastTime,
+            velocity: velocity,
+            phase: velocity > 0 ? 'coast' : 'stopped'
+        };
+    }
+}
+
+// Export for use in other modules
+window.ForceMotionModel = ForceMotionModel;
@@ -0,0 +1,124 @@
+/**
+ * Incline Friction Model - A block sliding on a surface tilted by an angle, with static and kinetic friction
+ * At rest, static friction matches the pull down the slope up to μs·N; once the block slips, kinetic
+ * friction μk·N opposes the motion. Positive values point down the slope.
+ */
+
+class InclineFrictionModel {
+    constructor({ mass, angle = 0, staticFriction, kineticFriction, gravity = 9.8 }) {
+        this.mass = mass;
+        this.angle = angle;
+        this.staticFriction = staticFriction;
+        this.kineticFriction = kineticFriction;
+        this.gravity = gravity;
+    }
+    
+    get radians() {
+        return this.angle * Math.PI / 180;
+    }
+    
+    /**
+     * Gravity resolved along (mg·sinθ) and into (mg·cosθ) the surface
+     */
+    getGravityComponents() {
+        const weight = this.mass * this.gravity;
+        return {
+            weight: weight,
+            parallel: weight * Math.sin(this.radians),
+            perpendicular: weight * Math.cos(this.radians)
+        };
+    }
+    
+    /**
+     * Every force on the block for its current velocity
+     * The surface pushes back with N = mg·cosθ; friction is static while the block is at rest and holds
+     */
+    getForces(velocity) {
+        const components = this.getGravityComponents();
+        const normal = components.perpendicular;
+        const maxStatic = this.staticFriction * normal;
+        const kinetic = this.kineticFriction * normal;
+        
+        let friction;
+        let frictionType;
+        
+        if (Math.abs(velocity) < 1e-6) {
+            if (components.parallel <= maxStatic) {
+                // Static friction exactly cancels the pull, whatever it is up to μs·N
+                friction = -components.parallel;
+                frictionType = 'static';
+            } else {
+                // Breaks loose: kinetic friction from the first instant
+                friction = -kinetic;
+                frictionType = 'kinetic';
+            }
+        } else {
+            friction = -Math.sign(velocity) * kinetic;
+            frictionType = 'kinetic';
+        }
+        
+        const net = components.parallel + friction;
+        
+        return {
+            weight: components.weight,
+            parallel: components.parallel,
+            perpendicular: components.perpendicular,
+            normal: normal,
+            maxStaticFriction: maxStatic,
+            friction: friction,
+            frictionType: frictionType,
+            net: net,
+            acceleration: net / this.mass
+        };
+    }
+    
+    /**
+     * Whether the pull down the slope beats static friction: tanθ > μs
+     */
+    willSlip() {
+        const forces = this.getForces(0);
+        return forces.frictionType === 'kinetic';
+    }
+    
+    /**
+     * Advance a { position, velocity } state by dt seconds
+     * Kinetic friction can stop the block but never push it backwards
+     */
+    step(state, dt) {
+        const forces = this.getForces(state.velocity);
+        let velocity = state.velocity + forces.acceleration * dt;
+        
+        if (state.velocity !== 0 && Math.sign(velocity) !== Math.sign(state.velocity)) {
+            velocity = 0;
+        }
+        
+        return {
+            position: state.position + (state.velocity + velocity) / 2 * dt,
+            velocity: velocity,
+            forces: forces
+        };
+    }
+    
+    /**
+     * Speed at the bottom after sliding a length from rest: v² = 2·g·L·(sinθ - μk·cosθ)
+     * Zero when static friction holds the block
+     */
+    getSpeedAfter(length) {
+        if (!this.willSlip()) return 0;
+        
+        const acceleration = this.gravity * (Math.sin(this.radians) - this.kineticFriction * Math.cos(this.radians));
+        return Math.sqrt(Math.max(0, 2 * acceleration * length));
+    }
+    
+    /**
+     * Distance a block moving at a speed slides before kinetic friction stops it: d = v² / (2·μk·g)
+     * Only meaningful on level ground
+     */
+    getStoppingDistance(speed) {
+        const deceleration = this.kineticFriction * this.gravity;
+        return deceleration > 0 ? speed * speed / (2 * deceleration) : Infinity;
+    }
+}
+
+// Export for use in other modules
+window.InclineFrictionModel = InclineFrictionModel;
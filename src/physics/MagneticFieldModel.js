@@ -0,0 +1,142 @@
+/**
+ * Magnetic Field Model - Bar magnets and electromagnets as pairs of magnetic poles
+ * Each magnet is a north pole of strength +q and a south pole of -q at its two ends (q in A·m);
+ * a pole's field falls off with the square of distance, B = (μ0/4π)·q/r². Poles of magnets feel F = q·B,
+ * so like poles repel and unlike attract; unmagnetised iron is always pulled toward stronger field.
+ * An electromagnet's pole strength is q = N·I·A/L for N turns of area A over a coil of length L.
+ * Positions are in meters on screen axes (x right, y down); angles point from the south to the north pole.
+ */
+
+class MagneticFieldModel {
+    constructor({ minDistance = 0.15 } = {}) {
+        this.minDistance = minDistance; // keeps fields finite right at a pole
+        this.sources = [];
+    }
+    
+    /**
+     * μ0/4π in T·m/A
+     */
+    static get K() {
+        return 1e-7;
+    }
+    
+    /**
+     * Add a magnet { x, y, angle (°), length (m), strength (A·m), enabled } and return it
+     */
+    addMagnet(magnet) {
+        const source = Object.assign({ angle: 0, length: 0.5, strength: 0, enabled: true }, magnet);
+        this.sources.push(source);
+        return source;
+    }
+    
+    removeMagnet(source) {
+        this.sources = this.sources.filter(other => other !== source);
+    }
+    
+    /**
+     * Pole strength of a coil carrying a current: q = N·I·A/L (A·m)
+     */
+    static getCoilStrength(turns, current, area, length) {
+        return turns * current * area / length;
+    }
+    
+    /**
+     * Both poles of a magnet: north at the end its angle points to
+     */
+    getPoles(source) {
+        const radians = source.angle * Math.PI / 180;
+        const half = source.length / 2;
+        const dx = Math.cos(radians) * half;
+        const dy = Math.sin(radians) * half;
+        return [
+            { x: source.x + dx, y: source.y + dy, q: source.strength },
+            { x: source.x - dx, y: source.y - dy, q: -source.strength }
+        ];
+    }
+    
+    /**
+     * Field in tesla at a point, from every enabled magnet except the one given
+     */
+    getField(x, y, exclude = null) {
+        const field = { x: 0, y: 0 };
+        
+        this.sources.forEach(source => {
+            if (!source.enabled || source === exclude || source.strength === 0) return;
+            
+            this.getPoles(source).forEach(pole => {
+                const dx = x - pole.x;
+                const dy = y - pole.y;
+                const distance = Math.max(this.minDistance, Math.hypot(dx, dy));
+                const scale = MagneticFieldModel.K * pole.q / (distance * distance * distance);
+                field.x += scale * dx;
+                field.y += scale * dy;
+            });
+        });
+        
+        return field;
+    }
+    
+    /**
+     * Force in newtons on a magnet sitting in the field of all the others (F = q·B on each of its poles)
+     */
+    getMagnetForce(source) {
+        const force = { x: 0, y: 0 };
+        if (!source.enabled || source.strength === 0) return force;
+        
+        this.getPoles(source).forEach(pole => {
+            const field = this.getField(pole.x, pole.y, source);
+            force.x += pole.q * field.x;
+            force.y += pole.q * field.y;
+        });
+        return force;
+    }
+    
+    /**
+     * Force in newtons on a piece of soft iron: its induced magnetism pulls it up the gradient of B²,
+     * F = (χ·V / 2μ0)·∇(B²), so it is attracted by north and south poles alike
+     */
+    getInducedForce(x, y, volume, susceptibility = 3, exclude = null) {
+        const step = 0.01;
+        const fieldSquared = (px, py) => {
+            const field = this.getField(px, py, exclude);
+            return field.x * field.x + field.y * field.y;
+        };
+        const scale = susceptibility * volume / (2 * 4 * Math.PI * MagneticFieldModel.K);
+        
+        return {
+            x: scale * (fieldSquared(x + step, y) - fieldSquared(x - step, y)) / (2 * step),
+            y: scale * (fieldSquared(x, y + step) - fieldSquared(x, y - step)) / (2 * step)
+        };
+    }
+    
+    /**
+     * Follow the field from a point, returning the points of one field line (m)
+     * It stops when it reaches a south pole, leaves the bounds or runs out of steps
+     */
+    traceFieldLine(start, { step = 0.05, maxSteps = 200, bounds = null } = {}) {
+        const points = [{ x: start.x, y: start.y }];
+        let x = start.x;
+        let y = start.y;
+        
+        for (let i = 0; i < maxSteps; i++) {
+            const field = this.getField(x, y);
+            const strength = Math.hypot(field.x, field.y);
+            if (strength === 0) break;
+            
+            x += field.x / strength * step;
+            y += field.y / strength * step;
+            points.push({ x: x, y: y });
+            
+            if (bounds && (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom)) break;
+            
+            const atSouthPole = this.sources.some(source => source.enabled && source.strength !== 0 &&
+                this.getPoles(source).some(pole => pole.q < 0 && Math.hypot(x - pole.x, y - pole.y) < step * 1.5));
+            if (atSouthPole) break;
+        }
+        
+        return points;
+    }
+}
+
+// Export for use in other modules
+window.MagneticFieldModel = MagneticFieldModel;
@@ -0,0 +1,188 @@
+/**
+ * Orbital Model - Planets, moons and probes pulling on each other by Newton's law of gravitation, F = G·m1·m2 / r²
+ * Every body attracts every other one (n-body); fixed bodies stay put. G is a setting rather than 6.67e-11
+ * so that a planet of a few thousand kilograms can hold a probe in an orbit that fits on screen.
+ * Orbits are described by their elements around one central body: eccentricity from the eccentricity vector,
+ * semi-major axis from the energy per kilogram v²/2 - GM/r, and period 2π·√(a³/GM).
+ * Positions are on screen axes (x right, y down).
+ */
+
+class OrbitalModel {
+    constructor(physicsUtils, { G = 6.674e-11 } = {}) {
+        this.physicsUtils = physicsUtils;
+        this.G = G;
+        this.bodies = [];
+    }
+    
+    /**
+     * Add a body { id, x, y, vx, vy, mass, radius, fixed } and return it
+     * Bodies keep position and velocity vectors so PhysicsUtils can measure them
+     */
+    addBody({ id, x, y, vx = 0, vy = 0, mass, radius = 0, fixed = false }) {
+        const body = {
+            id: id,
+            position: { x: x, y: y },
+            velocity: { x: vx, y: vy },
+            mass: mass,
+            radius: radius,
+            fixed: fixed
+        };
+        this.bodies.push(body);
+        return body;
+    }
+    
+    removeBody(id) {
+        this.bodies = this.bodies.filter(body => body.id !== id);
+    }
+    
+    getBody(id) {
+        return this.bodies.find(body => body.id === id) || null;
+    }
+    
+    /**
+     * Speed for a circular orbit at distance r from a central mass: v = √(GM/r)
+     */
+    getCircularSpeed(central, distance) {
+        return Math.sqrt(this.G * central.mass / distance);
+    }
+    
+    /**
+     * Acceleration in m/s² of a body from everything else: each pull is F/m toward the other body
+     */
+    getAcceleration(body) {
+        const acceleration = { x: 0, y: 0 };
+        
+        this.bodies.forEach(other => {
+            if (other === body) return;
+            
+            const distance = this.physicsUtils.calculateDistance(body, other);
+            if (distance === 0) return;
+            
+            const force = this.physicsUtils.calculateGravitationalForce(body, other, this.G);
+            acceleration.x += force / body.mass * (other.position.x - body.position.x) / distance;
+            acceleration.y += force / body.mass * (other.position.y - body.position.y) / distance;
+        });
+        
+        return acceleration;
+    }
+    
+    /**
+     * Advance every body by dt seconds (leapfrog: half kick, drift, half kick), which keeps orbits from
+     * slowly spiralling in or out the way plain Euler steps do.
+     * Returns the pairs of bodies that are touching afterwards
+     */
+    step(dt) {
+        const moving = this.bodies.filter(body => !body.fixed);
+        
+        const kick = () => {
+            const accelerations = moving.map(body => this.getAcceleration(body));
+            moving.forEach((body, index) => {
+                body.velocity.x += accelerations[index].x * dt / 2;
+                body.velocity.y += accelerations[index].y * dt / 2;
+            });
+        };
+        
+        kick();
+        moving.forEach(body => {
+            body.position.x += body.velocity.x * dt;
+            body.position.y += body.velocity.y * dt;
+        });
+        kick();
+        
+        return this.getCollisions();
+    }
+    
+    getCollisions() {
+        const collisions = [];
+        for (let i = 0; i < this.bodies.length; i++) {
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const a = this.bodies[i];
+                const b = this.bodies[j];
+                if (this.physicsUtils.calculateDistance(a, b) < a.radius + b.radius) {
+                    collisions.push([a, b]);
+                }
+            }
+        }
+        return collisions;
+    }
+    
+    /**
+     * A copy of the model whose bodies can be stepped without moving these ones
+     */
+    clone() {
+        const copy = new OrbitalModel(this.physicsUtils, { G: this.G });
+        this.bodies.forEach(body => copy.addBody({
+            id: body.id,
+            x: body.position.x,
+            y: body.position.y,
+            vx: body.velocity.x,
+            vy: body.velocity.y,
+            mass: body.mass,
+            radius: body.radius,
+            fixed: body.fixed
+        }));
+        return copy;
+    }
+    
+    /**
+     * Where one body will go over the next few seconds with everything else moving too;
+     * stops early at a collision or when a stop test on the position returns true
+     */
+    predict(id, { time = 10, dt = 1 / 60, every = 3, stop = null } = {}) {
+        const copy = this.clone();
+        const body = copy.getBody(id);
+        const points = [{ x: body.position.x, y: body.position.y }];
+        let collided = null;
+        
+        for (let i = 1; i * dt <= time; i++) {
+            const collision = copy.step(dt).find(pair => pair.includes(body));
+            if (i % every === 0 || collision) {
+                points.push({ x: body.position.x, y: body.position.y });
+            }
+            if (collision) {
+                collided = collision.find(other => other !== body);
+                break;
+            }
+            if (stop && stop(body.position)) break;
+        }
+        
+        return { points: points, collided: collided };
+    }
+    
+    /**
+     * Orbital elements of a body around a central one, treating the pair on its own
+     * A body with zero or positive energy per kilogram is not bound and has no period
+     */
+    getOrbit(body, central) {
+        const mu = this.G * central.mass;
+        const rx = body.position.x - central.position.x;
+        const ry = body.position.y - central.position.y;
+        const vx = body.velocity.x - central.velocity.x;
+        const vy = body.velocity.y - central.velocity.y;
+        const r = Math.hypot(rx, ry);
+        const speedSquared = vx * vx + vy * vy;
+        
+        // Eccentricity vector e = ((v² - μ/r)·r - (r·v)·v) / μ
+        const radialSpeed = rx * vx + ry * vy;
+        const ex = ((speedSquared - mu / r) * rx - radialSpeed * vx) / mu;
+        const ey = ((speedSquared - mu / r) * ry - radialSpeed * vy) / mu;
+        const eccentricity = Math.hypot(ex, ey);
+        
+        const energy = speedSquared / 2 - mu / r;
+        const bound = energy < 0;
+        const semiMajorAxis = bound ? -mu / (2 * energy) : Infinity;
+        
+        return {
+            bound: bound,
+            eccentricity: eccentricity,
+            semiMajorAxis: semiMajorAxis,
+            periapsis: bound ? semiMajorAxis * (1 - eccentricity) : null,
+            apoapsis: bound ? semiMajorAxis * (1 + eccentricity) : Infinity,
+            period: bound ? 2 * Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / mu) : Infinity,
+            energy: energy
+        };
+    }
+}
+
+// Export for use in other modules
+window.OrbitalModel = OrbitalModel;
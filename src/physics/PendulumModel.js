@@ -0,0 +1,101 @@
+/**
+ * Pendulum Model - A simple pendulum swinging under gravity: θ'' = -(g/L)·sin θ - b·θ'
+ * Measures its own period by timing its passes through the bottom (two per period), so the
+ * measured value can be shown next to the small-angle formula T = 2π√(L/g).
+ */
+
+class PendulumModel {
+    constructor({ length, amplitude = 30, gravity = 9.8, damping = 0 }) {
+        this.length = length;
+        this.gravity = gravity;
+        this.damping = damping;
+        this.release(amplitude);
+    }
+    
+    /**
+     * Hold the bob at an angle (°) from vertical and let go from rest
+     */
+    release(amplitude) {
+        this.amplitude = amplitude * Math.PI / 180;
+        this.angle = this.amplitude;
+        this.angularVelocity = 0;
+        this.time = 0;
+        this.lastCrossing = null;
+        this.measuredPeriod = null;
+    }
+    
+    setLength(length) {
+        this.length = length;
+        this.lastCrossing = null;
+        this.measuredPeriod = null;
+    }
+    
+    /**
+     * Advance by dt seconds; semi-implicit Euler in small steps keeps the swing from gaining energy
+     */
+    step(dt, substeps = 4) {
+        const h = dt / substeps;
+        
+        for (let i = 0; i < substeps; i++) {
+            const previousAngle = this.angle;
+            const angularAcceleration = -(this.gravity / this.length) * Math.sin(this.angle) - this.damping * this.angularVelocity;
+            this.angularVelocity += angularAcceleration * h;
+            this.angle += this.angularVelocity * h;
+            this.time += h;
+            
+            // Through the bottom: half a period since the last pass, in the other direction
+            if (previousAngle !== 0 && Math.sign(this.angle) !== Math.sign(previousAngle)) {
+                const crossing = this.time - h * this.angle / (this.angle - previousAngle);
+                if (this.lastCrossing !== null) {
+                    this.measuredPeriod = 2 * (crossing - this.lastCrossing);
+                }
+                this.lastCrossing = crossing;
+            }
+        }
+    }
+    
+    /**
+     * T = 2π√(L/g), exact only for small swings; a pendulum without gravity never swings back
+     */
+    getSmallAnglePeriod() {
+        return this.gravity > 0 ? 2 * Math.PI * Math.sqrt(this.length / this.gravity) : Infinity;
+    }
+    
+    /**
+     * Length that gives a period: L = g·(T / 2π)²
+     */
+    getLengthForPeriod(period) {
+        return this.gravity * Math.pow(period / (2 * Math.PI), 2);
+    }
+    
+    /**
+     * Speed of the bob (m/s): v = L·ω
+     */
+    getBobSpeed() {
+        return Math.abs(this.length * this.angularVelocity);
+    }
+    
+    /**
+     * Bob position relative to the pivot (m, y pointing down)
+     */
+    getBobOffset() {
+        return {
+            x: Math.sin(this.angle) * this.length,
+            y: Math.cos(this.angle) * this.length
+        };
+    }
+    
+    /**
+     * Bob velocity (m/s, y pointing down), tangent to the swing
+     */
+    getBobVelocity() {
+        const speed = this.length * this.angularVelocity;
+        return {
+            x: Math.cos(this.angle) * speed,
+            y: -Math.sin(this.angle) * speed
+        };
+    }
+}
+
+// Export for use in other modules
+window.PendulumModel = PendulumModel;
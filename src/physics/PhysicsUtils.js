@@ -15,6 +15,22 @@ class PhysicsUtils {
         };
         
         this.currentEnvironment = 'earth';
+        
+        // Surface materials: friction is the kinetic coefficient μk, staticFriction the static μs (always ≥ μk)
+        // density is Matter.js's per-area value; massDensity is the real material's kg/m³ used for buoyancy
+        this.materials = {
+            default: { restitution: 0.3, friction: 0.4, staticFriction: 0.5, density: 0.001, massDensity: 600, name: 'Wood' },
+            bouncy: { restitution: 0.9, friction: 0.1, staticFriction: 0.15, density: 0.0005, massDensity: 1100, name: 'Bouncy' },
+            heavy: { restitution: 0.1, friction: 0.8, staticFriction: 1.0, density: 0.005, massDensity: 2600, name: 'Rough Stone' },
+            slippery: { restitution: 0.4, friction: 0.05, staticFriction: 0.1, density: 0.001, massDensity: 917, name: 'Ice' },
+            magnetic: { restitution: 0.2, friction: 0.6, staticFriction: 0.7, density: 0.002, massDensity: 7870, name: 'Iron' }
+        };
+        
+        // Fluids for level fluid volumes: density in kg/m³, dragCoefficient for the quadratic drag ½ρCAv²
+        this.fluids = {
+            water: { density: 1000, dragCoefficient: 1.2, name: 'Water' },
+            lava: { density: 3100, dragCoefficient: 6, name: 'Lava', lethal: true }
+        };
     }
     
     /**
@@ -100,7 +116,8 @@ class PhysicsUtils {
     }
     
     /**
-     * Calculate gravitational force between two bodies
+     * Calculate gravitational force between two bodies, F = G·m1·m2 / r²
+     * G defaults to the real constant; game-scale worlds such as OrbitalModel pass their own
      */
     calculateGravitationalForce(body1, body2, G = 6.67e-11) {
         const distance = this.calculateDistance(body1, body2);
@@ -116,15 +133,7 @@ class PhysicsUtils {
      * Apply realistic physics properties to a Matter.js body
      */
     applyRealisticProperties(body, material = 'default') {
-        const materials = {
-            default: { restitution: 0.3, friction: 0.4, density: 0.001 },
-            bouncy: { restitution: 0.9, friction: 0.1, density: 0.0005 },
-            heavy: { restitution: 0.1, friction: 0.8, density: 0.005 },
-            slippery: { restitution: 0.4, friction: 0.05, density: 0.001 },
-            magnetic: { restitution: 0.2, friction: 0.6, density: 0.002 }
-        };
-        
-        const props = materials[material] || materials.default;
+        const props = this.getMaterial(material);
         
         Matter.Body.set(body, {
             restitution: props.restitution,
@@ -135,6 +144,34 @@ class PhysicsUtils {
         return body;
     }
     
+    /**
+     * Material properties by name, falling back to the default material
+     */
+    getMaterial(material) {
+        return this.materials[material] || this.materials.default;
+    }
+    
+    /**
+     * Fluid properties by name, falling back to water
+     */
+    getFluid(fluid) {
+        return this.fluids[fluid] || this.fluids.water;
+    }
+    
+    /**
+     * Archimedes: the upward force equals the weight of the fluid displaced, F = ρ·V·g (N); g defaults to the environment's
+     */
+    calculateBuoyantForce(fluidDensity, displacedVolume, gravity = this.getCurrentGravity()) {
+        return fluidDensity * displacedVolume * gravity;
+    }
+    
+    /**
+     * Quadratic drag opposing motion through a fluid, F = ½·ρ·C·A·v² (N)
+     */
+    calculateDragForce(fluidDensity, speed, area, dragCoefficient = 1) {
+        return 0.5 * fluidDensity * dragCoefficient * area * speed * speed;
+    }
+    
     /**
      * Create physics data visualization
      */
@@ -219,9 +256,11 @@ class PhysicsUtils {
      * Check if two bodies are colliding with educational feedback
      */
     checkCollisionEducational(bodyA, bodyB) {
-        const collision = Matter.SAT.collides(bodyA, bodyB);
+        // Matter 0.18+ replaced SAT.collides with Collision.collides, which returns null on a miss
+        const collides = Matter.Collision ? Matter.Collision.collides : Matter.SAT.collides;
+        const collision = collides(bodyA, bodyB);
         
-        if (collision.collided) {
+        if (collision && collision.collided) {
             // Calculate collision data for educational purposes
             const relativeVelocity = {
                 x: bodyA.velocity.x - bodyB.velocity.x,
@@ -236,11 +275,16 @@ class PhysicsUtils {
             return {
                 collided: true,
                 impactSpeed: impactSpeed,
+                normal: collision.normal,
                 bodyA: bodyA,
                 bodyB: bodyB,
                 momentumBefore: {
                     a: this.calculateMomentum(bodyA),
                     b: this.calculateMomentum(bodyB)
+                },
+                kineticEnergyBefore: {
+                    a: this.calculateKineticEnergy(bodyA),
+                    b: this.calculateKineticEnergy(bodyB)
                 }
             };
         }
@@ -248,6 +292,59 @@ class PhysicsUtils {
         return { collided: false };
     }
     
+    /**
+     * Velocities, momentum and kinetic energy after a collision found by checkCollisionEducational
+     * Restitution e = 1 is elastic (kinetic energy kept), e = 0 perfectly inelastic (the bodies move off together).
+     * Only velocity along the collision normal changes, and total momentum is the same either way
+     */
+    resolveCollision(collision, restitution = 1) {
+        const bodyA = collision.bodyA;
+        const bodyB = collision.bodyB;
+        const massA = bodyA.mass || 1;
+        const massB = bodyB.mass || 1;
+        const normal = collision.normal;
+        
+        // Speeds along the normal before impact
+        const speedA = bodyA.velocity.x * normal.x + bodyA.velocity.y * normal.y;
+        const speedB = bodyB.velocity.x * normal.x + bodyB.velocity.y * normal.y;
+        const momentum = massA * speedA + massB * speedB;
+        
+        const afterA = (momentum + massB * restitution * (speedB - speedA)) / (massA + massB);
+        const afterB = (momentum + massA * restitution * (speedA - speedB)) / (massA + massB);
+        
+        const velocityAfter = {
+            a: {
+                x: bodyA.velocity.x + (afterA - speedA) * normal.x,
+                y: bodyA.velocity.y + (afterA - speedA) * normal.y
+            },
+            b: {
+                x: bodyB.velocity.x + (afterB - speedB) * normal.x,
+                y: bodyB.velocity.y + (afterB - speedB) * normal.y
+            }
+        };
+        
+        const after = {
+            a: { mass: massA, velocity: velocityAfter.a },
+            b: { mass: massB, velocity: velocityAfter.b }
+        };
+        const kineticEnergyAfter = {
+            a: this.calculateKineticEnergy(after.a),
+            b: this.calculateKineticEnergy(after.b)
+        };
+        const kineticEnergyBefore = collision.kineticEnergyBefore;
+        
+        return {
+            restitution: restitution,
+            velocityAfter: velocityAfter,
+            momentumAfter: {
+                a: this.calculateMomentum(after.a),
+                b: this.calculateMomentum(after.b)
+            },
+            kineticEnergyAfter: kineticEnergyAfter,
+            energyLost: (kineticEnergyBefore.a + kineticEnergyBefore.b) - (kineticEnergyAfter.a + kineticEnergyAfter.b)
+        };
+    }
+    
     /**
      * Apply force with educational visualization
      */
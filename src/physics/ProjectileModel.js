@@ -0,0 +1,105 @@
+/**
+ * Projectile Model - Flight of a launched ball under gravity, with optional quadratic air drag
+ * Drag is a = -k·|v|·v with k = ½·ρ·Cd·A / m (1/m); k = 0 gives the ideal parabola.
+ * y points up from the launch point.
+ */
+
+class ProjectileModel {
+    constructor({ gravity = 9.8, drag = 0 }) {
+        this.gravity = gravity;
+        this.drag = drag;
+    }
+    
+    /**
+     * Closed-form flight with no drag, back down to the launch height
+     * Without gravity the ball never comes down, so range, peak and flight time are Infinity
+     */
+    getIdealFlight(speed, angle) {
+        const radians = angle * Math.PI / 180;
+        const vx = speed * Math.cos(radians);
+        const vy = speed * Math.sin(radians);
+        
+        if (this.gravity <= 0) {
+            return { range: Infinity, peakHeight: vy > 0 ? Infinity : 0, timeOfFlight: Infinity };
+        }
+        
+        // R = v²·sin(2θ) / g, H = v²·sin²θ / (2g), T = 2v·sinθ / g
+        const timeOfFlight = 2 * vy / this.gravity;
+        return {
+            range: vx * timeOfFlight,
+            peakHeight: vy * vy / (2 * this.gravity),
+            timeOfFlight: timeOfFlight
+        };
+    }
+    
+    /**
+     * Initial { x, y, vx, vy } state for a launch
+     */
+    launch(speed, angle) {
+        const radians = angle * Math.PI / 180;
+        return {
+            x: 0,
+            y: 0,
+            vx: speed * Math.cos(radians),
+            vy: speed * Math.sin(radians),
+            time: 0
+        };
+    }
+    
+    /**
+     * Advance a state by dt seconds (semi-implicit Euler)
+     */
+    step(state, dt) {
+        const speed = Math.hypot(state.vx, state.vy);
+        const ax = -this.drag * speed * state.vx;
+        const ay = -this.drag * speed * state.vy - this.gravity;
+        
+        const vx = state.vx + ax * dt;
+        const vy = state.vy + ay * dt;
+        
+        return {
+            x: state.x + vx * dt,
+            y: state.y + vy * dt,
+            vx: vx,
+            vy: vy,
+            time: state.time + dt
+        };
+    }
+    
+    /**
+     * Simulate a whole flight until it falls back to the launch height (or maxTime runs out)
+     * Returns the sampled path with the range and peak height it reached
+     */
+    simulateFlight(speed, angle, { dt = 1 / 240, maxTime = 20 } = {}) {
+        let state = this.launch(speed, angle);
+        const points = [{ x: 0, y: 0 }];
+        let peakHeight = 0;
+        let range = Infinity;
+        
+        while (state.time < maxTime) {
+            const next = this.step(state, dt);
+            peakHeight = Math.max(peakHeight, next.y);
+            
+            // Crossed back down through the launch height: interpolate the landing point
+            if (next.y < 0 && next.vy < 0) {
+                const fraction = state.y / (state.y - next.y);
+                range = state.x + (next.x - state.x) * fraction;
+                points.push({ x: range, y: 0 });
+                break;
+            }
+            
+            state = next;
+            points.push({ x: state.x, y: state.y });
+        }
+        
+        return {
+            points: points,
+            range: range,
+            peakHeight: peakHeight,
+            timeOfFlight: state.time
+        };
+    }
+}
+
+// Export for use in other modules
+window.ProjectileModel = ProjectileModel;
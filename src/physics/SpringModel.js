@@ -0,0 +1,95 @@
+/**
+ * Spring Model - A spring obeying Hooke's law, F = -k·x, where x is how far it is stretched or squeezed from its rest length
+ * Squeezed by x it stores ½kx², which launches a mass m at v = x·√(k/m) up to h = ½kx² / (mg).
+ * A mass hanging from it bobs about the stretch where the spring holds its weight, x = mg/k,
+ * with period 2π√(m/k); damping b settles it there like a spring balance.
+ * x is positive when stretched and negative when squeezed.
+ */
+
+class SpringModel {
+    constructor({ k, restLength = 0.5, damping = 4 }) {
+        this.k = k;
+        this.restLength = restLength;
+        this.damping = damping;
+        this.extension = 0;
+        this.velocity = 0;
+        this.mass = 0;
+    }
+    
+    /**
+     * Restoring force in N for a stretch (positive) or squeeze (negative) of x m
+     */
+    getForce(extension) {
+        return -this.k * extension;
+    }
+    
+    getStoredEnergy(extension) {
+        return 0.5 * this.k * extension * extension;
+    }
+    
+    getLength(extension = this.extension) {
+        return this.restLength + extension;
+    }
+    
+    /**
+     * Speed a mass leaves the spring at once all the stored energy is kinetic: ½kx² = ½mv²
+     */
+    getLaunchSpeed(compression, mass) {
+        return compression * Math.sqrt(this.k / mass);
+    }
+    
+    /**
+     * Height a launch lifts a mass: ½kx² = mgh
+     */
+    getLaunchHeight(compression, mass, gravity) {
+        return this.getStoredEnergy(compression) / (mass * gravity);
+    }
+    
+    /**
+     * Squeeze needed to lift a mass by h: x = √(2mgh/k)
+     */
+    getCompressionForHeight(height, mass, gravity) {
+        return Math.sqrt(2 * mass * gravity * height / this.k);
+    }
+    
+    /**
+     * Stretch at which a hanging mass is held still: kx = mg
+     */
+    getStaticExtension(mass, gravity) {
+        return mass * gravity / this.k;
+    }
+    
+    getPeriod(mass) {
+        return 2 * Math.PI * Math.sqrt(mass / this.k);
+    }
+    
+    /**
+     * Hang a mass (kg) from the spring, or 0 to take it off; it starts from wherever the spring is
+     */
+    hang(mass) {
+        this.mass = mass;
+    }
+    
+    /**
+     * Advance the hanging mass by dt seconds: m·x'' = mg - kx - b·m·x'
+     * A spring with nothing on it springs straight back to its rest length
+     */
+    step(dt, gravity, substeps = 8) {
+        if (this.mass <= 0) {
+            this.extension = 0;
+            this.velocity = 0;
+            return this.extension;
+        }
+        
+        const h = dt / substeps;
+        for (let i = 0; i < substeps; i++) {
+            const acceleration = gravity - this.k * this.extension / this.mass - this.damping * this.velocity;
+            this.velocity += acceleration * h;
+            this.extension += this.velocity * h;
+        }
+        return this.extension;
+    }
+}
+
+// Export for use in other modules
+window.SpringModel = SpringModel;
@@ -0,0 +1,231 @@
+/**
+ * Truss Model - Pin-jointed members (planks, ropes...) carrying loads to fixed anchors as pure tension or compression
+ * Each member is a stiff spring along its length, k = EA/L. Summing them into one stiffness matrix and solving
+ * K·u = F gives how far every joint moves, and from that the force in each member: positive pulls its ends
+ * together (tension), negative pushes them apart (compression). Ropes go slack rather than push.
+ * A structure with a joint that can move without stretching anything is a mechanism and can't hold a load at all.
+ * Positions are on screen axes (x right, y down).
+ */
+
+class TrussModel {
+    constructor({ gravity = 9.8 } = {}) {
+        this.gravity = gravity;
+        this.joints = [];
+        this.members = [];
+        this.looseJoint = null;
+    }
+    
+    /**
+     * Add a joint { id, x, y, fixed } and return it
+     */
+    addJoint({ id, x, y, fixed = false }) {
+        const joint = { id: id, x: x, y: y, fixed: fixed };
+        this.joints.push(joint);
+        return joint;
+    }
+    
+    getJoint(id) {
+        return this.joints.find(joint => joint.id === id) || null;
+    }
+    
+    /**
+     * Join two joints with a member of a material { stiffness (EA, N), massPerMeter, maxTension,
+     * maxCompression (N), tensionOnly }
+     */
+    addMember({ id, a, b, material }) {
+        const member = { id: id, a: a, b: b, material: material, force: 0, slack: false };
+        this.members.push(member);
+        return member;
+    }
+    
+    removeMember(id) {
+        this.members = this.members.filter(member => member.id !== id);
+    }
+    
+    getLength(member) {
+        const a = this.getJoint(member.a);
+        const b = this.getJoint(member.b);
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+    
+    /**
+     * Share of its limit a member's force has reached (1 = at the limit)
+     */
+    getStress(member) {
+        const material = member.material;
+        if (member.force >= 0) {
+            return member.force / material.maxTension;
+        }
+        return material.tensionOnly ? 0 : -member.force / material.maxCompression;
+    }
+    
+    /**
+     * Every member's own weight, half at each end
+     */
+    getSelfWeightLoads() {
+        const loads = [];
+        this.members.forEach(member => {
+            const weight = member.material.massPerMeter * this.getLength(member) * this.gravity;
+            loads.push({ joint: member.a, x: 0, y: weight / 2 });
+            loads.push({ joint: member.b, x: 0, y: weight / 2 });
+        });
+        return loads;
+    }
+    
+    /**
+     * Solve for member forces under joint loads [{ joint, x, y }] (N) plus self weight.
+     * Ropes that end up pushing are slackened one at a time and the rest solved again.
+     * Returns false, leaving the forces at 0 and looseJoint naming a joint free to move, when the structure is a mechanism
+     */
+    solve(loads = []) {
+        const allLoads = loads.concat(this.getSelfWeightLoads());
+        this.looseJoint = null;
+        this.members.forEach(member => {
+            member.slack = false;
+            member.force = 0;
+        });
+        
+        for (let attempt = 0; attempt <= this.members.length; attempt++) {
+            const displacements = this.solveDisplacements(allLoads);
+            if (!displacements) {
+                this.members.forEach(member => {
+                    member.force = 0;
+                });
+                return false;
+            }
+            
+            this.members.forEach(member => {
+                member.force = member.slack ? 0 : this.getMemberForce(member, displacements);
+            });
+            
+            // The rope pushed hardest can't push at all: let it go slack and try again
+            const pushing = this.members
+                .filter(member => member.material.tensionOnly && !member.slack && member.force < -1e-6)
+                .sort((first, second) => first.force - second.force)[0];
+            if (!pushing) return true;
+            pushing.slack = true;
+        }
+        
+        return true;
+    }
+    
+    getMemberForce(member, displacements) {
+        const a = this.getJoint(member.a);
+        const b = this.getJoint(member.b);
+        const length = this.getLength(member);
+        const cos = (b.x - a.x) / length;
+        const sin = (b.y - a.y) / length;
+        const ua = displacements[a.id] || { x: 0, y: 0 };
+        const ub = displacements[b.id] || { x: 0, y: 0 };
+        const stretch = (ub.x - ua.x) * cos + (ub.y - ua.y) * sin;
+        return member.material.stiffness / length * stretch;
+    }
+    
+    /**
+     * Build K·u = F over the free joints' x and y and solve it; null when K is singular
+     */
+    solveDisplacements(loads) {
+        const free = this.joints.filter(joint => !joint.fixed && this.members.some(member => member.a === joint.id || member.b === joint.id));
+        const index = {};
+        free.forEach((joint, i) => {
+            index[joint.id] = 2 * i;
+        });
+        
+        const size = free.length * 2;
+        const K = Array.from({ length: size }, () => new Array(size).fill(0));
+        const F = new Array(size).fill(0);
+        
+        this.members.forEach(member => {
+            if (member.slack) return;
+            
+            const a = this.getJoint(member.a);
+            const b = this.getJoint(member.b);
+            const length = this.getLength(member);
+            const k = member.material.stiffness / length;
+            const c = (b.x - a.x) / length;
+            const s = (b.y - a.y) / length;
+            const local = [[c * c, c * s], [c * s, s * s]];
+            
+            // Member stiffness: +k·local on each end's own entries, -k·local between the two ends
+            [[a, a, 1], [b, b, 1], [a, b, -1], [b, a, -1]].forEach(([row, column, sign]) => {
+                if (index[row.id] === undefined || index[column.id] === undefined) return;
+                for (let i = 0; i < 2; i++) {
+                    for (let j = 0; j < 2; j++) {
+                        K[index[row.id] + i][index[column.id] + j] += sign * k * local[i][j];
+                    }
+                }
+            });
+        });
+        
+        loads.forEach(load => {
+            if (index[load.joint] === undefined) return;
+            F[index[load.joint]] += load.x;
+            F[index[load.joint] + 1] += load.y;
+        });
+        
+        const result = this.solveLinear(K, F);
+        if (result.singular !== undefined) {
+            this.looseJoint = free[Math.floor(result.singular / 2)].id;
+            return null;
+        }
+        const solution = result.solution;
+        
+        const displacements = {};
+        free.forEach(joint => {
+            displacements[joint.id] = { x: solution[index[joint.id]], y: solution[index[joint.id] + 1] };
+        });
+        return displacements;
+    }
+    
+    /**
+     * Gaussian elimination with partial pivoting. Returns { solution }, or { singular } with the unknown
+     * whose pivot vanished next to the biggest stiffness: that joint is free to move
+     */
+    solveLinear(A, b) {
+        const n = b.length;
+        const scale = A.reduce((max, row, i) => Math.max(max, Math.abs(row[i])), 0);
+        const tolerance = Math.max(scale, 1) * 1e-9;
+        const M = A.map((row, i) => row.concat([b[i]]));
+        
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(M[row][column]) > Math.abs(M[pivot][column])) {
+                    pivot = row;
+                }
+            }
+            if (Math.abs(M[pivot][column]) < tolerance) return { singular: column };
+            [M[column], M[pivot]] = [M[pivot], M[column]];
+            
+            for (let row = column + 1; row < n; row++) {
+                const factor = M[row][column] / M[column][column];
+                for (let k = column; k <= n; k++) {
+                    M[row][k] -= factor * M[column][k];
+                }
+            }
+        }
+        
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = M[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= M[row][k] * x[k];
+            }
+            x[row] = sum / M[row][row];
+        }
+        return { solution: x };
+    }
+    
+    /**
+     * The member furthest over its limit, or null when everything holds
+     */
+    getOverloaded() {
+        const over = this.members
+            .filter(member => this.getStress(member) > 1)
+            .sort((first, second) => this.getStress(second) - this.getStress(first));
+        return over[0] || null;
+    }
+}
+
+// Export for use in other modules
+window.TrussModel = TrussModel;
@@ -0,0 +1,89 @@
+/**
+ * Verlet Rope - A rope made of point masses joined by fixed-length segments
+ * Each step moves the points by their own inertia plus gravity, then pulls neighbours back
+ * to the segment length. Both ends are pinned and can be moved; the rope lags and swings behind them.
+ * Works in pixels, the same units as the scene it is drawn in.
+ */
+
+class VerletRope {
+    constructor({ start, end, segments = 12, slack = 0, gravity = 0, damping = 0.98, iterations = 10 }) {
+        this.segments = segments;
+        this.slack = slack;
+        this.gravity = gravity;
+        this.damping = damping;
+        this.iterations = iterations;
+        
+        // Start at rest on a straight line between the ends
+        this.points = [];
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const x = start.x + (end.x - start.x) * t;
+            const y = start.y + (end.y - start.y) * t;
+            this.points.push({ x: x, y: y, previousX: x, previousY: y });
+        }
+        
+        this.setEnds(start, end);
+    }
+    
+    /**
+     * Move the pinned ends; the rope keeps its slack relative to the new span
+     */
+    setEnds(start, end) {
+        const first = this.points[0];
+        const last = this.points[this.segments];
+        
+        first.x = first.previousX = start.x;
+        first.y = first.previousY = start.y;
+        last.x = last.previousX = end.x;
+        last.y = last.previousY = end.y;
+        
+        const span = Math.hypot(end.x - start.x, end.y - start.y);
+        this.segmentLength = span * (1 + this.slack) / this.segments;
+    }
+    
+    step(dt) {
+        const points = this.points;
+        
+        // Inertia and gravity: x(t + dt) = x + (x - x_prev)·damping + g·dt²
+        for (let i = 1; i < this.segments; i++) {
+            const point = points[i];
+            const velocityX = (point.x - point.previousX) * this.damping;
+            const velocityY = (point.y - point.previousY) * this.damping;
+            
+            point.previousX = point.x;
+            point.previousY = point.y;
+            point.x += velocityX;
+            point.y += velocityY + this.gravity * dt * dt;
+        }
+        
+        // Segment constraints, relaxed a few times so the rope doesn't stretch
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            for (let i = 0; i < this.segments; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const distance = Math.hypot(dx, dy) || 0.0001;
+                const correction = (distance - this.segmentLength) / distance;
+                
+                // Pinned ends don't move; free points share the correction
+                const aPinned = i === 0;
+                const bPinned = i + 1 === this.segments;
+                const aShare = aPinned ? 0 : (bPinned ? 1 : 0.5);
+                const bShare = bPinned ? 0 : (aPinned ? 1 : 0.5);
+                
+                a.x += dx * correction * aShare;
+                a.y += dy * correction * aShare;
+                b.x -= dx * correction * bShare;
+                b.y -= dy * correction * bShare;
+            }
+        }
+    }
+    
+    getPoints() {
+        return this.points;
+    }
+}
+
+// Export for use in other modules
+window.VerletRope = VerletRope;